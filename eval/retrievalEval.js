@@ -0,0 +1,203 @@
+const deviceTaxonomy = require('../services/deviceTaxonomy');
+
+const SUPPORTED_SCHEMA_VERSION = 1;
+const STYLES = ['plain', 'slang', 'typo', 'voice', 'multi_device', 'english'];
+
+/**
+ * Retrieval metrics for the golden query set (eval/golden-set.json). Each query
+ * lists the catalog product ids a correct answer contains and the taxonomy ids
+ * of the devices it asks about. A ranking is scored by:
+ *
+ *   recall@k        share of the expected products in the first k results
+ *   MRR             1 / rank of the first expected product (0 when none is found)
+ *   wrong variant   share of the first k results that fit another model of the
+ *                   same family and none of the devices asked about
+ *                   ("iPhone 14 Pro" for "iPhone 14")
+ */
+class RetrievalEval {
+  /**
+   * Validate a golden set against the live catalog and taxonomy
+   * @param {Object} goldenSet - Parsed golden-set.json
+   * @param {Set<string>} productIds - Ids of the catalog being evaluated
+   * @returns {Array<string>} Validation errors (empty when valid)
+   */
+  validate(goldenSet, productIds) {
+    const errors = [];
+
+    if (!goldenSet || typeof goldenSet !== 'object') return ['golden set must be an object'];
+
+    if (goldenSet.schema_version !== SUPPORTED_SCHEMA_VERSION) {
+      errors.push(`schema_version must be ${SUPPORTED_SCHEMA_VERSION}`);
+    }
+    if (!Number.isInteger(goldenSet.version) || goldenSet.version < 1) {
+      errors.push('version must be a positive integer');
+    }
+    if (!Array.isArray(goldenSet.queries) || goldenSet.queries.length === 0) {
+      return [...errors, 'queries must be a non-empty list'];
+    }
+
+    const ids = new Set();
+    goldenSet.queries.forEach((entry, index) => {
+      const where = `queries[${index}]${entry.id ? ` (${entry.id})` : ''}`;
+
+      if (!entry.id) errors.push(`${where}.id is required`);
+      if (ids.has(entry.id)) errors.push(`${where}.id is duplicated`);
+      ids.add(entry.id);
+
+      if (typeof entry.query !== 'string' || !entry.query.trim()) errors.push(`${where}.query is required`);
+      if (!STYLES.includes(entry.style)) errors.push(`${where}.style must be one of ${STYLES.join(', ')}`);
+
+      if (!Array.isArray(entry.devices)) {
+        errors.push(`${where}.devices must be a list`);
+      } else {
+        entry.devices.filter(id => !deviceTaxonomy.get(id)).forEach(id => errors.push(`${where}: unknown device "${id}"`));
+      }
+
+      if (!Array.isArray(entry.expected) || entry.expected.length === 0) {
+        errors.push(`${where}.expected must list at least one product id`);
+      } else {
+        entry.expected.filter(id => !productIds.has(id)).forEach(id => errors.push(`${where}: "${id}" is not in the catalog`));
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * Score one ranking of a golden query
+   * @param {Object} entry - Golden query { expected, devices }
+   * @param {Array<Object>} results - Ranked [{ id, deviceIds }]
+   * @param {Array<number>} cutoffs - k values for recall, e.g. [1, 5, 10]
+   * @param {number} variantCutoff - k for the wrong-variant rate
+   * @returns {Object} { ranks, recall: { k: value }, reciprocal_rank, wrong_variant, returned }
+   */
+  scoreQuery(entry, results, cutoffs, variantCutoff) {
+    const ids = results.map(result => result.id);
+    const ranks = entry.expected.map(id => {
+      const index = ids.indexOf(id);
+      return index === -1 ? null : index + 1;
+    });
+    const found = ranks.filter(rank => rank !== null);
+
+    const recall = {};
+    for (const k of cutoffs) {
+      recall[k] = found.filter(rank => rank <= k).length / entry.expected.length;
+    }
+
+    const top = results.slice(0, variantCutoff);
+    const wrong = top.filter(result => this.isWrongVariant(result.deviceIds, entry.devices)).length;
+
+    return {
+      ranks,
+      recall,
+      reciprocal_rank: found.length > 0 ? 1 / Math.min(...found) : 0,
+      wrong_variant: top.length > 0 ? wrong / top.length : 0,
+      returned: results.length
+    };
+  }
+
+  /**
+   * Whether a product fits only other models of the families asked about
+   * @param {Array<string>} deviceIds - Models the product fits
+   * @param {Array<string>} devices - Models the query asks about
+   * @returns {boolean}
+   */
+  isWrongVariant(deviceIds, devices) {
+    if (devices.length === 0 || deviceIds.length === 0) return false;
+    if (deviceIds.some(id => devices.includes(id))) return false;
+
+    const families = new Set(devices.map(id => (deviceTaxonomy.get(id) || {}).family));
+    return deviceIds.some(id => families.has((deviceTaxonomy.get(id) || {}).family));
+  }
+
+  /**
+   * Mean of each metric over the queries, overall and per style
+   * @param {Array<Object>} scored - [{ style, score }] with score from scoreQuery()
+   * @returns {Object} { all: metrics, by_style: { style: metrics } }
+   */
+  summarize(scored) {
+    const mean = entries => {
+      const average = pick => entries.reduce((sum, entry) => sum + pick(entry.score), 0) / entries.length;
+      const cutoffs = Object.keys(entries[0].score.recall);
+
+      return {
+        queries: entries.length,
+        ...Object.fromEntries(cutoffs.map(k => [`recall@${k}`, this._round(average(score => score.recall[k]))])),
+        mrr: this._round(average(score => score.reciprocal_rank)),
+        wrong_variant: this._round(average(score => score.wrong_variant)),
+        empty: entries.filter(entry => entry.score.returned === 0).length
+      };
+    };
+
+    const byStyle = {};
+    for (const style of STYLES) {
+      const entries = scored.filter(entry => entry.style === style);
+      if (entries.length > 0) byStyle[style] = mean(entries);
+    }
+
+    return { all: mean(scored), by_style: byStyle };
+  }
+
+  /**
+   * Differences between two runs: metric deltas per system and the queries whose
+   * first correct result moved
+   * @param {Object} baseline - Earlier run
+   * @param {Object} current - Later run
+   * @returns {Object} { systems: { name: { metric: { baseline, current, delta } } }, queries: [...] }
+   */
+  compare(baseline, current) {
+    const systems = {};
+
+    for (const [system, summary] of Object.entries(current.summary)) {
+      const before = baseline.summary[system];
+      if (!before) continue;
+
+      systems[system] = {};
+      for (const [metric, value] of Object.entries(summary.all)) {
+        if (metric === 'queries') continue;
+        const previous = before.all[metric];
+        systems[system][metric] = {
+          baseline: previous,
+          current: value,
+          delta: previous === undefined ? null : this._round(value - previous)
+        };
+      }
+    }
+
+    const earlier = new Map(baseline.queries.map(entry => [entry.id, entry]));
+    const queries = [];
+
+    for (const entry of current.queries) {
+      const before = earlier.get(entry.id);
+      if (!before) continue;
+
+      for (const system of Object.keys(systems)) {
+        const was = this._firstRank(before[system]);
+        const now = this._firstRank(entry[system]);
+        if (was === now) continue;
+
+        const better = now !== null && (was === null || now < was);
+        queries.push({ id: entry.id, system, baseline: was, current: now, change: better ? 'improved' : 'regressed' });
+      }
+    }
+
+    return { systems, queries };
+  }
+
+  /**
+   * @private
+   */
+  _firstRank(score) {
+    const found = ((score && score.ranks) || []).filter(rank => rank !== null);
+    return found.length > 0 ? Math.min(...found) : null;
+  }
+
+  /**
+   * @private
+   */
+  _round(value) {
+    return Math.round(value * 1000) / 1000;
+  }
+}
+
+module.exports = new RetrievalEval();
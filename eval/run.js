@@ -0,0 +1,206 @@
+#!/usr/bin/env node
+/**
+ * Offline retrieval evaluation against the golden query set.
+ *
+ *   node eval/run.js                         run, save to eval/runs/, compare with the previous run
+ *   node eval/run.js --baseline <run.json>   compare with a given run instead
+ *   node eval/run.js --compare <a> <b>       compare two saved runs without searching
+ *   node eval/run.js --no-save --verbose     keep the run out of eval/runs/, show service logs
+ *
+ * Scores two rankings per query: pricingService.searchProducts (hybrid search) and
+ * aiService._matchExactProducts on top of it (what the reply is built from).
+ * Catalog vectors come from the vector cache and query embeddings from the query
+ * cache, so only the first run with a provider calls its embeddings API; with
+ * LLM_PROVIDER=mock nothing leaves the machine.
+ */
+const fs = require('fs');
+const path = require('path');
+const { execSync } = require('child_process');
+const retrievalEval = require('./retrievalEval');
+
+const GOLDEN_SET_PATH = path.join(__dirname, 'golden-set.json');
+const RUNS_DIR = path.join(__dirname, 'runs');
+const CUTOFFS = [1, 5, 10];
+const VARIANT_CUTOFF = 5;
+const SEARCH_LIMIT = 50; // As many results as the retrieve stage asks for
+
+function parseArgs(argv) {
+  const args = { save: true, verbose: false, baseline: null, compare: null };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--no-save') args.save = false;
+    else if (argv[i] === '--verbose') args.verbose = true;
+    else if (argv[i] === '--baseline') args.baseline = argv[++i];
+    else if (argv[i] === '--compare') args.compare = [argv[++i], argv[++i]];
+    else throw new Error(`Unknown argument "${argv[i]}"`);
+  }
+
+  return args;
+}
+
+function readRun(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+// Most recent saved run other than the given one
+function previousRun(exclude) {
+  if (!fs.existsSync(RUNS_DIR)) return null;
+
+  const files = fs.readdirSync(RUNS_DIR)
+    .filter(file => file.endsWith('.json'))
+    .map(file => path.join(RUNS_DIR, file))
+    .filter(file => file !== exclude)
+    .sort();
+
+  return files.length > 0 ? files[files.length - 1] : null;
+}
+
+function gitCommit() {
+  try {
+    return execSync('git rev-parse --short HEAD', { cwd: __dirname, stdio: ['ignore', 'pipe', 'ignore'] }).toString().trim();
+  } catch (error) {
+    return null;
+  }
+}
+
+async function evaluate(goldenSet) {
+  // Required here so LLM_PROVIDER and the caches are set up only when searching
+  const llmProvider = require('../services/llmProvider');
+  const pricingService = require('../services/pricingService');
+  const aiService = require('../services/aiService');
+
+  await pricingService.initialize();
+
+  const errors = retrievalEval.validate(goldenSet, new Set(pricingService.products.keys()));
+  if (errors.length > 0) {
+    const error = new Error(`Invalid golden set: ${errors.join('; ')}`);
+    error.errors = errors;
+    throw error;
+  }
+
+  const queries = [];
+  const scored = { search: [], match: [] };
+  const ranking = results => results.map(result => ({
+    id: result._productId,
+    deviceIds: result._metadata ? result._metadata.deviceIds : []
+  }));
+
+  for (const entry of goldenSet.queries) {
+    const results = await pricingService.searchProducts(entry.query, SEARCH_LIMIT);
+    const analysis = aiService.analyzeMessage(entry.query);
+    const matched = analysis.queryAnalysis ? aiService._matchExactProducts(results, analysis.queryAnalysis) : [];
+
+    const record = { id: entry.id, style: entry.style, query: entry.query };
+    for (const [system, list] of [['search', results], ['match', matched]]) {
+      const score = retrievalEval.scoreQuery(entry, ranking(list), CUTOFFS, VARIANT_CUTOFF);
+      record[system] = { ...score, top: list.slice(0, VARIANT_CUTOFF).map(result => result._productId) };
+      scored[system].push({ style: entry.style, score });
+    }
+    queries.push(record);
+  }
+
+  pricingService.queryCache.flush();
+
+  return {
+    created_at: new Date().toISOString(),
+    commit: gitCommit(),
+    provider: llmProvider.name,
+    embedding_model: llmProvider.models.embedding,
+    embeddings_configured: llmProvider.isConfigured(),
+    golden_set_version: goldenSet.version,
+    cutoffs: CUTOFFS,
+    variant_cutoff: VARIANT_CUTOFF,
+    query_cache: pricingService.queryCache.getStats(),
+    summary: {
+      search: retrievalEval.summarize(scored.search),
+      match: retrievalEval.summarize(scored.match)
+    },
+    queries
+  };
+}
+
+function printRun(run) {
+  console.log(`\n📊 Retrieval eval: ${run.queries.length} queries, golden set v${run.golden_set_version}, ` +
+    `${run.provider}/${run.embedding_model}${run.commit ? ` @ ${run.commit}` : ''}`);
+  console.log(`   Query embeddings: ${run.query_cache.hits} cached, ${run.query_cache.misses} computed`);
+
+  for (const [system, summary] of Object.entries(run.summary)) {
+    console.log(`\n${system}`);
+    for (const [style, metrics] of [['all', summary.all], ...Object.entries(summary.by_style)]) {
+      const values = Object.entries(metrics).map(([metric, value]) => `${metric} ${value}`).join('  ');
+      console.log(`   ${style.padEnd(13)} ${values}`);
+    }
+  }
+
+  const misses = run.queries.filter(entry => entry.match.reciprocal_rank === 0);
+  if (misses.length > 0) {
+    console.log(`\n❌ No expected product in the matched results for ${misses.length} queries:`);
+    misses.forEach(entry => console.log(`   ${entry.id}: "${entry.query}"`));
+  }
+}
+
+function printComparison(baseline, current) {
+  const comparison = retrievalEval.compare(baseline, current);
+
+  console.log(`\n🔀 Compared with ${baseline.created_at}${baseline.commit ? ` @ ${baseline.commit}` : ''}`);
+  if (baseline.golden_set_version !== current.golden_set_version) {
+    console.log(`⚠️ Golden set changed (v${baseline.golden_set_version} → v${current.golden_set_version}), only shared queries are compared`);
+  }
+
+  for (const [system, metrics] of Object.entries(comparison.systems)) {
+    console.log(`\n${system}`);
+    for (const [metric, { baseline: before, current: now, delta }] of Object.entries(metrics)) {
+      const sign = delta > 0 ? '+' : '';
+      console.log(`   ${metric.padEnd(14)} ${String(before).padStart(6)} → ${String(now).padStart(6)}  ${delta === null ? '' : `${sign}${delta}`}`);
+    }
+  }
+
+  if (comparison.queries.length === 0) {
+    console.log('\n   No query changed its first correct rank');
+  }
+  for (const change of comparison.queries) {
+    const icon = change.change === 'improved' ? '✅' : '❌';
+    console.log(`   ${icon} ${change.system} ${change.id}: first hit ${change.baseline ?? '-'} → ${change.current ?? '-'}`);
+  }
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (args.compare) {
+    printComparison(readRun(args.compare[0]), readRun(args.compare[1]));
+    return;
+  }
+
+  const goldenSet = JSON.parse(fs.readFileSync(GOLDEN_SET_PATH, 'utf8'));
+
+  // Service logs drown the report; errors still show
+  const log = console.log;
+  if (!args.verbose) console.log = () => {};
+  let run;
+  try {
+    run = await evaluate(goldenSet);
+  } finally {
+    console.log = log;
+  }
+
+  printRun(run);
+
+  let file = null;
+  if (args.save) {
+    fs.mkdirSync(RUNS_DIR, { recursive: true });
+    file = path.join(RUNS_DIR, `${run.created_at.replace(/[:.]/g, '-')}_${run.provider}.json`);
+    fs.writeFileSync(file, JSON.stringify(run, null, 2) + '\n');
+    console.log(`\n💾 Saved ${path.relative(process.cwd(), file)}`);
+  }
+
+  const baselineFile = args.baseline || previousRun(file);
+  if (baselineFile) printComparison(readRun(baselineFile), run);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error('❌ Eval failed:', error.message);
+    process.exit(1);
+  });
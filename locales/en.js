@@ -0,0 +1,58 @@
+// English customer-facing texts (reply prompts live in prompts/)
+module.exports = {
+  code: 'en',
+  name: 'English',
+
+  labels: {
+    customer: 'Customer',
+    assistant: 'Assistant',
+    conversationContext: 'Conversation context'
+  },
+
+  profileLabels: {
+    phone: 'Phone',
+    branches: 'STORES',
+    corner: 'corner of',
+    hours: 'Opening hours',
+    through: 'to',
+    weekdays: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'],
+    warranty: days => `Warranty: ${days} days`,
+    urgent: 'For urgent matters'
+  },
+
+  priceCorrection: quoted => `Your previous reply quoted prices that are NOT in the product list (${quoted}). Use ONLY the prices listed under PRODUCTS FOUND; if a product is not listed, do not give it a price.`,
+  jsonRepair: errors => `Your previous reply is not valid JSON for the schema. Errors:\n${errors}\n\nReturn ONLY the corrected JSON object, with no additional text.`,
+
+  products: {
+    header: (model, part) => `Products found for ${model} ${part}:`,
+    notFound: (model, part) => `No specific products found for "${model} ${part}".`,
+    notApplicable: 'Not applicable - simple greeting.',
+    askPrice: 'Price on request',
+    breakdown: ({ part, labour, discount, promotion }) =>
+      `part ${part} + labour ${labour}${discount > 0 ? ` - ${promotion} ${discount}` : ''}`
+  },
+
+  imagePrompt: 'Analyze this image and identify: 1) The device model, 2) Visible damage, 3) The type of repair needed. Reply in English, maximum 150 words.',
+  transcriptionError: '[Audio transcription error]',
+  imageError: '[Image analysis error: please describe your problem in text]',
+
+  greetingFallback: name => `Hi ${name}! How can I help you today?`,
+
+  catalog: {
+    intro: ({ name, model, part }) => `Hi${name ? ` ${name}` : ''}! For the ${model}${part ? ` ${part}` : ''} we have these options:`,
+    parts: { pantalla: 'screen', 'batería': 'battery', 'cámara': 'camera', altavoz: 'speaker', 'micrófono': 'microphone', carga: 'charging port' },
+    qualities: { standard: 'Standard' },
+    warranty: days => `✨ All with a ${days}-day warranty.`,
+    callToAction: 'Which one suits you? Reply with your choice and we will schedule the repair.'
+  },
+
+  generalFallback: ({ name, contactSummary, businessName }) => `Hi ${name}!
+
+Your request has been registered. Our team will contact you shortly with the available options.
+
+${contactSummary}
+
+Thank you for contacting ${businessName}!`,
+
+  afterHours: ({ hours, website }) => `Thanks for your message! 🕘 We are currently closed (${hours}). We will reply as soon as we open.${website ? ` For urgent matters visit ${website}` : ''}`
+};
@@ -0,0 +1,58 @@
+// Spanish (default) customer-facing texts (reply prompts live in prompts/)
+module.exports = {
+  code: 'es',
+  name: 'español',
+
+  labels: {
+    customer: 'Cliente',
+    assistant: 'Asistente',
+    conversationContext: 'Contexto de conversación'
+  },
+
+  profileLabels: {
+    phone: 'Teléfono',
+    branches: 'SUCURSALES',
+    corner: 'esq.',
+    hours: 'Horario',
+    through: 'a',
+    weekdays: ['dom', 'lun', 'mar', 'mié', 'jue', 'vie', 'sáb'],
+    warranty: days => `Garantía: ${days} días`,
+    urgent: 'Para urgencias'
+  },
+
+  priceCorrection: quoted => `Tu respuesta anterior citó precios que NO están en la lista de productos (${quoted}). Usa ÚNICAMENTE los precios listados en PRODUCTOS ENCONTRADOS; si un producto no está en la lista, no le pongas precio.`,
+  jsonRepair: errors => `Tu respuesta anterior no es JSON válido según el esquema. Errores:\n${errors}\n\nDevuelve SOLO el objeto JSON corregido, sin texto adicional.`,
+
+  products: {
+    header: (model, part) => `Productos encontrados para ${model} ${part}:`,
+    notFound: (model, part) => `No se encontraron productos específicos para "${model} ${part}".`,
+    notApplicable: 'No aplicable - saludo simple.',
+    askPrice: 'Consultar precio',
+    breakdown: ({ part, labour, discount, promotion }) =>
+      `repuesto ${part} + mano de obra ${labour}${discount > 0 ? ` - ${promotion} ${discount}` : ''}`
+  },
+
+  imagePrompt: 'Analiza esta imagen e identifica: 1) El modelo del dispositivo, 2) Los daños visibles, 3) El tipo de reparación necesaria. Responde en español, máximo 150 palabras.',
+  transcriptionError: '[Error de transcripción de audio]',
+  imageError: '[Error de análisis de imagen: describe tu problema por texto]',
+
+  greetingFallback: name => `¡Hola ${name}! ¿En qué puedo ayudarte hoy?`,
+
+  catalog: {
+    intro: ({ name, model, part }) => `¡Hola${name ? ` ${name}` : ''}! Para ${part ? `${part} de ` : ''}${model} tenemos estas opciones:`,
+    parts: { pantalla: 'pantalla', 'batería': 'batería', 'cámara': 'cámara', altavoz: 'altavoz', 'micrófono': 'micrófono', carga: 'pin de carga' },
+    qualities: { standard: 'Estándar' },
+    warranty: days => `✨ Todas con garantía de ${days} días.`,
+    callToAction: '¿Cuál te conviene? Respondé con la opción y te coordinamos la reparación.'
+  },
+
+  generalFallback: ({ name, contactSummary, businessName }) => `¡Hola ${name}!
+
+Tu solicitud ha sido registrada. Nuestro equipo te contactará pronto con las opciones disponibles.
+
+${contactSummary}
+
+¡Gracias por contactar ${businessName}!`,
+
+  afterHours: ({ hours, website }) => `¡Gracias por tu mensaje! 🕘 En este momento estamos cerrados (${hours}). Te responderemos apenas abramos.${website ? ` Para urgencias visitá ${website}` : ''}`
+};
@@ -0,0 +1,58 @@
+// Portuguese customer-facing texts (reply prompts live in prompts/)
+module.exports = {
+  code: 'pt',
+  name: 'português',
+
+  labels: {
+    customer: 'Cliente',
+    assistant: 'Assistente',
+    conversationContext: 'Contexto da conversa'
+  },
+
+  profileLabels: {
+    phone: 'Telefone',
+    branches: 'LOJAS',
+    corner: 'esquina',
+    hours: 'Horário',
+    through: 'a',
+    weekdays: ['dom', 'seg', 'ter', 'qua', 'qui', 'sex', 'sáb'],
+    warranty: days => `Garantia: ${days} dias`,
+    urgent: 'Para urgências'
+  },
+
+  priceCorrection: quoted => `Sua resposta anterior citou preços que NÃO estão na lista de produtos (${quoted}). Use SOMENTE os preços listados em PRODUTOS ENCONTRADOS; se um produto não está na lista, não informe preço.`,
+  jsonRepair: errors => `Sua resposta anterior não é um JSON válido segundo o esquema. Erros:\n${errors}\n\nDevolva SOMENTE o objeto JSON corrigido, sem texto adicional.`,
+
+  products: {
+    header: (model, part) => `Produtos encontrados para ${model} ${part}:`,
+    notFound: (model, part) => `Nenhum produto específico encontrado para "${model} ${part}".`,
+    notApplicable: 'Não se aplica - saudação simples.',
+    askPrice: 'Consultar preço',
+    breakdown: ({ part, labour, discount, promotion }) =>
+      `peça ${part} + mão de obra ${labour}${discount > 0 ? ` - ${promotion} ${discount}` : ''}`
+  },
+
+  imagePrompt: 'Analise esta imagem e identifique: 1) O modelo do aparelho, 2) Os danos visíveis, 3) O tipo de conserto necessário. Responda em português, no máximo 150 palavras.',
+  transcriptionError: '[Erro na transcrição do áudio]',
+  imageError: '[Erro na análise da imagem: descreva seu problema por texto]',
+
+  greetingFallback: name => `Olá ${name}! Como posso ajudar você hoje?`,
+
+  catalog: {
+    intro: ({ name, model, part }) => `Olá${name ? ` ${name}` : ''}! Para o ${model}${part ? ` (${part})` : ''} temos estas opções:`,
+    parts: { pantalla: 'tela', 'batería': 'bateria', 'cámara': 'câmera', altavoz: 'alto-falante', 'micrófono': 'microfone', carga: 'conector de carga' },
+    qualities: { standard: 'Padrão' },
+    warranty: days => `✨ Todas com garantia de ${days} dias.`,
+    callToAction: 'Qual prefere? Responda com a opção e combinamos o conserto.'
+  },
+
+  generalFallback: ({ name, contactSummary, businessName }) => `Olá ${name}!
+
+Sua solicitação foi registrada. Nossa equipe entrará em contato em breve com as opções disponíveis.
+
+${contactSummary}
+
+Obrigado por contatar a ${businessName}!`,
+
+  afterHours: ({ hours, website }) => `Obrigado pela sua mensagem! 🕘 No momento estamos fechados (${hours}). Responderemos assim que abrirmos.${website ? ` Para urgências acesse ${website}` : ''}`
+};
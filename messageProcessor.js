@@ -1,160 +1,504 @@
-const pricingService = require('./services/pricingService');
 const aiService = require('./services/aiService');
 const ghlService = require('./services/ghlService');
+const faultTolerantProcessor = require('./services/faultTolerantProcessor');
+const conversationMemoryService = require('./services/conversationMemoryService');
+const outboundLedgerService = require('./services/outboundLedgerService');
+const messageDebouncer = require('./services/messageDebouncer');
+const channelAdapters = require('./services/channelAdapters');
+const replySplitter = require('./services/replySplitter');
+const priceGuard = require('./services/priceGuard');
+const languageService = require('./services/languageService');
+const llmProvider = require('./services/llmProvider');
+const catalogResponder = require('./services/catalogResponder');
 
+/**
+ * Single message pipeline used by the live webhook, the durable queue and the test route:
+ * ingest → normalize → media → understand → retrieve → generate → verify → send → crm
+ *
+ * Every stage is an async function that reads and extends a shared context object.
+ * Setting ctx.halted to a reason stops the run after the current stage.
+ */
 class MessageProcessor {
-  async processMessage(messageData) {
-    try {
-      console.log('\n🔄 Processing message for contact:', messageData.contact_id);
-      console.log('📱 Message type:', messageData.message_type);
-      console.log('💬 Content preview:', messageData.message?.substring(0, 100));
-      
-      // Step 1: Get fresh pricing data
-      console.log('📊 Fetching pricing data...');
-      const pricingData = await pricingService.getPricingData();
-      
-      if (!pricingData || pricingData.items.length === 0) {
-        throw new Error('No pricing data available');
-      }
-      
-      // Step 2: Process with AI (handles voice, image, text)
-      console.log('🤖 Processing with AI...');
-      const aiResult = await aiService.processMessage(
-        messageData.message,
-        messageData.message_type,
-        messageData.media_url,
-        pricingData,
-        {
-          contact_id: messageData.contact_id,
-          full_name: messageData.full_name,
-          phone: messageData.phone
-        }
-      );
-      
-      // Step 3: Send response to customer
-      console.log('📤 Sending customer response...');
-      await ghlService.sendMessage(
-        messageData.contact_id,
-        aiResult.customer_response,
-        messageData.location_id,
-        messageData // Pass original data for channel detection
-      );
-      
-      // Step 4: Update contact tags (non-blocking)
-      this.updateContactTagsAsync(messageData, aiResult.classification);
-      
-      // Step 5: Handle opportunities (non-blocking)
-      this.manageOpportunityAsync(messageData, aiResult.classification);
-      
-      console.log('✅ Message processing completed successfully');
-      
-      return {
-        status: 'success',
-        customer_response: aiResult.customer_response,
-        classification: aiResult.classification,
-        processed_content: aiResult.processed_content
-      };
-      
-    } catch (error) {
-      console.error('❌ Message processing failed:', error.message);
-      
-      // Send fallback response
+  constructor() {
+    this.defaultLocationId = process.env.GHL_LOCATION_ID || 'hij5g6beL7ebCFVa1fyq';
+    // Opportunities are only moved when a target stage is configured
+    this.pipelineTargetStage = process.env.GHL_PIPELINE_TARGET_STAGE || null;
+
+    this.stages = [
+      { name: 'ingest', handler: ctx => this.ingest(ctx) },
+      { name: 'normalize', handler: ctx => this.normalize(ctx) },
+      { name: 'media', handler: ctx => this.media(ctx) },
+      { name: 'understand', handler: ctx => this.understand(ctx) },
+      { name: 'retrieve', handler: ctx => this.retrieve(ctx) },
+      { name: 'generate', handler: ctx => this.generate(ctx) },
+      { name: 'verify', handler: ctx => this.verify(ctx) },
+      { name: 'send', handler: ctx => this.send(ctx) },
+      { name: 'crm', handler: ctx => this.crm(ctx) }
+    ];
+  }
+
+  /**
+   * Process raw GHL webhook payloads
+   * @param {Array<Object>} payloads - Webhook bodies
+   * @returns {Promise<Object>} Pipeline context
+   */
+  async processPayloads(payloads) {
+    return this.run({ payloads });
+  }
+
+  /**
+   * Process already extracted messages from one contact as a single turn
+   * @param {Array<Object>} messages - Output of extractMessageData, oldest first
+   * @returns {Promise<Object>} Pipeline context
+   */
+  async processBatch(messages) {
+    return this.run({ messages });
+  }
+
+  /**
+   * Run a context through every stage; throws when the reply could not be delivered
+   * @param {Object} ctx - Initial context ({ payloads } or { messages })
+   * @returns {Promise<Object>} Final context
+   */
+  async run(ctx) {
+    ctx.trace = [];
+
+    for (const stage of this.stages) {
+      if (ctx.halted) break;
+
+      const started = Date.now();
       try {
-        const fallbackMessage = "Merci pour votre message! Nous traitons votre demande et vous répondrons bientôt. Pour plus d'informations, visitez reparaloya.com.uy";
-        await ghlService.sendMessage(
-          messageData.contact_id,
-          fallbackMessage,
-          messageData.location_id,
-          messageData // Pass original data for channel detection
-        );
-        console.log('📤 Fallback response sent');
-      } catch (fallbackError) {
-        console.error('❌ Failed to send fallback response:', fallbackError.message);
+        await stage.handler(ctx);
+      } finally {
+        ctx.trace.push({ stage: stage.name, ms: Date.now() - started });
+      }
+    }
+
+    const summary = ctx.trace.map(step => `${step.stage} ${step.ms}ms`).join(' → ');
+    console.log(`🧭 Pipeline ${ctx.halted ? `stopped (${ctx.halted})` : 'completed'}: ${summary}`);
+
+    return ctx;
+  }
+
+  /**
+   * Replace a stage implementation
+   * @param {string} name - Stage name
+   * @param {Function} handler - async (ctx) => void
+   */
+  useStage(name, handler) {
+    const stage = this.stages.find(s => s.name === name);
+    if (!stage) {
+      throw new Error(`Unknown pipeline stage: ${name}`);
+    }
+    stage.handler = handler;
+  }
+
+  /**
+   * Add a stage before or after an existing one
+   * @param {string} name - New stage name
+   * @param {Function} handler - async (ctx) => void
+   * @param {Object} position - { before } or { after } an existing stage name
+   */
+  insertStage(name, handler, position = {}) {
+    const anchor = position.before || position.after;
+    const index = this.stages.findIndex(s => s.name === anchor);
+    if (index === -1) {
+      throw new Error(`Unknown pipeline stage: ${anchor}`);
+    }
+    this.stages.splice(position.before ? index : index + 1, 0, { name, handler });
+  }
+
+  /**
+   * Get stage names in execution order
+   */
+  getStageNames() {
+    return this.stages.map(s => s.name);
+  }
+
+  // Ingest: raw webhook payloads → message data
+  async ingest(ctx) {
+    if (!ctx.messages) {
+      ctx.messages = (ctx.payloads || []).map(body => this.extractMessageData(body));
+    }
+  }
+
+  // Normalize: drop unusable or already answered messages, pick reply target
+  async normalize(ctx) {
+    ctx.messages = ctx.messages.filter(messageData => {
+      if (!messageData.content && !messageData.media_url) {
+        console.log('⚠️ No content or media, skipping');
+        return false;
+      }
+
+      if (!messageData.contact_id) {
+        console.log('⚠️ No contact_id, cannot send response');
+        return false;
       }
-      
-      return {
-        status: 'error',
-        error: error.message,
-        fallback_sent: true
+
+      // A retry of the pipeline must never double-text the customer
+      const record = outboundLedgerService.getRecord(messageData.message_id);
+      if (outboundLedgerService.shouldSkipSend(record)) {
+        console.log(`⏭️ Reply to message ${messageData.message_id} already ${record.status}, not sending again`);
+        return false;
+      }
+
+      return true;
+    });
+
+    if (ctx.messages.length === 0) {
+      ctx.halted = 'nothing to answer';
+      return;
+    }
+
+    // Reply on the channel and with the contact details of the latest message
+    ctx.messageData = ctx.messages[ctx.messages.length - 1];
+    ctx.contactInfo = {
+      contact_id: ctx.messageData.contact_id,
+      full_name: ctx.messageData.contact_name,
+      phone: ctx.messageData.contact_phone,
+      channel: ctx.messageData.channel,
+      // Until this turn's language is detected, answer media in the stored preference
+      language: conversationMemoryService.getPreferredLanguage(ctx.messageData.contact_id)
+    };
+    ctx.inboundIds = ctx.messages.map(messageData => messageData.message_id).filter(Boolean);
+
+    // Resend the reply of a failed attempt instead of generating a different one
+    const previous = outboundLedgerService.findRecord(ctx.inboundIds);
+    const sameBatch = previous &&
+      previous.inbound_message_ids.length === ctx.inboundIds.length &&
+      ctx.inboundIds.every(id => previous.inbound_message_ids.includes(id));
+
+    if (sameBatch && previous.reply) {
+      console.log(`♻️ Reusing reply from attempt ${previous.attempts} (${previous.status})`);
+      ctx.previousRecord = previous;
+      ctx.reusedReply = true;
+      ctx.aiResult = {
+        customer_response: previous.reply,
+        classification: previous.classification || {}
       };
     }
   }
-  
-  // Update contact tags in background
-  async updateContactTagsAsync(messageData, classification) {
-    try {
-      // Extract classification data (handle different language fields)
-      const deviceBrand = classification.device_brand || 
-                         classification.marque_appareil || 
-                         classification.marca_dispositivo || 'unknown';
-      
-      const serviceType = classification.service_type || 
-                         classification.type_service || 
-                         classification.tipo_servicio || 'unknown';
-      
-      const urgency = classification.urgency || 
-                     classification.urgence || 
-                     classification.urgencia || 'medium';
-      
-      const tags = [deviceBrand, serviceType, urgency, 'auto-tagged'];
-      
-      await ghlService.updateContactTags(
+
+  // Media: transcribe voice notes, analyze images, merge the burst into one turn
+  async media(ctx) {
+    if (ctx.reusedReply) return;
+
+    ctx.fragments = [];
+    ctx.spokenLanguages = [];
+
+    // One budget for every voice note and image of the turn
+    const budget = llmProvider.startBudget('media');
+
+    for (const messageData of ctx.messages) {
+      const { content, language } = await aiService.processMedia(messageData, ctx.contactInfo.language, budget);
+      ctx.fragments.push({ message_type: messageData.message_type, content });
+      if (language) ctx.spokenLanguages.push(language);
+
+      // A queue retry after a later stage failed runs this again for the same inbound message
+      if (conversationMemoryService.hasMessage(messageData.contact_id, messageData.message_id)) continue;
+
+      await conversationMemoryService.storeMessage(
         messageData.contact_id,
-        tags,
-        messageData.location_id
+        'user',
+        content,
+        {
+          message_id: messageData.message_id,
+          message_type: messageData.message_type,
+          media_url: messageData.media_url,
+          contact_name: messageData.contact_name,
+          channel: messageData.channel
+        }
       );
-      
-    } catch (error) {
-      console.error('⚠️ Failed to update tags (non-critical):', error.message);
     }
+
+    ctx.processedContent = messageDebouncer.mergeFragments(ctx.fragments);
+
+    if (ctx.fragments.length > 1) {
+      console.log(`🧩 ${ctx.fragments.length} fragments merged into one turn`);
+    }
+  }
+
+  // Understand: reply language, greeting detection, device model and part
+  async understand(ctx) {
+    if (ctx.reusedReply) return;
+
+    this._detectLanguage(ctx);
+    ctx.analysis = aiService.analyzeMessage(ctx.processedContent);
   }
-  
-  // Manage opportunities in background
-  async manageOpportunityAsync(messageData, classification) {
+
+  // Retrieve: catalog products for the exact model and part
+  async retrieve(ctx) {
+    if (ctx.reusedReply) return;
+
     try {
-      // Get existing opportunities
-      const opportunities = await ghlService.getContactOpportunities(
-        messageData.contact_id,
-        messageData.location_id
-      );
-      
-      // Extract device info for opportunity title
-      const deviceBrand = classification.device_brand || 
-                         classification.marque_appareil || 
-                         classification.marca_dispositivo || 'Appareil';
-      
-      const deviceModel = classification.device_model || 
-                         classification.modele_appareil || 
-                         classification.modelo_dispositivo || '';
-      
-      const opportunityTitle = `Réparation ${deviceBrand} ${deviceModel}`.trim();
-      
-      if (opportunities && opportunities.length > 0) {
-        // Update existing opportunity
-        console.log('🔄 Updating existing opportunity');
-        await ghlService.updateOpportunity(
-          opportunities[0].id,
-          {
-            name: opportunityTitle,
-            source: 'WhatsApp Automation',
-            status: 'open'
-          },
-          messageData.location_id
-        );
+      ctx.retrieval = await aiService.retrieveProducts(ctx.processedContent, ctx.analysis, ctx.language, llmProvider.startBudget('retrieve'));
+    } catch (error) {
+      console.error('❌ Product retrieval failed:', error.message);
+      ctx.aiResult = aiService.createFallbackResponse(ctx.processedContent, ctx.contactInfo);
+    }
+  }
+
+  // Generate: customer reply and classification. Plain price lookups are answered
+  // from catalog templates; everything else goes to the model chain
+  async generate(ctx) {
+    if (ctx.reusedReply) return;
+
+    if (!ctx.aiResult) {
+      const lookup = catalogResponder.mode === 'off'
+        ? { eligible: false, reason: 'disabled' }
+        : catalogResponder.evaluate(ctx.processedContent, ctx.analysis, ctx.retrieval);
+
+      if (lookup.eligible && catalogResponder.mode === 'on') {
+        console.log(`📋 Price lookup answered from the catalog (${lookup.items.length} items)`);
+        ctx.answerPath = 'catalog';
+        ctx.aiResult = catalogResponder.respond(lookup, ctx.processedContent, ctx.contactInfo, ctx.analysis, ctx.retrieval);
       } else {
-        // Create new opportunity
-        console.log('💼 Creating new opportunity');
-        await ghlService.createOpportunity(
-          messageData.contact_id,
-          opportunityTitle,
-          messageData.location_id
+        console.log(`🤖 Generating AI response... (catalog path: ${lookup.reason}${catalogResponder.mode === 'shadow' ? ', shadow' : ''})`);
+        ctx.answerPath = 'llm';
+        ctx.aiResult = await aiService.generateResponse(ctx.processedContent, ctx.contactInfo, {
+          analysis: ctx.analysis,
+          retrieval: ctx.retrieval,
+          budget: llmProvider.startBudget('generate')
+        });
+      }
+
+      catalogResponder.record(ctx.answerPath, lookup.reason);
+    }
+
+    console.log('✅ AI response generated:', {
+      response_length: ctx.aiResult.customer_response?.length,
+      model: ctx.aiResult.model_used,
+      method: ctx.aiResult.parsing_method,
+      language: ctx.aiResult.classification?.language,
+      products_found: ctx.aiResult.pricing_items_found,
+      fragments_merged: ctx.messages.length
+    });
+  }
+
+  // Verify: every quoted price must come from the catalog, then remember the final reply
+  async verify(ctx) {
+    if (ctx.reusedReply) return;
+
+    const reply = ctx.aiResult && ctx.aiResult.customer_response;
+    if (reply && priceGuard.mode !== 'off') {
+      await this._guardPrices(ctx, reply);
+    }
+
+    await conversationMemoryService.storeMessage(
+      ctx.contactInfo.contact_id,
+      'assistant',
+      ctx.aiResult.customer_response,
+      {
+        classification: ctx.aiResult.classification,
+        products_found: ctx.aiResult.pricing_items_found,
+        fragments_merged: ctx.messages.length,
+        model_used: ctx.aiResult.model_used,
+        prompt_version: ctx.aiResult.prompt_version,
+        answer_path: ctx.answerPath,
+        price_check: ctx.priceCheck ? ctx.priceCheck.action : undefined
+      }
+    );
+  }
+
+  // Send: format for the channel and deliver through GHL, recording progress per inbound message
+  async send(ctx) {
+    const reply = ctx.aiResult && ctx.aiResult.customer_response;
+
+    if (!reply || !reply.trim()) {
+      console.log('⚠️ No AI response generated');
+      ctx.halted = 'empty reply';
+      return;
+    }
+
+    const adapter = channelAdapters.get(ctx.messageData.channel);
+    ctx.chunks = channelAdapters.format(adapter, reply);
+
+    if (ctx.chunks.length > 1) {
+      console.log(`✂️ Reply split into ${ctx.chunks.length} ${adapter.label} messages`);
+    }
+
+    if (adapter.maxSegments) {
+      const counts = ctx.chunks.map(chunk => replySplitter.countSmsSegments(chunk));
+      ctx.smsSegments = counts.reduce((total, count) => total + count.segments, 0);
+      const ucs2 = counts.filter(count => count.encoding === 'UCS-2');
+      console.log(`📏 SMS cost: ${ctx.smsSegments} segments${ucs2.length ? ` (UCS-2 in ${ucs2.length} chunks: ${ucs2[0].non_gsm_chars.join(' ')})` : ' (GSM-7)'}`);
+    }
+
+    const record = ctx.inboundIds.length > 0
+      ? outboundLedgerService.recordPending(ctx.inboundIds, {
+          contact_id: ctx.messageData.contact_id,
+          channel: adapter.label,
+          reply: reply,
+          chunks: ctx.chunks,
+          sms_segments: ctx.smsSegments,
+          classification: ctx.aiResult.classification,
+          previous: ctx.previousRecord || null
+        })
+      : null;
+
+    // Chunks a failed attempt already delivered are not sent again
+    const firstChunk = record ? record.chunks_sent : 0;
+
+    try {
+      for (let index = firstChunk; index < ctx.chunks.length; index++) {
+        if (index > firstChunk) await replySplitter.pause();
+
+        ctx.sendResult = await ghlService.sendMessage(
+          ctx.messageData.contact_id,
+          ctx.chunks[index],
+          ctx.messageData.location_id,
+          ctx.messageData // Pass original data for channel detection
         );
+        if (record) outboundLedgerService.markChunkSent(record, ctx.sendResult);
       }
-      
+      if (record) outboundLedgerService.markSent(record, ctx.sendResult);
     } catch (error) {
-      console.error('⚠️ Failed to manage opportunity (non-critical):', error.message);
+      if (record) outboundLedgerService.markFailed(record, error);
+      throw error;
+    }
+  }
+
+  // CRM side-effects: tags and (optionally) opportunity stage, never fatal
+  async crm(ctx) {
+    ctx.crm = await faultTolerantProcessor.processPostAIActions(
+      ctx.messageData.contact_id,
+      ctx.aiResult.classification || {},
+      {
+        locationId: ctx.messageData.location_id,
+        targetStage: this.pipelineTargetStage
+      }
+    );
+  }
+
+  /**
+   * Pick the reply language from the customer's own words (image analyses are
+   * written in the language we asked for, so they are left out) or from Whisper,
+   * and remember confident detections as the contact's preference
+   * @private
+   */
+  _detectLanguage(ctx) {
+    const customerText = ctx.fragments
+      .filter(fragment => fragment.message_type !== 'image' && fragment.message_type !== 'photo')
+      .map(fragment => fragment.content)
+      .join('\n');
+
+    let detection = languageService.detect(customerText);
+    if (detection.confidence < 0.5 && ctx.spokenLanguages.length > 0) {
+      detection = { language: ctx.spokenLanguages[ctx.spokenLanguages.length - 1], confidence: 1, source: 'whisper' };
     }
+
+    const preferred = ctx.contactInfo.language;
+    ctx.language = languageService.resolve(detection, preferred);
+    ctx.contactInfo.language = ctx.language;
+
+    if (detection.language && detection.confidence >= 0.5 && detection.language !== preferred) {
+      conversationMemoryService.setPreferredLanguage(ctx.contactInfo.contact_id, detection.language);
+    }
+
+    console.log(`🌐 Reply language: ${ctx.language} (detected ${detection.language || 'none'} @ ${detection.confidence}, preferred ${preferred || 'none'})`);
+  }
+
+  /**
+   * Rewrite wrong figures from the catalog or regenerate once; a reply that still
+   * quotes unknown prices is replaced by the fallback response
+   * @private
+   */
+  async _guardPrices(ctx, reply) {
+    const products = (ctx.retrieval && ctx.retrieval.matchedProducts) || [];
+    const quotedItems = ctx.aiResult.classification?.quoted_items || [];
+    const check = priceGuard.check(reply, products, quotedItems);
+
+    ctx.priceCheck = { action: 'ok', amounts: check.amounts.length };
+    if (check.valid) return;
+
+    const incident = {
+      contact_id: ctx.contactInfo.contact_id,
+      inbound_message_ids: ctx.inboundIds,
+      mismatches: check.mismatches,
+      original_response: reply
+    };
+
+    if (priceGuard.mode === 'rewrite') {
+      const rewritten = priceGuard.rewrite(reply, check.mismatches);
+      if (rewritten.unresolved.length === 0) {
+        ctx.aiResult.customer_response = rewritten.text;
+        ctx.priceCheck.action = 'rewritten';
+        priceGuard.logIncident({ ...incident, action: 'rewritten', final_response: rewritten.text });
+        return;
+      }
+    }
+
+    console.log('🔄 Regenerating reply with only catalog prices...');
+    const regenerated = await aiService.generateResponse(ctx.processedContent, ctx.contactInfo, {
+      analysis: ctx.analysis,
+      retrieval: ctx.retrieval,
+      correction: priceGuard.buildCorrection(check.mismatches, ctx.language),
+      budget: llmProvider.startBudget('verify')
+    });
+    const recheck = priceGuard.check(regenerated.customer_response, products, regenerated.classification?.quoted_items);
+
+    if (recheck.valid) {
+      ctx.aiResult = regenerated;
+      ctx.priceCheck.action = 'regenerated';
+    } else {
+      ctx.aiResult = aiService.createFallbackResponse(ctx.processedContent, ctx.contactInfo);
+      ctx.priceCheck.action = 'fallback';
+    }
+
+    priceGuard.logIncident({ ...incident, action: ctx.priceCheck.action, final_response: ctx.aiResult.customer_response });
+  }
+
+  /**
+   * Extract the fields the pipeline needs from a GHL webhook payload
+   * @param {Object} body - Webhook body
+   * @returns {Object} Message data
+   */
+  extractMessageData(body) {
+    const contact = body.contact || {};
+    const message = body.message || {};
+
+    const messageData = {
+      contact_id: body.customData?.contact_id || contact.id || body.contactId,
+      contact_name: body.customData?.contact_name || contact.name || contact.firstName || 'Cliente',
+      contact_phone: contact.phone || '',
+      location_id: body.location?.id || body.locationId || this.defaultLocationId,
+      channel: channelAdapters.detect(body).label,
+      message_id: message.id || body.messageId,
+      conversation_id: body.conversation?.id || '',
+    };
+
+    // Parse message content
+    const content = body.customData?.message_text || message.body || message.text || '';
+    const mediaUrl = body.customData?.debug_has_attachments || body.customData?.media_url || '';
+
+    // Determine message type
+    let messageType = 'text';
+    if (mediaUrl) {
+      if (mediaUrl.includes('.jpg') || mediaUrl.includes('.jpeg') ||
+          mediaUrl.includes('.png') || mediaUrl.includes('.gif')) {
+        messageType = 'image';
+      } else {
+        messageType = 'voice'; // All other media as voice
+      }
+    }
+
+    // Check for attachments
+    const attachments = message.attachments || [];
+    if (attachments.length > 0) {
+      const attachment = attachments[0];
+      messageType = attachment.type === 'image' ? 'image' : 'voice';
+      messageData.media_url = attachment.url;
+    } else {
+      messageData.media_url = mediaUrl;
+    }
+
+    messageData.message_type = messageType;
+    messageData.content = content;
+
+    console.log(`✅ Detected: ${messageType.toUpperCase()} message`);
+
+    return messageData;
   }
 }
 
-module.exports = new MessageProcessor();
\ No newline at end of file
+module.exports = new MessageProcessor();
@@ -1,11 +1,44 @@
 const express = require('express');
 const router = express.Router();
-const SimplifiedAIService = require('../services/aiService');
+const MessageProcessor = require('../messageProcessor');
 const SimplifiedPricingService = require('../services/pricingService');
-const axios = require('axios');
+const ContactScheduler = require('../services/contactScheduler');
+const WebhookSecurityService = require('../services/webhookSecurityService');
+const OutboundLedgerService = require('../services/outboundLedgerService');
+const ChannelAdapters = require('../services/channelAdapters');
+const PriceGuard = require('../services/priceGuard');
+const BusinessProfile = require('../services/businessProfileService');
+const PromptRegistry = require('../services/promptRegistry');
+const ConversationMemory = require('../services/conversationMemoryService');
+const LLMProvider = require('../services/llmProvider');
+const CatalogResponder = require('../services/catalogResponder');
+const QuoteService = require('../services/quoteService');
+const crypto = require('crypto');
+
+// Keeps messages of one contact in order when they bypass the durable queue
+const directScheduler = new ContactScheduler({
+  concurrency: parseInt(process.env.QUEUE_CONCURRENCY, 10) || 4
+});
+
+// Reject unsigned, tampered or replayed webhooks before any paid processing
+function verifyWebhook(req, res, next) {
+  const signature = WebhookSecurityService.verifySignature(req.rawBody, req.headers);
+  if (!signature.valid) {
+    console.log('🚫 Webhook rejected:', signature.reason);
+    return res.status(401).json({ error: 'Invalid signature' });
+  }
+  
+  const timestamp = WebhookSecurityService.checkTimestamp(req.body, req.headers);
+  if (!timestamp.valid) {
+    console.log('🚫 Webhook rejected:', timestamp.reason);
+    return res.status(401).json({ error: 'Stale or missing timestamp' });
+  }
+  
+  next();
+}
 
 // POST /webhook/ghl - Simplified GHL webhook
-router.post('/ghl', async (req, res) => {
+router.post('/ghl', verifyWebhook, async (req, res) => {
   try {
     console.log('📨 GHL webhook received');
     
@@ -14,7 +47,7 @@ router.post('/ghl', async (req, res) => {
     }
     
     // Extract message data
-    const messageData = extractMessageData(req.body);
+    const messageData = MessageProcessor.extractMessageData(req.body);
     
     console.log('📋 Message data:', {
       contact_id: messageData.contact_id,
@@ -24,16 +57,33 @@ router.post('/ghl', async (req, res) => {
       has_media: !!messageData.media_url
     });
 
+    // GHL retries and replays of an accepted message must not produce a second reply
+    if (WebhookSecurityService.isDuplicate(messageData.message_id)) {
+      console.log(`🔁 Duplicate webhook for message ${messageData.message_id}, ignoring`);
+      return res.status(200).json({ 
+        status: 'duplicate', 
+        message_id: messageData.message_id 
+      });
+    }
+    
+    // Persist before acknowledging so a crash never loses the message
+    const addToQueue = req.app.locals.addToQueue;
+    const jobId = addToQueue ? addToQueue(messageData) : null;
+    WebhookSecurityService.markSeen(messageData.message_id);
+    
     // Quick response to GHL
     res.status(200).json({ 
       status: 'received', 
       message: 'Processing your request...',
       contact_id: messageData.contact_id,
+      job_id: jobId,
       timestamp: new Date().toISOString()
     });
     
-    // Process message asynchronously
-    processMessageAsync(messageData);
+    // Process message asynchronously when no queue is mounted
+    if (!addToQueue) {
+      processMessageAsync(messageData);
+    }
     
   } catch (error) {
     console.error('❌ Webhook error:', error);
@@ -41,236 +91,17 @@ router.post('/ghl', async (req, res) => {
   }
 });
 
-function extractMessageData(body) {
-  const contact = body.contact || {};
-  const message = body.message || {};
-  
-  const messageData = {
-    contact_id: body.customData?.contact_id || contact.id || body.contactId,
-    contact_name: body.customData?.contact_name || contact.name || contact.firstName || 'Cliente',
-    contact_phone: contact.phone || '',
-    location_id: body.location?.id || 'hij5g6beL7ebCFVa1fyq',
-    channel: body.customData?.channel || 
-             body.contact?.attributionSource?.medium || 
-             'SMS',
-    message_id: message.id,
-    conversation_id: body.conversation?.id || '',
-  };
-  
-  // Parse message content
-  const content = body.customData?.message_text || message.body || message.text || '';
-  const mediaUrl = body.customData?.debug_has_attachments || body.customData?.media_url || '';
-  
-  // Determine message type
-  let messageType = 'text';
-  if (mediaUrl) {
-    if (mediaUrl.includes('.jpg') || mediaUrl.includes('.jpeg') || 
-        mediaUrl.includes('.png') || mediaUrl.includes('.gif')) {
-      messageType = 'image';
-    } else {
-      messageType = 'voice'; // All other media as voice
-    }
-  }
-  
-  // Check for attachments
-  const attachments = message.attachments || [];
-  if (attachments.length > 0) {
-    const attachment = attachments[0];
-    messageType = attachment.type === 'image' ? 'image' : 'voice';
-    messageData.media_url = attachment.url;
-  } else {
-    messageData.media_url = mediaUrl;
-  }
-  
-  messageData.message_type = messageType;
-  messageData.content = content;
-  
-  console.log(`✅ Detected: ${messageType.toUpperCase()} message`);
-  
-  return messageData;
-}
-
 async function processMessageAsync(messageData) {
   try {
-    console.log('🔄 Processing message...');
-    
-    // Validate data
-    if (!messageData.content && !messageData.media_url) {
-      console.log('⚠️ No content or media, skipping');
-      return;
-    }
-    
-    if (!messageData.contact_id) {
-      console.log('⚠️ No contact_id, cannot send response');
-      return;
-    }
-    
-    // Process with AI
-    console.log('🤖 Generating AI response...');
-    const aiResult = await SimplifiedAIService.processMessage(
-      messageData.content,
-      messageData.message_type,
-      messageData.media_url,
-      null, // pricingData not needed - AI service handles search
-      {
-        contact_id: messageData.contact_id,
-        full_name: messageData.contact_name,
-        phone: messageData.contact_phone,
-        channel: messageData.channel
-      }
+    await directScheduler.schedule(
+      messageData.contact_id || messageData.message_id,
+      () => MessageProcessor.processBatch([messageData])
     );
-    
-    console.log('✅ AI response generated:', {
-      response_length: aiResult.customer_response?.length,
-      language: aiResult.classification?.language,
-      products_found: aiResult.pricing_items_found
-    });
-    
-    // Send response
-    if (aiResult.customer_response && aiResult.customer_response.trim()) {
-      console.log('📤 Sending response...');
-      await sendResponse(messageData, aiResult.customer_response);
-      console.log('✅ Response sent successfully');
-      
-      // Optional: Add tags (non-blocking)
-      try {
-        await addTags(messageData.contact_id, aiResult.classification, messageData.location_id);
-      } catch (tagError) {
-        console.log('⚠️ Tagging failed (non-critical):', tagError.message);
-      }
-      
-    } else {
-      console.log('⚠️ No AI response generated');
-    }
-    
   } catch (error) {
     console.error('❌ Message processing error:', error.message);
   }
 }
 
-async function sendResponse(messageData, responseText) {
-  try {
-    // Determine message type based on channel
-    const channel = messageData.channel?.toLowerCase() || '';
-    let messageType = "SMS"; // Default
-    
-    if (channel.includes('instagram')) {
-      messageType = "IG";
-    } else if (channel.includes('facebook') || channel.includes('messenger')) {
-      messageType = "FB";
-    } else if (channel.includes('whatsapp')) {
-      messageType = "WhatsApp";
-    }
-
-    console.log('📤 Sending message via', messageType);
-
-    const payload = {
-      type: messageType,
-      contactId: messageData.contact_id,
-      locationId: messageData.location_id,
-      message: responseText
-    };
-
-    const response = await axios.post(
-      'https://services.leadconnectorhq.com/conversations/messages', 
-      payload,
-      {
-        headers: {
-          'Authorization': `Bearer ${process.env.GHL_API_KEY}`,
-          'Content-Type': 'application/json',
-          'Version': '2021-04-15'
-        },
-        timeout: 30000
-      }
-    );
-    
-    console.log('✅ Message sent successfully');
-    return response.data;
-    
-  } catch (error) {
-    console.error('❌ Failed to send message:', error.response?.data || error.message);
-    throw error;
-  }
-}
-
-async function addTags(contactId, classification, locationId) {
-  try {
-    const tags = [];
-    
-    // Predefined brand tags - map AI classification to exact predefined tags
-    const brandMapping = {
-      'iphone': 'Apple',
-      'apple': 'Apple',
-      'samsung': 'Samsung',
-      'xiaomi': 'Xiaomi',
-      'huawei': 'Huawei',
-      'lg': 'LG',
-      'motorola': 'Motorola',
-      'sony': 'Sony'
-    };
-    
-    // Predefined service tags - map AI classification to exact predefined tags
-    const serviceMapping = {
-      'cambio de pantalla': 'Pantalla',
-      'reparacion de pantalla': 'Pantalla',
-      'pantalla': 'Pantalla',
-      'screen': 'Pantalla',
-      'cambio de bateria': 'Bateria',
-      'reparacion de bateria': 'Bateria',
-      'bateria': 'Bateria',
-      'battery': 'Bateria',
-      'camara': 'Camara',
-      'camera': 'Camara',
-      'altavoz': 'Altavoz',
-      'speaker': 'Altavoz',
-      'microfono': 'Microfono',
-      'microphone': 'Microfono'
-    };
-    
-    // Add brand tag if recognized
-    if (classification.device_brand && classification.device_brand !== 'unknown') {
-      const normalizedBrand = classification.device_brand.toLowerCase();
-      const predefinedBrand = brandMapping[normalizedBrand];
-      if (predefinedBrand) {
-        tags.push(predefinedBrand);
-      }
-    }
-    
-    // Add service tag if recognized
-    if (classification.service_type && classification.service_type !== 'consulta general') {
-      const normalizedService = classification.service_type.toLowerCase();
-      const predefinedService = serviceMapping[normalizedService];
-      if (predefinedService) {
-        tags.push(predefinedService);
-      }
-    }
-    
-    if (tags.length === 0) return;
-    
-    console.log('🏷️ Adding predefined tags:', tags);
-    
-    // Add tags via GHL API
-    await axios.post(
-      'https://services.leadconnectorhq.com/contacts/' + contactId + '/tags',
-      { tags },
-      {
-        headers: {
-          'Authorization': `Bearer ${process.env.GHL_API_KEY}`,
-          'Content-Type': 'application/json',
-          'Version': '2021-04-15'
-        },
-        timeout: 10000
-      }
-    );
-    
-    console.log('✅ Tags added successfully');
-    
-  } catch (error) {
-    console.error('❌ Tagging error:', error.message);
-    throw error;
-  }
-}
-
 // Test endpoint
 router.post('/test', async (req, res) => {
   console.log('🧪 Test webhook received:', req.body);
@@ -284,14 +115,14 @@ router.post('/test', async (req, res) => {
       phone: "+1234567890"
     },
     message: {
-      id: "test_msg_123",
+      id: `test_msg_${Date.now()}`,
       body: testMessage,
       attachments: []
     },
     locationId: "hij5g6beL7ebCFVa1fyq"
   };
   
-  const messageData = extractMessageData(mockPayload);
+  const messageData = MessageProcessor.extractMessageData(mockPayload);
   processMessageAsync(messageData);
   
   res.json({ 
@@ -304,7 +135,7 @@ router.post('/test', async (req, res) => {
 router.get('/health', async (req, res) => {
   try {
     // Test pricing service
-    await FixedPricingService.getPricingData();
+    await SimplifiedPricingService.getPricingData();
     
     res.json({
       status: 'healthy',
@@ -322,7 +153,15 @@ router.get('/health', async (req, res) => {
         semantic_search: 'enabled',
         exact_model_matching: 'enabled',
         approximate_matching: 'enabled'
-      }
+      },
+      pipeline: MessageProcessor.getStageNames(),
+      llm: LLMProvider.getHealthStatus(),
+      answer_paths: CatalogResponder.getStats(),
+      catalog: SimplifiedPricingService.getCatalogStatus(),
+      channels: ChannelAdapters.list(),
+      business_profile: BusinessProfile.getHealthStatus(),
+      pricing_rules: QuoteService.getHealthStatus(),
+      webhook_security: WebhookSecurityService.getHealthStatus()
     });
   } catch (error) {
     res.status(500).json({
@@ -338,22 +177,24 @@ router.post('/search', async (req, res) => {
   try {
     const query = req.body.query || req.query.q || 'iPhone 13 pantalla';
     
-    console.log(`🔍 Testing semantic search for: "${query}"`);
+    console.log(`🔍 Testing hybrid search for: "${query}"`);
     
-    const products = await FixedPricingService.searchProducts(query, 10);
+    const products = await SimplifiedPricingService.searchProducts(query, 10);
     
     res.json({
       success: true,
       query: query,
       products_found: products.length,
-      search_type: 'semantic',
+      search_type: 'hybrid',
       products: products.map(p => ({
         name: p.Prod || Object.values(p)[0],
         price: p['PUBLICO TIENDA'] || 'N/A',
         similarity: p._similarity ? (p._similarity * 100).toFixed(1) + '%' : undefined,
         score: p._score || undefined,
         is_approximate: p._isApproximate || false,
-        exact_model_requested: p._exactModelRequested || undefined
+        exact_model_requested: p._exactModelRequested || undefined,
+        attributes: p._metadata ? p._metadata.attributes : undefined,
+        explanation: p._explanation
       })),
       timestamp: new Date().toISOString()
     });
@@ -365,4 +206,106 @@ router.post('/search', async (req, res) => {
   }
 });
 
+// Operator endpoints require ADMIN_API_KEY in the x-admin-key header
+function requireAdmin(req, res, next) {
+  const adminKey = process.env.ADMIN_API_KEY;
+  
+  if (!adminKey) {
+    return res.status(503).json({ error: 'Admin API disabled (ADMIN_API_KEY not set)' });
+  }
+  
+  // Digests have the same length whatever was sent, so timingSafeEqual never throws
+  const digest = value => crypto.createHash('sha256').update(String(value)).digest();
+  const valid = crypto.timingSafeEqual(digest(req.headers['x-admin-key'] || ''), digest(adminKey));
+  
+  if (!valid) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  
+  next();
+}
+
+// Outbound ledger - what was sent for which inbound message
+router.get('/outbound', requireAdmin, (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+  const records = OutboundLedgerService.listRecent(limit);
+  
+  res.json({
+    count: records.length,
+    records: records
+  });
+});
+
+router.get('/outbound/:messageId', requireAdmin, (req, res) => {
+  const record = OutboundLedgerService.getRecord(req.params.messageId);
+  
+  if (!record) {
+    return res.status(404).json({ error: 'No outbound record for this message' });
+  }
+  
+  res.json(record);
+});
+
+// Replies whose prices did not match the catalog
+router.get('/price-incidents', requireAdmin, (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+  const incidents = PriceGuard.listIncidents(limit);
+  
+  res.json({
+    mode: PriceGuard.mode,
+    count: incidents.length,
+    incidents: incidents
+  });
+});
+
+// Business profile currently injected into prompts
+router.get('/business-profile', requireAdmin, (req, res) => {
+  res.json({
+    status: BusinessProfile.getHealthStatus(),
+    profile: BusinessProfile.getProfile()
+  });
+});
+
+// Re-read the profile now instead of waiting for the file watcher
+router.post('/business-profile/reload', requireAdmin, (req, res) => {
+  const result = BusinessProfile.reload();
+  res.status(result.reloaded ? 200 : 422).json(result);
+});
+
+// Re-read pricing.csv now instead of waiting for the file watcher; only changed rows are embedded
+router.post('/catalog/reload', requireAdmin, async (req, res) => {
+  try {
+    const result = await SimplifiedPricingService.reload();
+    res.status(result.reloaded ? 200 : 422).json({ ...result, catalog: SimplifiedPricingService.getCatalogStatus() });
+  } catch (error) {
+    // The live catalog is only swapped once every vector is ready, so it is still in place
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Labour fees, exclusions, rounding and promotions applied to catalog prices
+router.get('/pricing-rules', requireAdmin, (req, res) => {
+  res.json({
+    status: QuoteService.getHealthStatus(),
+    rules: QuoteService.rules
+  });
+});
+
+// Re-read the pricing rules now instead of waiting for the file watcher
+router.post('/pricing-rules/reload', requireAdmin, (req, res) => {
+  const result = QuoteService.reload();
+  res.status(result.reloaded ? 200 : 422).json(result);
+});
+
+// Prompt versions, the running A/B split and how each version converts
+router.get('/prompts', requireAdmin, (req, res) => {
+  res.json({
+    ...PromptRegistry.describe(),
+    stats: ConversationMemory.getPromptVersionStats()
+  });
+});
+
 module.exports = router;
\ No newline at end of file
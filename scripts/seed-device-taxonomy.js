@@ -0,0 +1,67 @@
+#!/usr/bin/env node
+/**
+ * Seed device-taxonomy.json with every model named in pricing.csv.
+ *
+ *   node scripts/seed-device-taxonomy.js [pricing.csv]
+ *
+ * Families, prefixes and patterns are curated by hand in the taxonomy file; this
+ * script only adds the models and codes it finds. Existing entries keep their name
+ * and aliases, gain newly seen codes, and are never removed, so models added by
+ * hand (or no longer in the catalog) survive a re-seed.
+ */
+const fs = require('fs');
+const path = require('path');
+const deviceTaxonomy = require('../services/deviceTaxonomy');
+const csvReader = require('../services/csvReader');
+const pricingService = require('../services/pricingService');
+
+const csvPath = process.argv[2] || path.join(__dirname, '..', 'pricing.csv');
+
+// Product name of each row, from the column the pricing service reads it from
+function productNames(csvContent) {
+  const csv = csvReader.parse(csvContent);
+  const column = pricingService.mapColumns(csv.headers).name;
+
+  return csv.records.map(record => (record.values[column] || '').trim()).filter(Boolean);
+}
+
+function main() {
+  const taxonomy = JSON.parse(fs.readFileSync(deviceTaxonomy.taxonomyPath, 'utf8'));
+  const names = productNames(fs.readFileSync(csvPath, 'utf8'));
+  const familyOrder = taxonomy.families.map(family => family.key);
+
+  const models = new Map(taxonomy.models.map(model => [model.id, { ...model, codes: [...(model.codes || [])] }]));
+  let added = 0;
+  let matchedRows = 0;
+
+  for (const name of names) {
+    const found = deviceTaxonomy.extract(name);
+    if (found.length > 0) matchedRows++;
+
+    for (const { id, family, model, codes } of found) {
+      if (!models.has(id)) {
+        models.set(id, { id, family, model, name: deviceTaxonomy.displayName(family, model), aliases: [], codes: [] });
+        added++;
+      }
+
+      const entry = models.get(id);
+      for (const code of codes) {
+        if (!entry.codes.includes(code)) entry.codes.push(code);
+      }
+    }
+  }
+
+  taxonomy.models = Array.from(models.values())
+    .map(model => ({ ...model, codes: model.codes.sort() }))
+    .sort((a, b) =>
+      familyOrder.indexOf(a.family) - familyOrder.indexOf(b.family) ||
+      a.model.localeCompare(b.model, 'en', { numeric: true })
+    );
+
+  fs.writeFileSync(deviceTaxonomy.taxonomyPath, JSON.stringify(taxonomy, null, 2) + '\n');
+
+  console.log(`✅ ${path.basename(deviceTaxonomy.taxonomyPath)}: ${taxonomy.models.length} models (${added} new), ` +
+    `${matchedRows}/${names.length} catalog rows name a known family`);
+}
+
+main();
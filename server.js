@@ -7,12 +7,21 @@ const PORT = process.env.PORT || 3000;
 
 // Middleware
 app.use(cors());
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Keep the exact bytes for webhook signature verification
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // Import routes
 const webhookRoutes = require('./routes/webhook');
 
+// Durable on-disk queue so inbound messages survive restarts and deploys
+const messageQueue = require('./services/messageQueueService');
+
 // Routes
 app.use('/webhook', webhookRoutes);
 
@@ -21,55 +30,28 @@ app.get('/health', (req, res) => {
   res.json({ 
     status: 'OK', 
     timestamp: new Date().toISOString(),
-    service: 'GHL Webhook Bot'
+    service: 'GHL Webhook Bot',
+    queue: messageQueue.getStats()
   });
 });
 
-// Simple in-memory queue to prevent message loss
-const messageQueue = [];
-let processing = false;
-
-// Process messages sequentially to avoid parallel execution issues
-async function processMessageQueue() {
-  if (processing || messageQueue.length === 0) return;
-  
-  processing = true;
-  console.log(`📥 Processing queue: ${messageQueue.length} messages`);
-  
-  while (messageQueue.length > 0) {
-    const message = messageQueue.shift();
-    try {
-      await processMessage(message);
-      console.log('✅ Message processed successfully');
-    } catch (error) {
-      console.error('❌ Error processing message:', error.message);
-      // Could add retry logic here if needed
-    }
-  }
-  
-  processing = false;
-}
-
-// Import message processor
-const messageProcessor = require('./messageProcessor');
-
-// Process message using the proper processor
-async function processMessage(message) {
-  return await messageProcessor.processMessage(message);
-}
-
-// Add message to queue
+// Add message to queue (persisted before this returns)
 function addToQueue(message) {
-  messageQueue.push(message);
-  console.log(`📨 Added to queue. Queue length: ${messageQueue.length}`);
-  
-  // Process queue (non-blocking)
-  setImmediate(processMessageQueue);
+  return messageQueue.enqueue(message);
 }
 
 // Make addToQueue available globally
 app.locals.addToQueue = addToQueue;
 
+// Queued messages run through the message pipeline;
+// bursts from one contact are merged into a single turn
+const messageProcessor = require('./messageProcessor');
+const messageDebouncer = require('./services/messageDebouncer');
+
+messageQueue.start(messages => messageProcessor.processBatch(messages), {
+  getBatchDelay: jobs => messageDebouncer.getSettleDelay(jobs.map(job => job.enqueued_at))
+});
+
 // Error handling middleware
 app.use((error, req, res, next) => {
   console.error('🚨 Server Error:', error);
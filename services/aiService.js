@@ -1,109 +1,105 @@
-const OpenAI = require("openai");
 const axios = require("axios");
+const llmProvider = require("./llmProvider");
+const structuredReply = require("./structuredReply");
+const languageService = require("./languageService");
+const businessProfileService = require("./businessProfileService");
+const promptRegistry = require("./promptRegistry");
+const catalogResponder = require("./catalogResponder");
+const deviceTaxonomy = require("./deviceTaxonomy");
+const quoteService = require("./quoteService");
 
 class FixedAIService {
   constructor() {
-    const apiKey = process.env.OPENAI_API_KEY;
-    if (!apiKey) {
-      throw new Error("Clave API OpenAI faltante");
+    console.log(`✅ Servicio IA Corregido inicializado - ${llmProvider.chain.join(' → ')} (${llmProvider.name}) con matching exacto de productos`);
+  }
+
+  // Media stage: turn a voice note or image into text, text passes through.
+  // Returns { content, language } where language is Whisper's detection for voice notes.
+  async processMedia(fragment, language, budget = llmProvider.startBudget('media')) {
+    const messageType = fragment.message_type;
+
+    if (messageType === "voice" || messageType === "audio") {
+      return this.transcribeAudio(fragment.media_url, language, budget);
+    }
+    if (messageType === "image" || messageType === "photo") {
+      return { content: await this.analyzeImage(fragment.media_url, language, budget), language: null };
     }
 
-    this.openai = new OpenAI({
-      apiKey,
-      timeout: 45000,
-      maxRetries: 3,
-    });
-    
-    console.log("✅ Servicio IA Corregido inicializado - GPT-4o con matching exacto de productos");
+    return { content: fragment.content, language: null };
   }
 
-  async processMessage(messageContent, messageType, mediaUrl, pricingData, contactInfo) {
-    try {
-      let processedContent = messageContent;
+  // Understand stage: greeting detection plus exact model and part extraction
+  analyzeMessage(processedContent) {
+    const isSimpleGreeting = this._isSimpleGreeting(processedContent);
 
-      // Handle media with better processing
-      if (messageType === "voice" || messageType === "audio") {
-        processedContent = await this.transcribeAudio(mediaUrl);
-      } else if (messageType === "image" || messageType === "photo") {
-        processedContent = await this.analyzeImage(mediaUrl);
-      }
+    if (isSimpleGreeting) {
+      console.log('🤝 Saludo simple detectado, no buscando productos');
+      return { isSimpleGreeting, queryAnalysis: null };
+    }
 
-      // Store in memory if service exists
-      try {
-        const ConversationMemoryService = require('./conversationMemoryService');
-        ConversationMemoryService.storeMessage(
-          contactInfo.contact_id,
-          'user',
-          processedContent,
-          { 
-            message_type: messageType, 
-            media_url: mediaUrl,
-            contact_name: contactInfo.full_name,
-            channel: contactInfo.channel
-          }
-        );
-      } catch (err) {
-        console.log('Servicio memoria no disponible, continuando...');
-      }
+    const queryAnalysis = this._analyzeQuery(processedContent);
+    console.log(`🔍 Análisis query:`, queryAnalysis);
 
-      // Generate AI response with improved model
-      const aiResult = await this.generateResponse(processedContent, contactInfo);
+    return { isSimpleGreeting, queryAnalysis };
+  }
 
-      // Store AI response in memory if service exists
-      try {
-        const ConversationMemoryService = require('./conversationMemoryService');
-        ConversationMemoryService.storeMessage(
-          contactInfo.contact_id,
-          'assistant',
-          aiResult.customer_response,
-          { 
-            classification: aiResult.classification,
-            products_found: aiResult.pricing_items_found,
-            model_used: 'gpt-4o'
-          }
-        );
-      } catch (err) {
-        console.log('Servicio memoria no disponible para respuesta IA, continuando...');
-      }
+  // Retrieve stage: catalog search narrowed to the exact model and part
+  async retrieveProducts(processedContent, analysis, language, budget = llmProvider.startBudget('retrieve')) {
+    const locale = languageService.getLocale(language);
+
+    if (analysis.isSimpleGreeting) {
+      return { products: [], matchedProducts: [], items: [], productsText: locale.products.notApplicable };
+    }
 
-      return aiResult;
+    const SimplifiedPricingService = require('./pricingService');
+    const products = await SimplifiedPricingService.searchProducts(processedContent, 50, { budget }); // Get more results
 
-    } catch (error) {
-      console.error("❌ Error procesamiento IA:", error.message);
-      return this.createFallbackResponse(processedContent, contactInfo);
+    console.log(`📊 Encontrado ${products.length} productos para: "${processedContent}"`);
+
+    // Match products with exact model and part filtering; tools, consumables and rentals are not repairs
+    const matchedProducts = this._matchExactProducts(products, analysis.queryAnalysis)
+      .filter(product => !quoteService.exclusionReason(this._getProductName(product)));
+    console.log(`🎯 Productos matched: ${matchedProducts.length}`);
+
+    // Part + labour for each row; the price guard checks replies against these totals
+    for (const product of matchedProducts) {
+      product._quote = quoteService.quote({
+        name: this._getProductName(product),
+        price: this._getPrice(product),
+        catalog_id: product._productId || null,
+        category: product._metadata ? product._metadata.serviceType : undefined,
+        brand: product._metadata ? product._metadata.attributes.brand : undefined
+      });
     }
-  }
 
-  async generateResponse(processedContent, contactInfo) {
-    try {
-      // Check if this is a simple greeting without product inquiry
-      const isSimpleGreeting = this._isSimpleGreeting(processedContent);
-      
-      // Search for products only if NOT a simple greeting
-      let products = [];
-      let matchedProducts = [];
-      let productsText = '';
-      
-      if (!isSimpleGreeting) {
-        const SimplifiedPricingService = require('./pricingService');
-        products = await SimplifiedPricingService.searchProducts(processedContent, 50); // Get more results
-        
-        console.log(`📊 Encontrado ${products.length} productos para: "${processedContent}"`);
+    // Create products text for AI
+    const productsText = this._createProductsText(matchedProducts, analysis.queryAnalysis, locale);
 
-        // Extract exact model and part type from query
-        const queryAnalysis = this._analyzeQuery(processedContent);
-        console.log(`🔍 Análisis query:`, queryAnalysis);
+    // Name and repair price of each matched row, as quoted to the customer
+    const items = matchedProducts.map(product => ({
+      name: this._getProductName(product),
+      price: product._quote ? product._quote.total : this._getPrice(product),
+      catalog_id: product._productId || null,
+      quote: product._quote
+    }));
 
-        // Match products with exact model and part filtering
-        matchedProducts = this._matchExactProducts(products, queryAnalysis);
-        console.log(`🎯 Productos matched: ${matchedProducts.length}`);
+    return { products, matchedProducts, items, productsText };
+  }
 
-        // Create products text for AI
-        productsText = this._createProductsText(matchedProducts, queryAnalysis);
-      } else {
-        console.log('🤝 Saludo simple detectado, no buscando productos');
-        productsText = 'No aplicable - saludo simple.';
-      }
+  // Generate stage; analysis and retrieval are computed here when not passed in.
+  // Models of the chain are tried in order within the stage budget; when none
+  // answers, the matched catalog rows are sent in a fixed template
+  async generateResponse(processedContent, contactInfo, context = {}) {
+    let analysis = context.analysis || null;
+    let retrieval = context.retrieval || null;
+
+    try {
+      const locale = languageService.getLocale(contactInfo.language);
+      analysis = analysis || this.analyzeMessage(processedContent);
+      retrieval = retrieval || await this.retrieveProducts(processedContent, analysis, locale.code);
+
+      const isSimpleGreeting = analysis.isSimpleGreeting;
+      const { products, matchedProducts, productsText } = retrieval;
       
       // Get extended conversation context
       let conversationContext = '';
@@ -112,89 +108,56 @@ class FixedAIService {
         const context = ConversationMemoryService.getConversationContext(contactInfo.contact_id, 8);
         
         if (context.length > 0) {
-          conversationContext = 'Contexto de conversación:\n' + 
-            context.map(msg => `${msg.role === 'user' ? 'Cliente' : 'Asistente'}: ${msg.content.substring(0, 150)}`).join('\n') + '\n\n';
+          conversationContext = `${locale.labels.conversationContext}:\n` + 
+            context.map(msg => `${msg.role === 'user' ? locale.labels.customer : locale.labels.assistant}: ${msg.content.substring(0, 150)}`).join('\n') + '\n\n';
         }
       } catch (err) {
         console.log('No hay memoria de conversación disponible');
       }
 
-      const systemPrompt = `Eres el asistente virtual de ReparaloYA, especialista en reparación de teléfonos móviles en Montevideo, Uruguay.
-
-REGLAS CRÍTICAS:
-1. 🇪🇸 RESPONDE SIEMPRE EN ESPAÑOL
-2. 🤝 SALUDOS: Si solo saluda (Hola, Hi, etc.) SIN mencionar productos → saluda y pregunta en qué puedes ayudar HOY
-3. 🎯 PRODUCTOS: Cuando solicite producto específico → MUESTRA TODAS las opciones disponibles de ese modelo exacto
-4. 💰 PRECIOS: USA EXACTAMENTE los precios proporcionados - NUNCA inventes o modifiques
-5. ✅ COINCIDENCIA EXACTA: iPhone 14 = iPhone 14 (NO iPhone 14 Plus, NO iPhone 14 Pro)
-6. 📱 CALIDADES: Muestra TODAS las calidades disponibles (Original, Incell, ORI GLASS, etc.)
-7. 📝 FORMATO: USA SOLO TEXTO PLANO - NO uses markdown, asteriscos (**), hashtags (#), o símbolos de formato
-
-PRODUCTOS ENCONTRADOS:
-${productsText}
-
-INFORMACIÓN DEL NEGOCIO:
-📞 WhatsApp: 098565349 | Teléfono: 2200-21-91
-
-🏪 SUCURSALES:
-• La Comercial: Carlos Reyles 1750, esq. José L. Terra
-• Pocitos: Chucarro 1107, esq. Masini  
-• Tres Cruces: Mario Cassinoni 1684
-
-✨ Garantía: 30 días | 🚚 Retiro a domicilio disponible
-
-EJEMPLOS CORRECTOS:
-
-Cliente: "Hola"
-Respuesta: "¡Hola! ¿En qué puedo ayudarte hoy?"
-
-Cliente: "Pantalla iPhone 14"
-Respuesta: "Para cambio de pantalla iPhone 14 tenemos:
-• iPhone 14: 22,500 UYU
-• iPhone 14 (ORI GLASS): 19,990 UYU  
-• iPhone 14 INCELL: 14,985 UYU
-Todas con garantía de 30 días. ¿Cuál te conviene?"
-
-Cliente: "Pantalla iPhone 13"  
-Respuesta: "Para el cambio de pantalla del iPhone 13, tenemos las siguientes opciones disponibles:
-• Pantalla iPhone 13 (ORI GLASS): 16,300 UYU
-• Pantalla iPhone 13 INCELL (ORI IC): 7,895 UYU  
-• Pantalla iPhone 13: 21,590 UYU
-Todas nuestras pantallas vienen con una garantía de 30 días. ¿Te gustaría más información sobre alguna de estas opciones?"
-
-NUNCA HAGAS ESTO:
-- Mostrar iPhone 14 Plus cuando piden iPhone 14
-- Inventar precios diferentes a los dados
-- Mostrar solo 1 opción cuando hay varias
-- Asumir continuación de conversación en saludos simples
-
-RESPONDE COMO HUMANO PROFESIONAL Y ÚTIL.`;
-
-      const userPrompt = `Cliente: ${contactInfo.full_name || "Cliente"}
-Mensaje: "${processedContent}"
-
-${conversationContext}
-
-INSTRUCCIONES:
-1. Si es saludo simple → Saluda y pregunta en qué ayudar HOY
-2. Si pide producto específico → Muestra TODAS las opciones de ese modelo exacto con precios exactos
-3. USA EXACTAMENTE los precios de los datos, no los cambies
-4. Responde en español naturalmente`;
-
-      const result = await this.openai.chat.completions.create({
-        model: "gpt-4o",
-        messages: [
-          { role: "system", content: systemPrompt },
-          { role: "user", content: userPrompt }
-        ],
-        temperature: 0.1,
-        max_tokens: 800,
+      const profile = businessProfileService.getProfile();
+      const prompt = promptRegistry.render(promptRegistry.assign(contactInfo.contact_id), locale.code, {
+        products: productsText,
+        business_info: businessProfileService.renderBusinessInfo(locale.code),
+        business_name: profile.business.name,
+        city: profile.business.city,
+        country: profile.business.country,
+        warranty_days: profile.warranty.days,
+        customer_name: contactInfo.full_name || locale.labels.customer,
+        message: processedContent,
+        conversation_context: conversationContext,
+        correction: context.correction || ''
       });
 
-      const response = result.choices[0].message.content.trim();
-      
-      // Extract classification
-      const classification = this._extractClassification(processedContent, response, isSimpleGreeting);
+      const messages = [
+        { role: "system", content: prompt.system },
+        { role: "user", content: prompt.user }
+      ];
+
+      const structured = await this._requestStructuredReply(messages, context.budget || llmProvider.startBudget('generate'), locale.code);
+      if (!structured) {
+        return this.createCatalogResponse(processedContent, contactInfo, analysis, retrieval);
+      }
+
+      let response;
+      let classification;
+      let parsingMethod;
+
+      if (structured.valid) {
+        response = structured.value.customer_response.trim();
+        classification = structuredReply.toClassification(structured.value, matchedProducts);
+        parsingMethod = structured.repaired ? 'structured-json-repaired' : 'structured-json';
+      } else {
+        // Last resort: keep whatever reply text we got and guess the classification
+        response = this._salvageResponseText(structured);
+        if (!response) {
+          console.log(`⚠️ Salida estructurada inválida sin texto utilizable: ${structured.errors.slice(0, 3).join('; ')}`);
+          return this.createCatalogResponse(processedContent, contactInfo, analysis, retrieval);
+        }
+        console.log('⚠️ Salida estructurada inválida, usando clasificación heurística');
+        classification = this._extractClassification(processedContent, isSimpleGreeting, locale.code);
+        parsingMethod = 'heuristic-fallback';
+      }
 
       return {
         customer_response: response,
@@ -203,22 +166,83 @@ INSTRUCCIONES:
         pricing_items_found: matchedProducts.length,
         total_products_searched: products.length,
         is_simple_greeting: isSimpleGreeting,
-        query_analysis: isSimpleGreeting ? null : this._analyzeQuery(processedContent),
-        parsing_method: 'exact-matching-fixed',
-        model_used: 'gpt-4o'
+        query_analysis: analysis.queryAnalysis,
+        quotes: retrieval.items.map(item => item.quote).filter(Boolean),
+        parsing_method: parsingMethod,
+        prompt_version: prompt.version,
+        model_used: structured.model
       };
 
     } catch (error) {
       console.error("❌ Error generación respuesta:", error.message);
-      return this.createFallbackResponse(processedContent, contactInfo);
+      return this.createCatalogResponse(processedContent, contactInfo, analysis, retrieval);
     }
   }
 
+  // Walk the model chain: a model that fails, times out or never produces valid JSON
+  // hands over to the next one. Returns null when no model answered at all.
+  async _requestStructuredReply(messages, budget, language) {
+    let invalid = null;
+
+    for (const model of llmProvider.chain) {
+      try {
+        const parsed = await this._requestStructuredReplyFrom(model, messages, budget, language);
+        if (parsed.valid) return parsed;
+        invalid = invalid || parsed;
+      } catch (error) {
+        console.log(`⚠️ Modelo ${model} sin respuesta: ${error.message} (${budget.remaining()}ms de ${budget.ms}ms restantes)`);
+      }
+    }
+
+    return invalid;
+  }
+
+  // Ask one model for the JSON reply; invalid output is sent back to it with the errors
+  async _requestStructuredReplyFrom(model, messages, budget, language) {
+    const conversation = [...messages];
+    let parsed = null;
+
+    for (let attempt = 0; attempt <= structuredReply.maxRepairAttempts; attempt++) {
+      const result = await llmProvider.chat({
+        model,
+        messages: conversation,
+        temperature: 0.1,
+        maxTokens: 800,
+        responseFormat: structuredReply.getResponseFormat()
+      }, budget);
+
+      const raw = result.content;
+      parsed = { ...structuredReply.parse(raw), raw, model: result.model };
+
+      if (parsed.valid) return parsed;
+
+      console.log(`⚠️ Salida JSON inválida de ${model} (intento ${attempt + 1}):`, parsed.errors.slice(0, 3));
+      conversation.push(
+        { role: "assistant", content: raw },
+        { role: "user", content: structuredReply.buildRepairPrompt(parsed.errors, language) }
+      );
+    }
+
+    return parsed;
+  }
+
+  // Reply text from output that failed validation, if there is any usable text
+  _salvageResponseText(parsed) {
+    if (parsed.value && typeof parsed.value.customer_response === 'string') {
+      return parsed.value.customer_response.trim();
+    }
+
+    const raw = (parsed.raw || '').trim();
+    return raw && !raw.startsWith('{') && !raw.startsWith('`') ? raw : '';
+  }
+
   _isSimpleGreeting(message) {
     const greetings = [
       'hola', 'hi', 'hello', 'buenos días', 'buenas tardes', 'buenas noches',
       'buen día', 'saludos', 'que tal', 'qué tal', 'como estas', 'cómo estás',
-      'hey', 'holaa', 'holaaa'
+      'hey', 'holaa', 'holaaa',
+      'good morning', 'good afternoon', 'good evening',
+      'olá', 'ola', 'oi', 'bom dia', 'boa tarde', 'boa noite', 'tudo bem'
     ];
     
     const messageLower = message.toLowerCase().trim();
@@ -240,7 +264,8 @@ INSTRUCCIONES:
     const productTerms = [
       'pantalla', 'batería', 'cámara', 'altavoz', 'micrófono', 'carga',
       'iphone', 'samsung', 'reparar', 'arreglar', 'precio', 'costo',
-      'screen', 'battery', 'camera', 'speaker', 'repair', 'fix'
+      'screen', 'battery', 'camera', 'speaker', 'repair', 'fix',
+      'tela', 'bateria', 'câmera', 'conserto', 'preço'
     ];
     
     const hasProductTerms = productTerms.some(term => messageLower.includes(term));
@@ -256,77 +281,19 @@ INSTRUCCIONES:
     let deviceBrand = '';
     let partType = '';
     
-    // iPhone model extraction - be very specific
-    const iphonePatterns = [
-      { pattern: /iphone\s*15\s*pro\s*max/i, model: 'iPhone 15 Pro Max' },
-      { pattern: /iphone\s*15\s*plus/i, model: 'iPhone 15 Plus' },
-      { pattern: /iphone\s*15\s*pro/i, model: 'iPhone 15 Pro' },
-      { pattern: /iphone\s*15/i, model: 'iPhone 15' },
-      { pattern: /iphone\s*14\s*pro\s*max/i, model: 'iPhone 14 Pro Max' },
-      { pattern: /iphone\s*14\s*plus/i, model: 'iPhone 14 Plus' },
-      { pattern: /iphone\s*14\s*pro/i, model: 'iPhone 14 Pro' },
-      { pattern: /iphone\s*14/i, model: 'iPhone 14' },
-      { pattern: /iphone\s*13\s*pro\s*max/i, model: 'iPhone 13 Pro Max' },
-      { pattern: /iphone\s*13\s*mini/i, model: 'iPhone 13 Mini' },
-      { pattern: /iphone\s*13\s*pro/i, model: 'iPhone 13 Pro' },
-      { pattern: /iphone\s*13/i, model: 'iPhone 13' },
-      { pattern: /iphone\s*12\s*pro\s*max/i, model: 'iPhone 12 Pro Max' },
-      { pattern: /iphone\s*12\s*mini/i, model: 'iPhone 12 Mini' },
-      { pattern: /iphone\s*12\s*pro/i, model: 'iPhone 12 Pro' },
-      { pattern: /iphone\s*12/i, model: 'iPhone 12' },
-      { pattern: /iphone\s*11\s*pro\s*max/i, model: 'iPhone 11 Pro Max' },
-      { pattern: /iphone\s*11\s*pro/i, model: 'iPhone 11 Pro' },
-      { pattern: /iphone\s*11/i, model: 'iPhone 11' },
-      { pattern: /iphone\s*xs\s*max/i, model: 'iPhone XS Max' },
-      { pattern: /iphone\s*xs/i, model: 'iPhone XS' },
-      { pattern: /iphone\s*xr/i, model: 'iPhone XR' },
-      { pattern: /iphone\s*x/i, model: 'iPhone X' },
-      { pattern: /iphone\s*8\s*plus/i, model: 'iPhone 8 Plus' },
-      { pattern: /iphone\s*8/i, model: 'iPhone 8' },
-      { pattern: /iphone\s*7\s*plus/i, model: 'iPhone 7 Plus' },
-      { pattern: /iphone\s*7/i, model: 'iPhone 7' },
-    ];
-    
-    for (const item of iphonePatterns) {
-      if (item.pattern.test(queryLower)) {
-        deviceModel = item.model;
-        deviceBrand = 'Apple';
-        break;
-      }
-    }
-    
-    // Samsung model extraction
-    if (!deviceModel) {
-      const samsungPatterns = [
-        { pattern: /galaxy\s*s24\s*ultra/i, model: 'Galaxy S24 Ultra' },
-        { pattern: /galaxy\s*s24\s*plus/i, model: 'Galaxy S24 Plus' },
-        { pattern: /galaxy\s*s24/i, model: 'Galaxy S24' },
-        { pattern: /galaxy\s*s23\s*ultra/i, model: 'Galaxy S23 Ultra' },
-        { pattern: /galaxy\s*s23\s*plus/i, model: 'Galaxy S23 Plus' },
-        { pattern: /galaxy\s*s23/i, model: 'Galaxy S23' },
-        { pattern: /galaxy\s*s22/i, model: 'Galaxy S22' },
-        { pattern: /galaxy\s*s21/i, model: 'Galaxy S21' },
-        { pattern: /galaxy\s*s20/i, model: 'Galaxy S20' },
-        { pattern: /galaxy\s*note\s*20/i, model: 'Galaxy Note 20' },
-        { pattern: /galaxy\s*a54/i, model: 'Galaxy A54' },
-        { pattern: /galaxy\s*a34/i, model: 'Galaxy A34' },
-      ];
-      
-      for (const item of samsungPatterns) {
-        if (item.pattern.test(queryLower)) {
-          deviceModel = item.model;
-          deviceBrand = 'Samsung';
-          break;
-        }
-      }
+    // Exact model from the device taxonomy ("iPhone 13" is never "iPhone 13 Pro")
+    const device = deviceTaxonomy.resolve(query);
+    if (device) {
+      deviceModel = device.name;
+      deviceBrand = device.brand;
     }
     
     // Part type extraction
-    if (queryLower.includes('pantalla') || queryLower.includes('screen') || queryLower.includes('display')) {
+    if (queryLower.includes('pantalla') || queryLower.includes('screen') || queryLower.includes('display') || /\btela\b/.test(queryLower)) {
       partType = 'pantalla';
-    } else if (queryLower.includes('batería') || queryLower.includes('battery')) {
+    } else if (queryLower.includes('batería') || queryLower.includes('bateria') || queryLower.includes('battery')) {
       partType = 'batería';
-    } else if (queryLower.includes('cámara') || queryLower.includes('camera')) {
+    } else if (queryLower.includes('cámara') || queryLower.includes('câmera') || queryLower.includes('camera')) {
       partType = 'cámara';
     } else if (queryLower.includes('altavoz') || queryLower.includes('speaker')) {
       partType = 'altavoz';
@@ -339,6 +306,7 @@ INSTRUCCIONES:
     return {
       deviceModel,
       deviceBrand,
+      deviceId: device ? device.id : null,
       partType,
       originalQuery: query
     };
@@ -347,7 +315,7 @@ INSTRUCCIONES:
   _matchExactProducts(products, queryAnalysis) {
     if (!products || products.length === 0) return [];
     
-    const { deviceModel, partType } = queryAnalysis;
+    const { deviceModel, deviceId, partType } = queryAnalysis;
     
     if (!deviceModel && !partType) {
       return products.slice(0, 10); // Return first 10 if no specific criteria
@@ -362,38 +330,11 @@ INSTRUCCIONES:
       let partMatch = true;
       
       // Check model match if specified
-      if (deviceModel) {
-        const modelLower = deviceModel.toLowerCase();
-        
-        // Exact model matching - be very strict
-        if (modelLower.includes('iphone 14 pro max')) {
-          modelMatch = productName.includes('iphone 14 pro max') && 
-                      !productName.includes('iphone 14 pro ') &&
-                      !productName.includes('iphone 14 plus');
-        } else if (modelLower.includes('iphone 14 plus')) {
-          modelMatch = productName.includes('iphone 14 plus') && 
-                      !productName.includes('iphone 14 pro');
-        } else if (modelLower.includes('iphone 14 pro')) {
-          modelMatch = productName.includes('iphone 14 pro') && 
-                      !productName.includes('iphone 14 pro max') &&
-                      !productName.includes('iphone 14 plus');
-        } else if (modelLower.includes('iphone 14')) {
-          modelMatch = productName.includes('iphone 14') && 
-                      !productName.includes('iphone 14 pro') &&
-                      !productName.includes('iphone 14 plus');
-        } else if (modelLower.includes('iphone 13 pro max')) {
-          modelMatch = productName.includes('iphone 13 pro max');
-        } else if (modelLower.includes('iphone 13 pro')) {
-          modelMatch = productName.includes('iphone 13 pro') && 
-                      !productName.includes('iphone 13 pro max');
-        } else if (modelLower.includes('iphone 13')) {
-          modelMatch = productName.includes('iphone 13') && 
-                      !productName.includes('iphone 13 pro');
-        } else {
-          // For other models, use contains but be careful
-          const modelWords = modelLower.split(' ');
-          modelMatch = modelWords.every(word => productName.includes(word));
-        }
+      if (deviceId) {
+        modelMatch = deviceTaxonomy.matches(productName, deviceId);
+      } else if (deviceModel) {
+        const modelWords = deviceModel.toLowerCase().split(' ');
+        modelMatch = modelWords.every(word => productName.includes(word));
       }
       
       // Check part match if specified
@@ -435,27 +376,33 @@ INSTRUCCIONES:
     return sortedProducts;
   }
 
-  _createProductsText(products, queryAnalysis) {
+  _createProductsText(products, queryAnalysis, locale = languageService.getLocale()) {
     if (products.length === 0) {
-      return `No se encontraron productos específicos para "${queryAnalysis.deviceModel} ${queryAnalysis.partType}".`;
+      return locale.products.notFound(queryAnalysis.deviceModel, queryAnalysis.partType);
     }
 
-    let text = `Productos encontrados para ${queryAnalysis.deviceModel} ${queryAnalysis.partType}:\n\n`;
+    let text = `${locale.products.header(queryAnalysis.deviceModel, queryAnalysis.partType)}\n\n`;
     
-    for (const product of products) {
-      const productName = product.Prod || product.product || Object.values(product)[0] || 'Producto desconocido';
-      const price = this._getPrice(product);
+    products.forEach((product, index) => {
+      const productName = this._getProductName(product) || 'Producto desconocido';
+      const price = product._quote ? product._quote.total : this._getPrice(product);
+      const breakdown = quoteService.describe(product._quote, locale.code);
+      const ref = `[P${index + 1}]`; // Resolved back to the catalog id by structuredReply
       
       if (price > 0) {
-        text += `• ${productName}: ${price} UYU\n`;
+        text += `• ${ref} ${productName}: ${price} UYU${breakdown ? ` (${breakdown})` : ''}\n`;
       } else {
-        text += `• ${productName}: Consultar precio\n`;
+        text += `• ${ref} ${productName}: ${locale.products.askPrice}\n`;
       }
-    }
+    });
     
     return text.trim();
   }
 
+  _getProductName(product) {
+    return product.Prod || product.product || Object.values(product)[0] || '';
+  }
+
   _getPrice(item) {
     // Try different price field names that might exist in the data
     const priceFields = [
@@ -503,27 +450,30 @@ INSTRUCCIONES:
     return 0;
   }
 
-  _extractClassification(originalContent, response, isSimpleGreeting) {
-    const text = (originalContent + ' ' + response).toLowerCase();
+  // Heuristic classification, only used when the structured reply is unusable.
+  // Reads the customer's text only: the bot's own answer mentions every option it offers.
+  _extractClassification(originalContent, isSimpleGreeting, language = languageService.defaultLanguage) {
+    const text = (originalContent || '').toLowerCase();
+    const has = (...terms) => terms.some(term => languageService.containsWord(text, term));
     
     let device_brand = "unknown";
-    if (text.includes('iphone') || text.includes('apple')) device_brand = "Apple";
-    else if (text.includes('samsung') || text.includes('galaxy')) device_brand = "Samsung";
-    else if (text.includes('xiaomi')) device_brand = "Xiaomi";
-    else if (text.includes('huawei')) device_brand = "Huawei";
-    else if (text.includes('motorola')) device_brand = "Motorola";
-    else if (text.includes('lg')) device_brand = "LG";
-    else if (text.includes('sony')) device_brand = "Sony";
-    else if (text.includes('oneplus')) device_brand = "OnePlus";
+    if (has('iphone', 'apple')) device_brand = "Apple";
+    else if (has('samsung', 'galaxy')) device_brand = "Samsung";
+    else if (has('xiaomi', 'redmi')) device_brand = "Xiaomi";
+    else if (has('huawei')) device_brand = "Huawei";
+    else if (has('motorola', 'moto')) device_brand = "Motorola";
+    else if (has('lg')) device_brand = "LG";
+    else if (has('sony')) device_brand = "Sony";
+    else if (has('oneplus')) device_brand = "OnePlus";
 
     let service_type = isSimpleGreeting ? "saludo" : "consulta general";
     if (!isSimpleGreeting) {
-      if (text.includes('pantalla') || text.includes('screen') || text.includes('display')) service_type = "pantalla";
-      else if (text.includes('batería') || text.includes('battery') || text.includes('bateria')) service_type = "batería";
-      else if (text.includes('cámara') || text.includes('camera') || text.includes('camara')) service_type = "cámara";
-      else if (text.includes('carga') || text.includes('charging')) service_type = "carga";
-      else if (text.includes('altavoz') || text.includes('speaker')) service_type = "altavoz";
-      else if (text.includes('micro') || text.includes('microphone')) service_type = "micrófono";
+      if (has('pantalla', 'screen', 'display', 'tela')) service_type = "pantalla";
+      else if (has('batería', 'bateria', 'battery')) service_type = "batería";
+      else if (has('cámara', 'camara', 'camera', 'câmera')) service_type = "cámara";
+      else if (has('carga', 'charging')) service_type = "carga";
+      else if (has('altavoz', 'speaker')) service_type = "altavoz";
+      else if (has('micrófono', 'microfono', 'micro', 'microphone')) service_type = "micrófono";
     }
 
     // Extract device model using the same logic as query analysis
@@ -538,88 +488,115 @@ INSTRUCCIONES:
       device_model,
       service_type,
       urgency: isSimpleGreeting ? "none" : "medium",
-      language: "es",
-      confidence: "high",
+      language: language,
+      confidence: "low",
       is_greeting: isSimpleGreeting,
+      source: "heuristic",
       timestamp: new Date().toISOString()
     };
   }
 
-  async transcribeAudio(mediaUrl) {
+  // Whisper detects the spoken language; it is returned so the reply can follow it
+  async transcribeAudio(mediaUrl, language, budget = llmProvider.startBudget('media')) {
     try {
       if (!mediaUrl) throw new Error("URL audio faltante");
 
       const audioResponse = await axios.get(mediaUrl, {
         responseType: "arraybuffer",
-        timeout: 45000,
+        timeout: Math.max(1, Math.min(45000, budget.remaining())),
         headers: { 'User-Agent': 'ReparaloyaBot/2.0' }
       });
 
-      const audioBuffer = Buffer.from(audioResponse.data);
-      const file = new File([audioBuffer], "audio.mp3", { type: "audio/mpeg" });
-
-      const transcription = await this.openai.audio.transcriptions.create({
-        file: file,
-        model: "whisper-1",
-        language: "es",
-        response_format: "text"
-      });
+      const transcription = await llmProvider.transcribe({
+        buffer: Buffer.from(audioResponse.data),
+        filename: "audio.mp3",
+        mimeType: "audio/mpeg"
+      }, budget);
 
-      console.log("✅ Transcripción:", transcription);
-      return transcription;
+      const detected = languageService.fromWhisper(transcription.language);
+      console.log(`✅ Transcripción (${transcription.language}):`, transcription.text);
+      return { content: transcription.text, language: detected };
     } catch (error) {
       console.error("❌ Error transcripción:", error.message);
-      return "[Error de transcripción de audio]";
+      return { content: languageService.getLocale(language).transcriptionError, language: null };
     }
   }
 
-  async analyzeImage(imageUrl) {
+  async analyzeImage(imageUrl, language, budget = llmProvider.startBudget('media')) {
+    const locale = languageService.getLocale(language);
+
     try {
       if (!imageUrl) throw new Error("URL imagen faltante");
 
-      const result = await this.openai.chat.completions.create({
-        model: "gpt-4o",
-        messages: [
-          {
-            role: "user",
-            content: [
-              {
-                type: "text",
-                text: "Analiza esta imagen e identifica: 1) El modelo del dispositivo, 2) Los daños visibles, 3) El tipo de reparación necesaria. Responde en español, máximo 150 palabras."
-              },
-              {
-                type: "image_url",
-                image_url: { url: imageUrl }
-              }
-            ]
-          }
-        ],
-        max_tokens: 400,
+      const result = await llmProvider.vision({
+        prompt: locale.imagePrompt,
+        imageUrl,
+        maxTokens: 400,
         temperature: 0.3
-      });
+      }, budget);
 
-      const text = result.choices[0].message.content;
+      const text = result.content;
       console.log("✅ Análisis imagen:", text);
       return text;
 
     } catch (error) {
       console.error("❌ Error análisis imagen:", error.message);
-      return "[Error de análisis de imagen: describe tu problema por texto]";
+      return locale.imageError;
     }
   }
 
+  // Last link of the model chain: the matched catalog rows, exact prices, no model involved
+  createCatalogResponse(processedContent, contactInfo, analysis, retrieval) {
+    const priced = ((retrieval && retrieval.items) || []).filter(item => item.price > 0);
+
+    if (!analysis || analysis.isSimpleGreeting || priced.length === 0) {
+      return this.createFallbackResponse(processedContent, contactInfo);
+    }
+
+    const locale = languageService.getLocale(contactInfo.language);
+    const queryAnalysis = analysis.queryAnalysis || {};
+    const exact = catalogResponder.exactVariant(priced, queryAnalysis.deviceId);
+    const items = exact.length > 0 ? exact : priced;
+
+    console.log(`📋 Respuesta desde catálogo con ${items.length} productos`);
+
+    return {
+      customer_response: catalogResponder.render(items, {
+        name: contactInfo.full_name,
+        model: queryAnalysis.deviceModel,
+        part: queryAnalysis.partType,
+        language: locale.code
+      }),
+      classification: {
+        ...this._extractClassification(processedContent, false, locale.code),
+        quoted_items: items.map(item => ({ ...item, in_catalog: true }))
+      },
+      processed_content: processedContent,
+      pricing_items_found: items.length,
+      total_products_searched: retrieval.products.length,
+      is_simple_greeting: false,
+      query_analysis: analysis.queryAnalysis,
+      quotes: items.map(item => item.quote).filter(Boolean),
+      fallback: true,
+      parsing_method: 'catalog-template',
+      model_used: null
+    };
+  }
+
   createFallbackResponse(processedContent, contactInfo) {
     const isGreeting = this._isSimpleGreeting(processedContent);
+    const locale = languageService.getLocale(contactInfo.language);
+    const name = contactInfo.full_name || '';
     
     if (isGreeting) {
       return {
-        customer_response: `¡Hola ${contactInfo.full_name || ''}! ¿En qué puedo ayudarte hoy?`,
+        customer_response: locale.greetingFallback(name),
         classification: {
           device_brand: "unknown",
           device_model: "unknown",
           service_type: "saludo",
           urgency: "none",
-          language: "es",
+          language: locale.code,
           confidence: "high",
           is_greeting: true,
           timestamp: new Date().toISOString()
@@ -630,31 +607,18 @@ INSTRUCCIONES:
       };
     }
 
-    const response = `¡Hola ${contactInfo.full_name || ''}! 
-
-Tu solicitud ha sido registrada. Nuestro equipo te contactará pronto con las opciones disponibles.
-
-🆘 Para urgencias:
-📞 Teléfono: 2200-21-91  
-📱 WhatsApp: 098565349
-
-🏪 SUCURSALES:
-• La Comercial: Carlos Reyles 1750
-• Pocitos: Chucarro 1107
-• Tres Cruces: Mario Cassinoni 1684
-
-✨ Garantía 30 días | 🚚 Retiro a domicilio
-
-¡Gracias por contactar ReparaloYA!`;
-
     return {
-      customer_response: response,
+      customer_response: locale.generalFallback({
+        name,
+        contactSummary: businessProfileService.renderContactSummary(locale.code),
+        businessName: businessProfileService.getProfile().business.name
+      }),
       classification: {
         device_brand: "unknown",
         device_model: "unknown",
         service_type: "consulta general",
         urgency: "medium",
-        language: "es",
+        language: locale.code,
         confidence: "low",
         is_greeting: false,
         timestamp: new Date().toISOString()
@@ -0,0 +1,345 @@
+const fs = require('fs');
+const path = require('path');
+const languageService = require('./languageService');
+
+const SUPPORTED_SCHEMA_VERSION = 1;
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+class BusinessProfileService {
+  constructor() {
+    this.profilePath = process.env.BUSINESS_PROFILE_PATH || path.join(__dirname, '..', 'business-profile.json');
+    this.reloadIntervalMs = parseInt(process.env.BUSINESS_PROFILE_RELOAD_MS, 10) || 5000;
+
+    // A broken profile at startup is fatal; a broken edit later keeps the last good one
+    this.profile = this._load();
+    this.loadedAt = new Date().toISOString();
+    this.lastReloadError = null;
+
+    this._watch();
+
+    console.log(`🏪 Business Profile loaded: ${this.profile.business.name} v${this.profile.version} (${this.profile.branches.length} branches)`);
+  }
+
+  /**
+   * Current business profile
+   * @returns {Object}
+   */
+  getProfile() {
+    return this.profile;
+  }
+
+  /**
+   * Re-read the profile file, keeping the current profile when the new one is invalid
+   * @returns {Object} { reloaded, version, errors }
+   */
+  reload() {
+    try {
+      const profile = this._load();
+      const previousVersion = this.profile.version;
+
+      this.profile = profile;
+      this.loadedAt = new Date().toISOString();
+      this.lastReloadError = null;
+
+      console.log(`🔄 Business Profile reloaded: v${previousVersion} → v${profile.version}`);
+      return { reloaded: true, version: profile.version, errors: [] };
+
+    } catch (error) {
+      this.lastReloadError = error.message;
+      console.error(`❌ Business Profile reload rejected, keeping v${this.profile.version}:`, error.message);
+      return { reloaded: false, version: this.profile.version, errors: error.errors || [error.message] };
+    }
+  }
+
+  /**
+   * Validate a profile object
+   * @param {Object} profile - Parsed profile
+   * @returns {Array<string>} Validation errors (empty when valid)
+   */
+  validate(profile) {
+    const errors = [];
+    const isText = value => typeof value === 'string' && value.trim().length > 0;
+    const time = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+    if (!profile || typeof profile !== 'object') return ['profile must be an object'];
+
+    if (profile.schema_version !== SUPPORTED_SCHEMA_VERSION) {
+      errors.push(`schema_version must be ${SUPPORTED_SCHEMA_VERSION}`);
+    }
+    if (!Number.isInteger(profile.version) || profile.version < 1) {
+      errors.push('version must be a positive integer');
+    }
+
+    const business = profile.business || {};
+    for (const field of ['name', 'city', 'country', 'timezone', 'currency']) {
+      if (!isText(business[field])) errors.push(`business.${field} is required`);
+    }
+    if (isText(business.timezone)) {
+      try {
+        new Intl.DateTimeFormat('en-US', { timeZone: business.timezone });
+      } catch (error) {
+        errors.push(`business.timezone "${business.timezone}" is not a valid IANA time zone`);
+      }
+    }
+
+    const contact = profile.contact || {};
+    if (!isText(contact.phone) && !isText(contact.whatsapp)) {
+      errors.push('contact needs a phone or a whatsapp number');
+    }
+
+    const validateHours = (hours, where) => {
+      if (!hours || typeof hours !== 'object') {
+        errors.push(`${where} is required`);
+        return;
+      }
+      for (const day of WEEKDAYS) {
+        const ranges = hours[day];
+        if (!Array.isArray(ranges)) {
+          errors.push(`${where}.${day} must be a list of [open, close] ranges`);
+          continue;
+        }
+        ranges.forEach((range, index) => {
+          if (!Array.isArray(range) || range.length !== 2 || !time.test(range[0]) || !time.test(range[1]) || range[0] >= range[1]) {
+            errors.push(`${where}.${day}[${index}] must be ["HH:MM", "HH:MM"] with open before close`);
+          }
+        });
+      }
+    };
+
+    validateHours(profile.opening_hours, 'opening_hours');
+
+    if (!Array.isArray(profile.branches) || profile.branches.length === 0) {
+      errors.push('branches must list at least one branch');
+    } else {
+      const ids = new Set();
+      profile.branches.forEach((branch, index) => {
+        const where = `branches[${index}]`;
+        for (const field of ['id', 'name', 'address']) {
+          if (!isText(branch[field])) errors.push(`${where}.${field} is required`);
+        }
+        if (ids.has(branch.id)) errors.push(`${where}.id "${branch.id}" is duplicated`);
+        ids.add(branch.id);
+
+        if (branch.geo !== undefined && branch.geo !== null) {
+          const { lat, lng } = branch.geo;
+          if (typeof lat !== 'number' || lat < -90 || lat > 90 || typeof lng !== 'number' || lng < -180 || lng > 180) {
+            errors.push(`${where}.geo must be { lat, lng } in degrees`);
+          }
+        }
+        if (branch.opening_hours !== undefined) {
+          validateHours(branch.opening_hours, `${where}.opening_hours`);
+        }
+      });
+    }
+
+    const warranty = profile.warranty || {};
+    if (!Number.isInteger(warranty.days) || warranty.days < 0) {
+      errors.push('warranty.days must be a non-negative integer');
+    }
+
+    if (!Array.isArray(profile.services)) {
+      errors.push('services must be a list');
+    } else {
+      profile.services.forEach((service, index) => {
+        if (!isText(service.id)) errors.push(`services[${index}].id is required`);
+        if (!service.label || !isText(service.label[languageService.defaultLanguage])) {
+          errors.push(`services[${index}].label.${languageService.defaultLanguage} is required`);
+        }
+      });
+    }
+
+    return errors;
+  }
+
+  /**
+   * Full business information block for the system prompt
+   * @param {string} language - Language code
+   * @returns {string}
+   */
+  renderBusinessInfo(language) {
+    const { labels, profile } = this._context(language);
+
+    const branches = profile.branches.map(branch =>
+      `• ${branch.name}: ${branch.address}${branch.cross_street ? `, ${labels.corner} ${branch.cross_street}` : ''}`
+    );
+
+    const warrantyTerms = this._localized(profile.warranty.terms, language);
+
+    return [
+      this._contactLine(labels, profile),
+      `🕘 ${labels.hours}: ${this.formatOpeningHours(language)}`,
+      '',
+      `🏪 ${labels.branches}:`,
+      ...branches,
+      '',
+      [`✨ ${labels.warranty(profile.warranty.days)}`, ...this._serviceLabels(language).map(label => `🚚 ${label}`)].join(' | '),
+      ...(warrantyTerms ? [warrantyTerms] : [])
+    ].join('\n');
+  }
+
+  /**
+   * Short contact block for fallback replies
+   * @param {string} language - Language code
+   * @returns {string}
+   */
+  renderContactSummary(language) {
+    const { labels, profile } = this._context(language);
+
+    return [
+      `🆘 ${labels.urgent}:`,
+      ...(profile.contact.phone ? [`📞 ${labels.phone}: ${profile.contact.phone}`] : []),
+      ...(profile.contact.whatsapp ? [`📱 WhatsApp: ${profile.contact.whatsapp}`] : []),
+      '',
+      `🏪 ${labels.branches}:`,
+      ...profile.branches.map(branch => `• ${branch.name}: ${branch.address}`),
+      '',
+      [`✨ ${labels.warranty(profile.warranty.days)}`, ...this._serviceLabels(language).map(label => `🚚 ${label}`)].join(' | ')
+    ].join('\n');
+  }
+
+  /**
+   * Opening hours as text, e.g. "lun a sáb 09:00-18:00"
+   * @param {string} language - Language code
+   * @returns {string}
+   */
+  formatOpeningHours(language) {
+    const { labels, profile } = this._context(language);
+    const hours = profile.opening_hours;
+
+    // Group consecutive days (Monday first) that share the same ranges
+    const order = [1, 2, 3, 4, 5, 6, 0];
+    const groups = [];
+    for (const dayIndex of order) {
+      const ranges = hours[WEEKDAYS[dayIndex]];
+      const key = ranges.map(range => range.join('-')).join(', ');
+      const last = groups[groups.length - 1];
+      if (last && last.key === key) {
+        last.to = dayIndex;
+      } else {
+        groups.push({ key, from: dayIndex, to: dayIndex });
+      }
+    }
+
+    return groups
+      .filter(group => group.key)
+      .map(group => {
+        const days = group.from === group.to
+          ? labels.weekdays[group.from]
+          : `${labels.weekdays[group.from]} ${labels.through} ${labels.weekdays[group.to]}`;
+        return `${days} ${group.key}`;
+      })
+      .join('; ');
+  }
+
+  /**
+   * Check whether the business (or one branch) is open
+   * @param {Date} date - Moment to check
+   * @param {string} branchId - Optional branch with its own opening hours
+   * @returns {boolean}
+   */
+  isOpen(date = new Date(), branchId = null) {
+    const profile = this.profile;
+    const branch = branchId ? profile.branches.find(b => b.id === branchId) : null;
+    const hours = (branch && branch.opening_hours) || profile.opening_hours;
+
+    const parts = new Intl.DateTimeFormat('en-US', {
+      timeZone: profile.business.timezone,
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(date);
+
+    const get = type => parts.find(part => part.type === type).value;
+    const day = get('weekday').toLowerCase().slice(0, 3);
+    const current = `${get('hour')}:${get('minute')}`;
+
+    return (hours[day] || []).some(([open, close]) => current >= open && current < close);
+  }
+
+  /**
+   * Get service health status
+   */
+  getHealthStatus() {
+    return {
+      name: this.profile.business.name,
+      version: this.profile.version,
+      branches: this.profile.branches.length,
+      loaded_at: this.loadedAt,
+      last_reload_error: this.lastReloadError,
+      open_now: this.isOpen()
+    };
+  }
+
+  /**
+   * @private
+   */
+  _load() {
+    let profile;
+    try {
+      profile = JSON.parse(fs.readFileSync(this.profilePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Cannot read business profile ${this.profilePath}: ${error.message}`);
+    }
+
+    const errors = this.validate(profile);
+    if (errors.length > 0) {
+      const error = new Error(`Invalid business profile: ${errors.join('; ')}`);
+      error.errors = errors;
+      throw error;
+    }
+
+    return profile;
+  }
+
+  /**
+   * Poll the file so edits apply without a restart; unref'd so it never keeps the process alive
+   * @private
+   */
+  _watch() {
+    try {
+      const watcher = fs.watchFile(this.profilePath, { interval: this.reloadIntervalMs }, (current, previous) => {
+        if (current.mtimeMs !== previous.mtimeMs) this.reload();
+      });
+      watcher.unref();
+    } catch (error) {
+      console.error('⚠️ Business profile hot reload disabled:', error.message);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _context(language) {
+    return { labels: languageService.getLocale(language).profileLabels, profile: this.profile };
+  }
+
+  /**
+   * @private
+   */
+  _contactLine(labels, profile) {
+    return [
+      profile.contact.whatsapp ? `📞 WhatsApp: ${profile.contact.whatsapp}` : null,
+      profile.contact.phone ? `${labels.phone}: ${profile.contact.phone}` : null
+    ].filter(Boolean).join(' | ');
+  }
+
+  /**
+   * @private
+   */
+  _serviceLabels(language) {
+    return this.profile.services
+      .filter(service => service.enabled !== false)
+      .map(service => this._localized(service.label, language));
+  }
+
+  /**
+   * @private
+   */
+  _localized(texts, language) {
+    if (!texts) return null;
+    return texts[languageService.getLocale(language).code] || texts[languageService.defaultLanguage] || null;
+  }
+}
+
+module.exports = new BusinessProfileService();
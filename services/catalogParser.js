@@ -0,0 +1,184 @@
+const deviceTaxonomy = require('./deviceTaxonomy');
+
+// Part categories by the words a product name opens with; the earliest match wins,
+// the longest at the same position ("flex conector de carga" is a flex, not a connector)
+const CATEGORIES = [
+  { key: 'pantalla', terms: ['pantalla', 'display', 'lcd', 'touch', 'modulo'] },
+  { key: 'bateria', terms: ['bateria', 'battery'] },
+  { key: 'tapa', terms: ['tapa', 'tapa trasera', 'vidrio trasero'] },
+  { key: 'carcasa', terms: ['carcasa', 'chasis'] },
+  { key: 'flex', terms: ['flex'] },
+  { key: 'conector', terms: ['conector', 'pin de carga'] },
+  { key: 'camara', terms: ['camara', 'lens de camara', 'lente de camara'] },
+  { key: 'altavoz', terms: ['altavoz', 'parlante', 'buzzer'] },
+  { key: 'auricular', terms: ['auricular'] },
+  { key: 'microfono', terms: ['microfono'] },
+  { key: 'vibrador', terms: ['vibrador'] },
+  { key: 'bandeja_sim', terms: ['bandeja sim', 'bandeja porta sim'] },
+  { key: 'antena', terms: ['antena'] },
+  { key: 'placa', terms: ['placa', 'integrado'] },
+  { key: 'servicio', terms: ['reparacion', 'software', 'sacar cuenta', 'respaldo', 'instalacion', 'servicio'] }
+];
+
+// Sub-part implied by the category word itself ("LENS DE CAMARA" → camara / lente)
+const TERM_SUB_PARTS = {
+  touch: 'touch',
+  lcd: 'lcd',
+  'lens de camara': 'lente',
+  'lente de camara': 'lente',
+  'pin de carga': 'carga',
+  'tapa trasera': 'trasera',
+  'vidrio trasero': 'vidrio trasero'
+};
+
+// Quality grades, most specific first; labels are how the shop writes them
+const QUALITY_GRADES = [
+  { grade: 'ori_changed_glass', label: 'ORI CHANGED GLASS', pattern: /\bori changed glass\b/ },
+  { grade: 'ori_glass', label: 'ORI GLASS', pattern: /\bori glass\b/ },
+  { grade: 'oled_1_1', label: 'OLED 1:1', pattern: /\b(?:oled|amoled) 1 1\b/ },
+  { grade: 'oled', label: 'OLED', pattern: /\b(?:oled|amoled)\b/ },
+  { grade: 'incell', label: 'INCELL', pattern: /\bin ?cell\b/ },
+  { grade: 'original', label: 'ORIGINAL', pattern: /\b(?:original|oem|ori)\b/ },
+  { grade: 'compatible', label: 'COMP.', pattern: /\b(?:comp|compatible)\b/ },
+  { grade: 'tft', label: 'TFT', pattern: /\btft\b/ }
+];
+
+// Colour words in Spanish and English, folded to one Spanish name
+const COLORS = {
+  negro: ['negro', 'negra', 'black'],
+  blanco: ['blanco', 'blanca', 'white'],
+  azul: ['azul', 'blue'],
+  celeste: ['celeste'],
+  rojo: ['rojo', 'roja', 'red'],
+  rosa: ['rosa', 'rosado', 'rosada', 'rose', 'pink'],
+  violeta: ['violeta', 'lila', 'morado', 'morada', 'purple'],
+  verde: ['verde', 'green'],
+  amarillo: ['amarillo', 'amarilla', 'yellow'],
+  naranja: ['naranja', 'orange'],
+  dorado: ['dorado', 'dorada', 'gold'],
+  plateado: ['plateado', 'plateada', 'plata', 'silver'],
+  gris: ['gris', 'space gray', 'gray', 'grey'],
+  grafito: ['grafito', 'graphite'],
+  bronce: ['bronce', 'bronze']
+};
+
+// Words that join a category to its sub-part ("CONECTOR DE CARGA")
+const FILLER_WORDS = ['de', 'del', 'para', 'en', 'con', 'c', 'y'];
+
+/**
+ * Structured attributes from a pricing.csv product name:
+ *
+ *   "BATERIA HUAWEI P9 / P9 LITE / HB366481ECW / Y7 2018"
+ *   → { category: 'bateria', models: [P9, P9 Lite, Y7 2018], part_numbers: ['HB366481ECW'], ... }
+ *
+ * Models and device codes come from the device taxonomy.
+ */
+class CatalogParser {
+  /**
+   * Parse one product name
+   * @param {string} productName - Catalog row name
+   * @returns {Object} { category, sub_part, brand, models, model_codes, color, quality, quality_label, with_frame, part_numbers }
+   */
+  parse(productName) {
+    const text = this._normalize(productName);
+    const found = deviceTaxonomy.extract(productName);
+    const models = deviceTaxonomy.modelsIn(productName);
+    const category = this._category(text);
+    const quality = QUALITY_GRADES.find(grade => grade.pattern.test(text));
+
+    return {
+      category: category ? category.key : (models.length > 0 ? 'otro' : 'insumo'),
+      sub_part: category ? this._subPart(text, category) : null,
+      brand: models.length > 0 ? models[0].brand : deviceTaxonomy.brandOf(productName),
+      models: models.map(model => ({ id: model.id, name: model.name })),
+      model_codes: Array.from(new Set(found.flatMap(model => model.codes))),
+      color: this._color(text),
+      quality: quality ? quality.grade : null,
+      quality_label: quality ? quality.label : null,
+      with_frame: /\b(?:c|con) marco\b/.test(text),
+      part_numbers: this._partNumbers(productName)
+    };
+  }
+
+  /**
+   * @private
+   */
+  _category(text) {
+    let best = null;
+
+    for (const category of CATEGORIES) {
+      for (const term of category.terms) {
+        const match = new RegExp(`\\b${term}\\b`).exec(text);
+        if (!match) continue;
+        if (!best || match.index < best.start || (match.index === best.start && term.length > best.term.length)) {
+          best = { key: category.key, term, start: match.index };
+        }
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Words between the category and the brand: "flex camara principal iphone 12" → "camara principal"
+   * @private
+   */
+  _subPart(text, category) {
+    if (TERM_SUB_PARTS[category.term]) return TERM_SUB_PARTS[category.term];
+
+    const after = text.slice(category.start + category.term.length).split(' ');
+    const words = [];
+
+    for (const word of after) {
+      if (!word) continue;
+      if (deviceTaxonomy.isBrandWord(word) || /\d/.test(word) || this._isColor(word)) break;
+      if (QUALITY_GRADES.some(quality => quality.pattern.test(word))) break;
+      words.push(word);
+    }
+
+    while (words.length > 0 && FILLER_WORDS.includes(words[0])) words.shift();
+    while (words.length > 0 && FILLER_WORDS.includes(words[words.length - 1])) words.pop();
+
+    return words.length > 0 ? words.join(' ') : null;
+  }
+
+  /**
+   * @private
+   */
+  _color(text) {
+    for (const [color, words] of Object.entries(COLORS)) {
+      if (words.some(word => new RegExp(`\\b${word}\\b`).test(text))) return color;
+    }
+    return null;
+  }
+
+  /**
+   * @private
+   */
+  _isColor(word) {
+    return Object.values(COLORS).some(words => words.includes(word));
+  }
+
+  /**
+   * @private
+   */
+  _partNumbers(productName) {
+    const text = (productName || '').toLowerCase();
+    const numbers = deviceTaxonomy.partNumberPatterns.flatMap(pattern => text.match(pattern) || []);
+    return Array.from(new Set(numbers.map(number => number.toUpperCase())));
+  }
+
+  /**
+   * Lowercase, accent-free, punctuation as spaces ("ORI/GLASS" → "ori glass", "1:1" → "1 1")
+   * @private
+   */
+  _normalize(productName) {
+    return (productName || '')
+      .toLowerCase()
+      .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+      .replace(/[^a-z0-9]+/g, ' ')
+      .trim();
+  }
+}
+
+module.exports = new CatalogParser();
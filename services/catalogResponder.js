@@ -0,0 +1,203 @@
+const languageService = require('./languageService');
+const businessProfileService = require('./businessProfileService');
+const deviceTaxonomy = require('./deviceTaxonomy');
+const quoteService = require('./quoteService');
+
+// Quality groups; the first pattern that matches a product name wins
+const QUALITY_GROUPS = [
+  { key: 'ori_glass', label: 'ORI GLASS', pattern: /ori glass/ },
+  { key: 'original', label: 'Original', pattern: /\b(original|oem)\b/ },
+  { key: 'oled', label: 'OLED', pattern: /\b(oled|amoled)\b/ },
+  { key: 'incell', label: 'Incell', pattern: /\bin-?cell\b/ },
+  { key: 'compatible', label: 'Compatible', pattern: /\bcompatible\b/ },
+  { key: 'standard', label: null, pattern: /./ }
+];
+
+// Anything beyond "how much is X" goes to the model: booking, timing, places, advice, people
+const OPEN_ENDED_TERMS = [
+  'turno', 'reservar', 'agendar', 'cita', 'cuándo', 'cuando', 'demora', 'tarda', 'horario', 'dónde', 'donde',
+  'dirección', 'reclamo', 'queja', 'persona', 'humano', 'diferencia', 'recomendás', 'recomendas', 'recomiendan',
+  'conviene', 'mejor', 'garantía', 'envío', 'domicilio',
+  'appointment', 'book', 'when', 'long', 'where', 'address', 'hours', 'complaint', 'human', 'person',
+  'difference', 'recommend', 'better', 'best', 'warranty', 'shipping', 'pickup',
+  'quando', 'onde', 'endereço', 'reclamação', 'diferença', 'recomenda', 'melhor', 'garantia', 'entrega', 'retirada'
+];
+
+// Naming a quality means the customer is choosing, not asking for the list
+const QUALITY_TERMS = ['original', 'oem', 'incell', 'in-cell', 'oled', 'amoled', 'ori glass', 'compatible'];
+
+const MAX_LOOKUP_WORDS = 20;
+
+/**
+ * Rule-based answers for plain price lookups: when the model and part are clear and
+ * the catalog has rows for them, the price list is rendered from templates instead
+ * of asking the LLM. Everything else still goes to the model.
+ *
+ * CATALOG_RESPONDER_MODE: on (default) | shadow (decide and count, always use the LLM) | off
+ */
+class CatalogResponder {
+  constructor() {
+    const mode = process.env.CATALOG_RESPONDER_MODE || 'on';
+    this.mode = ['on', 'shadow', 'off'].includes(mode) ? mode : 'on';
+
+    this.stats = this._emptyStats();
+
+    console.log(`📋 Catalog Responder initialized (mode: ${this.mode})`);
+  }
+
+  /**
+   * Decide whether a turn is a plain price lookup the catalog can answer alone
+   * @param {string} processedContent - Customer turn text
+   * @param {Object} analysis - Understand stage result
+   * @param {Object} retrieval - Retrieve stage result (items: [{ name, price, catalog_id }])
+   * @returns {Object} { eligible, reason, items }
+   */
+  evaluate(processedContent, analysis, retrieval) {
+    const decline = reason => ({ eligible: false, reason, items: [] });
+    const text = (processedContent || '').toLowerCase();
+    const queryAnalysis = (analysis && analysis.queryAnalysis) || {};
+
+    if (!analysis || analysis.isSimpleGreeting) return decline('greeting');
+    if (!queryAnalysis.deviceModel) return decline('no_model');
+    if (!queryAnalysis.partType) return decline('no_part');
+
+    const words = text.match(/[\p{L}\p{N}]+/gu) || [];
+    if (words.length > MAX_LOOKUP_WORDS) return decline('long_message');
+    if (OPEN_ENDED_TERMS.some(term => languageService.containsWord(text, term))) return decline('open_ended');
+    if (QUALITY_TERMS.some(term => languageService.containsWord(text, term))) return decline('quality_chosen');
+
+    const items = this.exactVariant((retrieval && retrieval.items) || [], queryAnalysis.deviceId);
+    if (items.length === 0) return decline('no_rows');
+    if (items.some(item => item.price <= 0)) return decline('unpriced_rows');
+
+    return { eligible: true, reason: 'price_lookup', items };
+  }
+
+  /**
+   * Count which path answered a turn
+   * @param {string} path - 'catalog' or 'llm'
+   * @param {string} reason - Why the catalog path was or was not taken
+   */
+  record(path, reason) {
+    this.stats.total++;
+    this.stats.paths[path] = (this.stats.paths[path] || 0) + 1;
+    this.stats.reasons[reason] = (this.stats.reasons[reason] || 0) + 1;
+  }
+
+  /**
+   * Generate stage result for an eligible lookup
+   * @param {Object} lookup - evaluate() result with eligible true
+   * @param {string} processedContent - Customer turn text
+   * @param {Object} contactInfo - { full_name, language }
+   * @param {Object} analysis - Understand stage result
+   * @param {Object} retrieval - Retrieve stage result
+   * @returns {Object} Same shape as aiService.generateResponse()
+   */
+  respond(lookup, processedContent, contactInfo, analysis, retrieval) {
+    const locale = languageService.getLocale(contactInfo.language);
+    const queryAnalysis = analysis.queryAnalysis;
+
+    return {
+      customer_response: this.render(lookup.items, {
+        name: contactInfo.full_name,
+        model: queryAnalysis.deviceModel,
+        part: queryAnalysis.partType,
+        language: locale.code
+      }),
+      classification: {
+        device_brand: queryAnalysis.deviceBrand || 'unknown',
+        device_model: queryAnalysis.deviceModel,
+        service_type: queryAnalysis.partType,
+        part: queryAnalysis.partType,
+        quality_chosen: null,
+        intent: 'price_inquiry',
+        urgency: 'low',
+        language: locale.code,
+        needs_human: false,
+        quoted_items: lookup.items.map(item => ({ ...item, in_catalog: true })),
+        confidence: 'high',
+        is_greeting: false,
+        source: 'catalog',
+        timestamp: new Date().toISOString()
+      },
+      processed_content: processedContent,
+      pricing_items_found: lookup.items.length,
+      total_products_searched: retrieval.products.length,
+      is_simple_greeting: false,
+      query_analysis: queryAnalysis,
+      parsing_method: 'catalog-responder',
+      model_used: null
+    };
+  }
+
+  /**
+   * Price list grouped by quality (priciest group first), warranty line and call to action
+   * @param {Array} items - Catalog rows with a price ({ name, price, quote })
+   * @param {Object} options - { name, model, part, language }
+   * @returns {string}
+   */
+  render(items, { name, model, part, language }) {
+    const texts = languageService.getLocale(language).catalog;
+    const groups = new Map();
+
+    for (const item of items) {
+      const group = QUALITY_GROUPS.find(g => g.pattern.test(item.name.toLowerCase()));
+      if (!groups.has(group.key)) groups.set(group.key, { label: group.label || texts.qualities.standard, items: [] });
+      groups.get(group.key).items.push(item);
+    }
+
+    const sorted = Array.from(groups.values()).map(group => ({
+      ...group,
+      items: group.items.sort((a, b) => b.price - a.price || a.name.localeCompare(b.name))
+    })).sort((a, b) => b.items[0].price - a.items[0].price);
+
+    const lines = item => {
+      const breakdown = quoteService.describe(item.quote, language);
+      return `• ${item.name}: ${item.price} UYU${breakdown ? ` (${breakdown})` : ''}`;
+    };
+    const body = sorted.length === 1
+      ? sorted[0].items.map(lines).join('\n')
+      : sorted.map(group => `${group.label}:\n${group.items.map(lines).join('\n')}`).join('\n\n');
+
+    return [
+      texts.intro({ name: name || '', model, part: texts.parts[part] || part || '' }),
+      '',
+      body,
+      '',
+      texts.warranty(businessProfileService.getProfile().warranty.days),
+      texts.callToAction
+    ].join('\n');
+  }
+
+  /**
+   * Drop rows of another variant of the model ("iPhone 13 Mini" when asked for "iPhone 13")
+   * @param {Array} items - Catalog rows ({ name, price })
+   * @param {string} deviceId - Requested model id in the device taxonomy
+   * @returns {Array}
+   */
+  exactVariant(items, deviceId) {
+    if (!deviceId) return items;
+    return items.filter(item => deviceTaxonomy.matches(item.name, deviceId));
+  }
+
+  /**
+   * How often each path answered since the last restart
+   */
+  getStats() {
+    const { total, paths } = this.stats;
+    return {
+      mode: this.mode,
+      ...this.stats,
+      catalog_rate: total > 0 ? Math.round(((paths.catalog || 0) / total) * 1000) / 1000 : 0
+    };
+  }
+
+  /**
+   * @private
+   */
+  _emptyStats() {
+    return { since: new Date().toISOString(), total: 0, paths: { catalog: 0, llm: 0 }, reasons: {} };
+  }
+}
+
+module.exports = new CatalogResponder();
@@ -0,0 +1,244 @@
+const replySplitter = require('./replySplitter');
+
+/**
+ * Channel adapters describe how each GHL channel is detected and how replies
+ * must be shaped before they are sent through it.
+ *
+ * Adapter fields:
+ *  - name / label: internal key and human readable name (stored in conversation memory)
+ *  - ghlType: value of `type` for POST /conversations/messages
+ *  - aliases: lower-case hints matched against the webhook channel fields
+ *  - maxLength: hard character limit of a single outbound message
+ *  - maxSegments: optional SMS segment budget per message
+ *  - maxListItems: price list lines per message before the list is split
+ *  - emoji: 'keep' | 'strip'
+ *  - newlines: 'keep' | 'collapse' (no blank lines) | 'flatten' (single line)
+ *  - buildPayload(basePayload, text): optional channel-specific payload fields
+ */
+class ChannelAdapterRegistry {
+  constructor() {
+    this.adapters = new Map();
+    this.defaultAdapter = 'sms';
+
+    // 0 lifts the segment budget, leaving only the carrier length limit
+    const smsSegments = parseInt(process.env.SMS_MAX_SEGMENTS, 10);
+
+    this.register({
+      name: 'sms',
+      label: 'SMS',
+      ghlType: 'SMS',
+      aliases: ['sms', 'text message', 'phone'],
+      maxLength: 1600, // Carrier concatenation limit
+      maxSegments: isNaN(smsSegments) ? 4 : smsSegments,
+      maxListItems: 6,
+      // Emojis force UCS-2 (70 chars per segment instead of 160)
+      emoji: process.env.SMS_STRIP_EMOJIS === 'true' ? 'strip' : 'keep',
+      newlines: 'collapse'
+    });
+
+    this.register({
+      name: 'whatsapp',
+      label: 'WhatsApp',
+      ghlType: 'WhatsApp',
+      aliases: ['whatsapp', 'wa'],
+      maxLength: 4096,
+      maxListItems: 12,
+      emoji: 'keep',
+      newlines: 'keep'
+    });
+
+    this.register({
+      name: 'instagram',
+      label: 'Instagram',
+      ghlType: 'IG',
+      aliases: ['instagram', 'ig'],
+      maxLength: 1000, // Instagram DM limit
+      maxListItems: 5,
+      emoji: 'keep',
+      newlines: 'keep'
+    });
+
+    this.register({
+      name: 'facebook',
+      label: 'Facebook',
+      ghlType: 'FB',
+      aliases: ['facebook', 'messenger', 'fb'],
+      maxLength: 2000, // Messenger limit
+      maxListItems: 8,
+      emoji: 'keep',
+      newlines: 'keep'
+    });
+
+    this.register({
+      name: 'live_chat',
+      label: 'Live Chat',
+      ghlType: 'Live_Chat',
+      aliases: ['live_chat', 'live chat', 'livechat', 'chat widget', 'webchat'],
+      maxLength: 2000,
+      maxListItems: 10,
+      emoji: 'keep',
+      newlines: 'keep'
+    });
+
+    this.register({
+      name: 'email',
+      label: 'Email',
+      ghlType: 'Email',
+      aliases: ['email', 'e-mail', 'mail'],
+      maxLength: 20000,
+      maxListItems: null, // One email holds the whole list
+      emoji: 'strip',
+      newlines: 'keep',
+      buildPayload: (payload, text) => ({
+        ...payload,
+        subject: process.env.EMAIL_REPLY_SUBJECT || 'ReparaloYA - Tu consulta',
+        html: text
+          .split('\n')
+          .map(line => line.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;'))
+          .join('<br>')
+      })
+    });
+
+    console.log(`📡 Channel adapters registered: ${Array.from(this.adapters.values()).map(a => a.label).join(', ')}`);
+  }
+
+  /**
+   * Register or replace a channel adapter
+   * @param {Object} adapter - Adapter definition (see class comment)
+   */
+  register(adapter) {
+    if (!adapter.name || !adapter.ghlType) {
+      throw new Error('Channel adapter needs a name and a ghlType');
+    }
+    this.adapters.set(adapter.name, adapter);
+  }
+
+  /**
+   * Get an adapter by name, label or GHL type
+   * @param {string} nameOrLabel - e.g. 'whatsapp', 'WhatsApp', 'IG'
+   * @returns {Object} Adapter (SMS when unknown)
+   */
+  get(nameOrLabel) {
+    return this.resolve(nameOrLabel) || this.adapters.get(this.defaultAdapter);
+  }
+
+  /**
+   * Match a free-form channel hint against adapter names, types and aliases
+   * @param {string} hint - Channel hint from the webhook
+   * @returns {Object|null} Adapter or null when nothing matches
+   */
+  resolve(hint) {
+    if (!hint || typeof hint !== 'string') return null;
+
+    const normalized = hint.toLowerCase().replace(/^type_/, '').trim();
+    if (!normalized) return null;
+
+    // Exact matches first so 'ig' or 'wa' never match inside longer words
+    for (const adapter of this.adapters.values()) {
+      const exact = [adapter.name, adapter.label.toLowerCase(), adapter.ghlType.toLowerCase(), ...adapter.aliases];
+      if (exact.includes(normalized)) return adapter;
+    }
+
+    for (const adapter of this.adapters.values()) {
+      const longAliases = adapter.aliases.filter(alias => alias.length > 3);
+      if (longAliases.some(alias => normalized.includes(alias))) return adapter;
+    }
+
+    return null;
+  }
+
+  /**
+   * Detect the channel of a GHL webhook payload
+   * @param {Object} body - Webhook body
+   * @returns {Object} Adapter
+   */
+  detect(body) {
+    const message = body.message || {};
+    const hints = [
+      body.customData?.channel,
+      body.messageType,
+      message.messageType,
+      typeof message.type === 'string' ? message.type : null,
+      body.type,
+      body.contact?.attributionSource?.medium,
+      body.contact?.lastAttributionSource?.medium
+    ];
+
+    for (const hint of hints) {
+      const adapter = this.resolve(hint);
+      if (adapter) return adapter;
+    }
+
+    return this.adapters.get(this.defaultAdapter);
+  }
+
+  /**
+   * List registered adapters
+   */
+  list() {
+    return Array.from(this.adapters.values()).map(adapter => ({
+      name: adapter.name,
+      label: adapter.label,
+      ghl_type: adapter.ghlType,
+      max_length: adapter.maxLength,
+      max_segments: adapter.maxSegments || null,
+      max_list_items: adapter.maxListItems,
+      emoji: adapter.emoji,
+      newlines: adapter.newlines
+    }));
+  }
+
+  /**
+   * Apply the channel's policies and split the reply into outbound messages
+   * @param {Object} adapter - Channel adapter
+   * @param {string} text - Reply text
+   * @returns {Array<string>} Messages to send, in order
+   */
+  format(adapter, text) {
+    let formatted = text || '';
+
+    if (adapter.emoji === 'strip') {
+      formatted = replySplitter.stripEmojis(formatted);
+    }
+
+    // Split on paragraphs before the newline policy removes them
+    return replySplitter
+      .split(formatted, {
+        maxLength: adapter.maxLength,
+        maxSegments: adapter.maxSegments,
+        maxListItems: adapter.maxListItems
+      })
+      .map(chunk => this._applyNewlinePolicy(chunk, adapter.newlines))
+      .filter(chunk => chunk.length > 0);
+  }
+
+  /**
+   * Build the GHL send message payload for a chunk
+   * @param {Object} adapter - Channel adapter
+   * @param {Object} basePayload - { contactId, locationId }
+   * @param {string} text - Message text
+   * @returns {Object} Payload
+   */
+  buildPayload(adapter, basePayload, text) {
+    const payload = { type: adapter.ghlType, ...basePayload, message: text };
+    return adapter.buildPayload ? adapter.buildPayload(payload, text) : payload;
+  }
+
+  /**
+   * @private
+   */
+  _applyNewlinePolicy(text, policy) {
+    const trimmed = text.replace(/[ \t]+\n/g, '\n').trim();
+
+    if (policy === 'collapse') {
+      return trimmed.replace(/\n{2,}/g, '\n');
+    }
+    if (policy === 'flatten') {
+      return trimmed.replace(/\s*\n\s*/g, ' ');
+    }
+
+    return trimmed.replace(/\n{3,}/g, '\n\n');
+  }
+}
+
+module.exports = new ChannelAdapterRegistry();
@@ -0,0 +1,108 @@
+/**
+ * Runs async tasks in strict FIFO order per key (contact ID) while tasks for
+ * different keys run in parallel, up to a global concurrency limit.
+ */
+class ContactScheduler {
+  /**
+   * @param {Object} options
+   * @param {number} options.concurrency - Maximum number of tasks running at once
+   */
+  constructor(options = {}) {
+    this.concurrency = Math.max(1, options.concurrency || 4);
+
+    this.queues = new Map(); // key -> [{ task, resolve, reject }]
+    this.activeKeys = new Set(); // keys with a task currently running
+    this.waitingKeys = []; // keys with queued tasks waiting for a free slot, in arrival order
+    this.running = 0;
+  }
+
+  /**
+   * Schedule a task behind every earlier task with the same key
+   * @param {string} key - Serialization key (usually the contact ID)
+   * @param {Function} task - async () => result
+   * @returns {Promise} Resolves or rejects with the task's outcome
+   */
+  schedule(key, task) {
+    return new Promise((resolve, reject) => {
+      if (!this.queues.has(key)) {
+        this.queues.set(key, []);
+      }
+      this.queues.get(key).push({ task, resolve, reject });
+
+      if (!this.activeKeys.has(key) && !this.waitingKeys.includes(key)) {
+        this.waitingKeys.push(key);
+      }
+
+      this._pump();
+    });
+  }
+
+  /**
+   * Check whether a key has running or queued tasks
+   * @param {string} key - Serialization key
+   * @returns {boolean}
+   */
+  isBusy(key) {
+    return this.activeKeys.has(key) || this.queues.has(key);
+  }
+
+  /**
+   * Get scheduler statistics
+   */
+  getStats() {
+    let queued = 0;
+    for (const queue of this.queues.values()) {
+      queued += queue.length;
+    }
+
+    return {
+      concurrency: this.concurrency,
+      running: this.running,
+      queued: queued,
+      active_keys: this.activeKeys.size
+    };
+  }
+
+  /**
+   * Start tasks while slots are free, one key at a time
+   * @private
+   */
+  _pump() {
+    while (this.running < this.concurrency && this.waitingKeys.length > 0) {
+      const key = this.waitingKeys.shift();
+      const queue = this.queues.get(key);
+      const entry = queue.shift();
+
+      if (queue.length === 0) {
+        this.queues.delete(key);
+      }
+
+      this.running++;
+      this.activeKeys.add(key);
+      this._run(key, entry);
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _run(key, entry) {
+    try {
+      entry.resolve(await entry.task());
+    } catch (error) {
+      entry.reject(error);
+    } finally {
+      this.running--;
+      this.activeKeys.delete(key);
+
+      // Remaining tasks for this key go to the back of the line so busy contacts can't starve others
+      if (this.queues.has(key)) {
+        this.waitingKeys.push(key);
+      }
+
+      this._pump();
+    }
+  }
+}
+
+module.exports = ContactScheduler;
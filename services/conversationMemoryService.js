@@ -65,6 +65,19 @@ class ConversationMemoryService {
     }
   }
   
+  /**
+   * Check whether a message was already stored for a contact
+   * @param {string} contactId - GHL contact ID
+   * @param {string} messageId - GHL message ID
+   * @returns {boolean}
+   */
+  hasMessage(contactId, messageId) {
+    if (!contactId || !messageId) return false;
+
+    return this._loadConversation(contactId).messages
+      .some(message => message.metadata && message.metadata.message_id === messageId);
+  }
+  
   /**
    * Get conversation history for a contact
    * @param {string} contactId - GHL contact ID
@@ -130,6 +143,46 @@ class ConversationMemoryService {
     }
   }
   
+  /**
+   * Get the language a contact prefers to be answered in
+   * @param {string} contactId - GHL contact ID
+   * @returns {string|null} Language code
+   */
+  getPreferredLanguage(contactId) {
+    try {
+      if (!contactId) return null;
+      return this._loadConversation(contactId).preferred_language || null;
+    } catch (error) {
+      console.error('❌ Error reading preferred language:', error.message);
+      return null;
+    }
+  }
+  
+  /**
+   * Persist the language a contact prefers to be answered in
+   * @param {string} contactId - GHL contact ID
+   * @param {string} language - Language code
+   * @returns {boolean} True if saved
+   */
+  setPreferredLanguage(contactId, language) {
+    try {
+      if (!contactId || !language) return false;
+      
+      const conversation = this._loadConversation(contactId);
+      if (conversation.preferred_language === language) return true;
+      
+      conversation.preferred_language = language;
+      fs.writeFileSync(this._getConversationFile(contactId), JSON.stringify(conversation, null, 2));
+      
+      console.log(`🌐 Preferred language for contact ${contactId}: ${language}`);
+      return true;
+      
+    } catch (error) {
+      console.error('❌ Error saving preferred language:', error.message);
+      return false;
+    }
+  }
+  
   /**
    * Check if this is a new conversation (first message)
    * @param {string} contactId - GHL contact ID
@@ -189,7 +242,8 @@ class ConversationMemoryService {
         role_count: roleCount,
         last_content_preview: lastMessage.content.substring(0, 100),
         conversation_age_hours: this._getConversationAgeHours(firstMessage.timestamp),
-        channel: lastMessage.metadata.channel || 'SMS'
+        channel: lastMessage.metadata.channel || 'SMS',
+        preferred_language: conversation.preferred_language || null
       };
       
     } catch (error) {
@@ -296,6 +350,62 @@ class ConversationMemoryService {
     }
   }
   
+  /**
+   * Compare prompt versions: conversations, replies and how many reached a booking or a human
+   * @returns {Object} Stats keyed by prompt version
+   */
+  getPromptVersionStats() {
+    const versions = {};
+
+    try {
+      if (!fs.existsSync(this.memoryDir)) return versions;
+
+      const files = fs.readdirSync(this.memoryDir).filter(f => f.endsWith('.json'));
+
+      for (const file of files) {
+        try {
+          const conversation = JSON.parse(fs.readFileSync(path.join(this.memoryDir, file), 'utf8'));
+          const seen = {};
+
+          for (const msg of conversation.messages || []) {
+            const version = msg.role === 'assistant' && msg.metadata && msg.metadata.prompt_version;
+            if (!version) continue;
+
+            const stats = versions[version] || (versions[version] = { conversations: 0, replies: 0, bookings: 0, handoffs: 0 });
+            const intent = msg.metadata.classification && msg.metadata.classification.intent;
+            const flags = seen[version] || (seen[version] = { counted: false, booking: false, handoff: false });
+
+            if (!flags.counted) {
+              stats.conversations++;
+              flags.counted = true;
+            }
+            stats.replies++;
+
+            if (intent === 'booking' && !flags.booking) {
+              stats.bookings++;
+              flags.booking = true;
+            }
+            if (msg.metadata.classification && msg.metadata.classification.needs_human && !flags.handoff) {
+              stats.handoffs++;
+              flags.handoff = true;
+            }
+          }
+        } catch (fileError) {
+          console.error(`⚠️ Error reading ${file}:`, fileError.message);
+        }
+      }
+
+      for (const stats of Object.values(versions)) {
+        stats.booking_rate = stats.conversations > 0 ? Math.round((stats.bookings / stats.conversations) * 1000) / 1000 : 0;
+      }
+
+    } catch (error) {
+      console.error('❌ Error getting prompt version stats:', error.message);
+    }
+
+    return versions;
+  }
+
   /**
    * Load conversation from file
    * @private
@@ -327,6 +437,7 @@ class ConversationMemoryService {
       contact_id: contactId,
       created: new Date().toISOString(),
       last_updated: new Date().toISOString(),
+      preferred_language: null,
       message_count: 0,
       messages: []
     };
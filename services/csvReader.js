@@ -0,0 +1,123 @@
+/**
+ * RFC 4180 reader for the price lists the shop exports: quoted fields with commas,
+ * line breaks and doubled quotes, UTF-8 BOM, CRLF, and comma, semicolon or tab
+ * delimiters. Numbers may use thousands separators and decimal commas
+ * ("1.234,56", "1,234.56", "2719,99").
+ */
+class CsvReader {
+  /**
+   * Split CSV/TSV text into records
+   * @param {string} content - File content
+   * @param {Object} options - { delimiter } (detected from the header line when omitted)
+   * @returns {Object} { headers, delimiter, records: [{ line, values }], errors: [{ line, message }] }
+   */
+  parse(content, options = {}) {
+    const text = (content || '').replace(/^\uFEFF/, '');
+    const delimiter = options.delimiter || this.detectDelimiter(text);
+    const records = [];
+    const errors = [];
+
+    let values = [];
+    let field = '';
+    let inQuotes = false;
+    let wasQuoted = false;
+    let line = 1;
+    let recordLine = 1;
+
+    const endField = () => {
+      values.push(wasQuoted ? field : field.trim());
+      field = '';
+      wasQuoted = false;
+    };
+    const endRecord = () => {
+      endField();
+      if (values.length > 1 || values[0] !== '') records.push({ line: recordLine, values });
+      values = [];
+    };
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (inQuotes) {
+        if (char === '"' && text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          inQuotes = false;
+        } else {
+          if (char === '\n') line++;
+          field += char;
+        }
+      } else if (char === '"' && !wasQuoted && field.trim() === '') {
+        field = '';
+        inQuotes = true;
+        wasQuoted = true;
+      } else if (char === delimiter) {
+        endField();
+      } else if (char === '\r' || char === '\n') {
+        if (char === '\r' && text[i + 1] === '\n') i++;
+        endRecord();
+        line++;
+        recordLine = line;
+      } else if (wasQuoted) {
+        // Text between a closing quote and the delimiter is not part of the field
+        if (char.trim()) errors.push({ line, message: `unexpected "${char}" after a closing quote` });
+      } else {
+        field += char;
+      }
+    }
+
+    if (inQuotes) errors.push({ line: recordLine, message: 'unterminated quoted field' });
+    if (field !== '' || wasQuoted || values.length > 0) endRecord();
+
+    const [header, ...rows] = records;
+    return {
+      headers: header ? header.values : [],
+      delimiter,
+      records: rows,
+      errors
+    };
+  }
+
+  /**
+   * Delimiter of the header line: tab, semicolon or comma, whichever appears most
+   * @param {string} text - File content
+   * @returns {string}
+   */
+  detectDelimiter(text) {
+    const header = text.split(/\r?\n/, 1)[0] || '';
+    const counts = ['\t', ';', ','].map(delimiter => ({ delimiter, count: header.split(delimiter).length - 1 }));
+    const best = counts.reduce((a, b) => (b.count > a.count ? b : a));
+    return best.count > 0 ? best.delimiter : ',';
+  }
+
+  /**
+   * Parse a number written with either separator convention
+   * @param {string|number} raw - "21590", "1.150", "2719,99", "$ 1,234.50"
+   * @returns {number} NaN when the text is not a number
+   */
+  parseNumber(raw) {
+    if (typeof raw === 'number') return raw;
+
+    let text = String(raw || '').replace(/[^\d.,\-]/g, '');
+    if (!/\d/.test(text)) return NaN;
+
+    const lastDot = text.lastIndexOf('.');
+    const lastComma = text.lastIndexOf(',');
+
+    if (lastDot !== -1 && lastComma !== -1) {
+      // Both present: the last one is the decimal separator
+      const decimal = lastDot > lastComma ? '.' : ',';
+      const thousands = decimal === '.' ? ',' : '.';
+      text = text.split(thousands).join('').replace(decimal, '.');
+    } else if (lastComma !== -1) {
+      text = /^-?\d{1,3}(,\d{3})+$/.test(text) ? text.replace(/,/g, '') : text.replace(',', '.');
+    } else if (lastDot !== -1 && /^-?\d{1,3}(\.\d{3})+$/.test(text)) {
+      text = text.replace(/\./g, '');
+    }
+
+    return /^-?\d+(\.\d+)?$/.test(text) ? parseFloat(text) : NaN;
+  }
+}
+
+module.exports = new CsvReader();
@@ -0,0 +1,364 @@
+const fs = require('fs');
+const path = require('path');
+
+const SUPPORTED_SCHEMA_VERSION = 1;
+
+// Words written in capitals in model names ("iPhone XS", "Galaxy S21 FE")
+const UPPERCASE_WORDS = ['x', 'xs', 'xr', 'se', 'fe', 'ii', 'iii', 'iv', 'ot', 'lte'];
+
+// Part numbers printed on the part itself, not on the device
+const PART_NUMBER_PATTERNS = [
+  /\bhb\d{6}[a-z]{2,4}\b/g, // Huawei batteries
+  /\bb[mn]\d{2}\b/g, // Xiaomi batteries
+  /\beb-?b[a-z]\d{3}[a-z]{0,4}\b/g, // Samsung batteries
+  /\bgh\d{2}-\d{5}[a-z]?\b/g, // Samsung service parts
+  /\b0\d{4}[a-z0-9]{3}\b/g // Huawei service parts
+];
+
+// Battery capacities ("4100MAH", "5000 mAh")
+const CAPACITY_PATTERN = /\b\d+\s?mah\b/g;
+
+// Product names list several models: "PANTALLA HUAWEI Y6 2019 / HONOR 8A (2019)"
+const SEGMENT_SEPARATORS = /[\/(),]|\s-\s/;
+
+/**
+ * Device models known to the shop, read from device-taxonomy.json (seeded from
+ * pricing.csv with scripts/seed-device-taxonomy.js). Resolves the model a customer
+ * asks about and the models a catalog row fits, so "iPhone 13" never picks up
+ * "iPhone 13 Pro" or "13 Mini" rows.
+ *
+ * Each family has the prefixes customers and the catalog use ("samsung", "galaxy"),
+ * a pattern for the model part after the prefix and patterns for internal codes
+ * (A2338, SM-A207, T220). {variants} in a model pattern expands to
+ * variant_precedence, longest variant first.
+ */
+class DeviceTaxonomy {
+  constructor() {
+    this.taxonomyPath = process.env.DEVICE_TAXONOMY_PATH || path.join(__dirname, '..', 'device-taxonomy.json');
+    this.partNumberPatterns = PART_NUMBER_PATTERNS;
+
+    this._load();
+
+    console.log(`📱 Device Taxonomy loaded: ${this.models.length} models in ${this.families.length} families`);
+  }
+
+  /**
+   * Model a customer message is about: an internal code wins, otherwise the longest alias
+   * @param {string} text - Free text
+   * @returns {Object|null} Model entry { id, family, brand, model, name, aliases, codes }
+   */
+  resolve(text) {
+    const normalized = this.normalize(text);
+    if (!normalized) return null;
+
+    for (const { pattern, id } of this.codeIndex) {
+      if (pattern.test(normalized)) return this.byId.get(id);
+    }
+
+    let best = null;
+    for (const { alias, id } of this.aliasIndex) {
+      if (best && alias.length <= best.alias.length) break;
+      const start = this._findWord(normalized, alias);
+      if (start !== -1) best = { alias, id, start };
+    }
+
+    return best ? this.byId.get(best.id) : null;
+  }
+
+  /**
+   * Models a catalog product name fits, in order of appearance
+   * @param {string} productName - Catalog row name
+   * @returns {Array<Object>} Model entries
+   */
+  modelsIn(productName) {
+    const ids = new Set(this.extract(productName).map(found => found.id));
+    return Array.from(ids).filter(id => this.byId.has(id)).map(id => this.byId.get(id));
+  }
+
+  /**
+   * Whether a catalog product name fits a model
+   * @param {string} productName - Catalog row name
+   * @param {string} modelId - Model id
+   * @returns {boolean}
+   */
+  matches(productName, modelId) {
+    return this.extract(productName).some(found => found.id === modelId);
+  }
+
+  /**
+   * Model entry by id
+   * @param {string} modelId
+   * @returns {Object|null}
+   */
+  get(modelId) {
+    return this.byId.get(modelId) || null;
+  }
+
+  /**
+   * Brand named in a text by any family prefix
+   * @param {string} text - Free text or product name
+   * @returns {string|null} Brand as written in the taxonomy ("Samsung")
+   */
+  brandOf(text) {
+    const found = this._findFamily(this.normalize(text));
+    return found ? found.family.brand : null;
+  }
+
+  /**
+   * Whether a single word starts a brand or family name ("apple", "samsung", "redmi")
+   * @param {string} word
+   * @returns {boolean}
+   */
+  isBrandWord(word) {
+    return this.brandWords.has(this.normalize(word));
+  }
+
+  /**
+   * Raw models and codes in a product name, including models not in the taxonomy yet.
+   * Segments without a brand ("J701 / J7 NEO") continue the family of the previous one;
+   * codes go to the model before them, or to the next one when none came yet. Part
+   * numbers and battery capacities are not models.
+   * @param {string} productName - Catalog row name
+   * @returns {Array<Object>} [{ id, family, model, codes }]
+   */
+  extract(productName) {
+    const found = [];
+    let pending = [];
+    let family = null;
+
+    const addCodes = codes => {
+      const formatted = codes.map(code => this._formatCode(code));
+      if (found.length > 0) found[found.length - 1].codes.push(...formatted);
+      else pending.push(...formatted);
+    };
+
+    for (const rawSegment of (productName || '').split(SEGMENT_SEPARATORS)) {
+      const raw = [...PART_NUMBER_PATTERNS, CAPACITY_PATTERN]
+        .reduce((text, pattern) => text.replace(pattern, ' '), rawSegment.toLowerCase());
+      const segment = this.normalize(raw);
+      if (!segment) continue;
+
+      let rest = segment;
+      const prefixed = this._findFamily(segment);
+      if (prefixed) {
+        if (family && family.key !== prefixed.family.key) pending = [];
+        family = prefixed.family;
+        rest = segment.slice(prefixed.end).trim();
+      } else if (!family || /^20\d\d$/.test(rest)) {
+        continue;
+      } else if (family.codePatterns.some(pattern => new RegExp(`^${pattern.source}$`).test(rest))) {
+        addCodes([rest]);
+        continue;
+      }
+
+      // "MATE 10 / 10 PRO" keeps the series word of the model before it
+      const previous = found.length > 0 && found[found.length - 1];
+      const series = !prefixed && previous && previous.family === family.key && /^\d/.test(rest) && previous.model.match(/^([a-z]+ )\d/);
+      const match = (series && `${series[1]}${rest}`.match(family.modelPattern)) || rest.match(family.modelPattern);
+      // A number glued to a configuration code after the model ("C340 - 14API") is not a model
+      const glued = !prefixed && match && raw.trim().match(/^(\d+)[a-z]{3,}(?![a-z0-9])/);
+      if (match && !(glued && glued[1] === match[1])) {
+        const model = match[1];
+        found.push({ id: this._modelId(family, model), family: family.key, model, codes: pending });
+        pending = [];
+        rest = rest.slice(match[0].length - (match.input.length - rest.length));
+      }
+
+      for (const pattern of family.codePatterns) {
+        addCodes(rest.match(new RegExp(`(?<![a-z0-9])${pattern.source}(?![a-z0-9])`, 'g')) || []);
+      }
+    }
+
+    return found;
+  }
+
+  /**
+   * Display name of a model ("Galaxy A21S", "iPhone 13 Pro Max")
+   * @param {string} familyKey - Family key
+   * @param {string} model - Normalized model part ("a21s")
+   * @returns {string}
+   */
+  displayName(familyKey, model) {
+    const family = this.familyByKey.get(familyKey);
+    const words = model.split(' ').map(word => {
+      if (/\d/.test(word) || UPPERCASE_WORDS.includes(word)) return word.toUpperCase();
+      return word.charAt(0).toUpperCase() + word.slice(1);
+    });
+    return `${family.display} ${words.join(' ')}`;
+  }
+
+  /**
+   * Lowercase, accent-free, one space between words; "S9+" becomes "s9 plus"
+   * and glued names ("iphone13", "13promax") are split
+   * @param {string} text
+   * @returns {string}
+   */
+  normalize(text) {
+    return (text || '')
+      .toLowerCase()
+      .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+      .replace(/([a-z0-9])\+/g, '$1 plus ')
+      .replace(/[^a-z0-9.\-]+/g, ' ')
+      .replace(/\b([a-z]{3,})(\d)/g, '$1 $2')
+      .replace(/(\d)([a-z]{3,})\b/g, '$1 $2')
+      .replace(/\bpromax\b/g, 'pro max')
+      .replace(/(^|\s)[.\-]+|[.\-]+(?=\s|$)/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Read and index the taxonomy file, failing fast on anything resolve() would trip over
+   * @private
+   */
+  _load() {
+    const taxonomy = JSON.parse(fs.readFileSync(this.taxonomyPath, 'utf8'));
+    const errors = [];
+
+    if (taxonomy.schema_version !== SUPPORTED_SCHEMA_VERSION) {
+      errors.push(`schema_version must be ${SUPPORTED_SCHEMA_VERSION}`);
+    }
+    if (!Array.isArray(taxonomy.variant_precedence) || taxonomy.variant_precedence.length === 0) {
+      errors.push('variant_precedence must list at least one variant');
+    }
+
+    const variants = `(?:${[...(taxonomy.variant_precedence || []), '20\\d\\d'].join('|')})(?![a-z0-9])`;
+    const families = [];
+
+    for (const family of taxonomy.families || []) {
+      if (!family.key || !family.brand || !family.display) {
+        errors.push(`family ${family.key || '?'} needs key, brand and display`);
+        continue;
+      }
+      if (families.some(existing => existing.key === family.key)) errors.push(`family ${family.key} is listed twice`);
+      if (!Array.isArray(family.prefixes) || family.prefixes.length === 0) errors.push(`family ${family.key} has no prefixes`);
+
+      try {
+        families.push({
+          ...family,
+          prefixes: (family.prefixes || []).map(prefix => this.normalize(prefix)),
+          modelPattern: new RegExp(`^(${family.model.replace(/\{variants\}/g, variants)})(?![a-z0-9-])`),
+          codePatterns: (family.codes || []).map(code => new RegExp(code))
+        });
+      } catch (error) {
+        errors.push(`family ${family.key} has an invalid pattern: ${error.message}`);
+      }
+    }
+
+    this.familyByKey = new Map(families.map(family => [family.key, family]));
+    this.brandWords = new Set(families.flatMap(family => [
+      ...family.brand.toLowerCase().split(' '),
+      ...family.prefixes.map(prefix => prefix.split(' ')[0])
+    ]));
+
+    const models = [];
+    for (const entry of taxonomy.models || []) {
+      if (!this.familyByKey.has(entry.family)) {
+        errors.push(`model ${entry.id} names unknown family "${entry.family}"`);
+        continue;
+      }
+      if (models.some(existing => existing.id === entry.id)) errors.push(`model ${entry.id} is listed twice`);
+      models.push({ ...entry, brand: this.familyByKey.get(entry.family).brand, aliases: entry.aliases || [], codes: entry.codes || [] });
+    }
+
+    if (errors.length > 0) {
+      const error = new Error(`Invalid device taxonomy in ${this.taxonomyPath}: ${errors.join('; ')}`);
+      error.errors = errors;
+      throw error;
+    }
+
+    this.variantPrecedence = taxonomy.variant_precedence;
+    this.families = families;
+    this.models = models;
+    this.byId = new Map(models.map(model => [model.id, model]));
+    this._buildIndexes();
+  }
+
+  /**
+   * Aliases longest first (so "iphone 13 pro max" is tried before "iphone 13") and code patterns
+   * @private
+   */
+  _buildIndexes() {
+    const bare = new Map();
+    for (const model of this.models) {
+      if (/[a-z]/.test(model.model.split(' ')[0]) && /\d/.test(model.model.split(' ')[0])) {
+        bare.set(model.model, bare.has(model.model) ? null : model.id);
+      }
+    }
+
+    const aliases = new Map();
+    const add = (alias, id) => {
+      if (alias && !aliases.has(alias)) aliases.set(alias, id);
+    };
+
+    for (const model of this.models) {
+      for (const prefix of this.familyByKey.get(model.family).prefixes) add(`${prefix} ${model.model}`, model.id);
+      for (const alias of model.aliases) add(this.normalize(alias), model.id);
+      if (bare.get(model.model) === model.id) add(model.model, model.id);
+    }
+
+    this.aliasIndex = Array.from(aliases, ([alias, id]) => ({ alias, id }))
+      .sort((a, b) => b.alias.length - a.alias.length);
+
+    this.codeIndex = this.models.flatMap(model => model.codes.map(code => {
+      const normalized = this.normalize(code).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      const pattern = normalized.startsWith('sm-')
+        ? `(?:sm[- ]?)?${normalized.slice(3)}`
+        : normalized.replace(/-/g, '[- ]?');
+      return { id: model.id, pattern: new RegExp(`(?<![a-z0-9])${pattern}[a-z]?(?![a-z0-9])`) };
+    }));
+  }
+
+  /**
+   * Earliest family prefix in a normalized text; the longest one at that position
+   * @private
+   */
+  _findFamily(normalized) {
+    let best = null;
+
+    for (const family of this.families) {
+      for (const prefix of family.prefixes) {
+        const start = this._findWord(normalized, prefix);
+        if (start === -1) continue;
+        if (!best || start < best.start || (start === best.start && prefix.length > best.end - best.start)) {
+          best = { family, start, end: start + prefix.length };
+        }
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Position of a whole-word occurrence, -1 when absent
+   * @private
+   */
+  _findWord(text, word) {
+    let start = text.indexOf(word);
+
+    while (start !== -1) {
+      const before = start === 0 ? ' ' : text[start - 1];
+      const after = text.slice(start + word.length, start + word.length + 2);
+      if (!/[a-z0-9]/.test(before) && !/^[a-z0-9]|^\.\d/.test(after)) return start;
+      start = text.indexOf(word, start + 1);
+    }
+
+    return -1;
+  }
+
+  /**
+   * @private
+   */
+  _modelId(family, model) {
+    return `${family.key}-${model.replace(/[^a-z0-9]+/g, '-')}`;
+  }
+
+  /**
+   * @private
+   */
+  _formatCode(code) {
+    return code.toUpperCase();
+  }
+}
+
+module.exports = new DeviceTaxonomy();
@@ -1,10 +1,10 @@
 const TagService = require('./tagService');
-// const OpportunityService = require('./opportunityService');
+const OpportunityService = require('./opportunityService');
 
 class FaultTolerantProcessor {
   constructor() {
     this.tagService = TagService;
-    // this.opportunityService = OpportunityService;
+    this.opportunityService = OpportunityService;
   }
 
   /**
@@ -20,7 +20,7 @@ class FaultTolerantProcessor {
       timestamp: new Date().toISOString(),
       tags: { success: false, error: null, data: null },
       pipeline: { success: false, error: null, data: null },
-      overall: { success: false, completedSteps: 0, totalSteps: 2 }
+      overall: { success: false, completedSteps: 0, totalSteps: options.targetStage ? 2 : 1 }
     };
 
     try {
@@ -35,13 +35,17 @@ class FaultTolerantProcessor {
         results.tags.error = `Tag processing failed: ${error.message}`;
       }
 
-      // Step 2: Process pipeline (independent operation)
-      try {
-        console.log('📋 FaultTolerantProcessor: Processing pipeline...');
-        // await this._processPipelineWithRetry(contactId, options.targetStage, results, 2, options.locationId);
-      } catch (error) {
-        console.error('❌ FaultTolerantProcessor: Pipeline processing failed completely:', error.message);
-        results.pipeline.error = `Pipeline processing failed: ${error.message}`;
+      // Step 2: Process pipeline (independent operation, only when a target stage is configured)
+      if (options.targetStage) {
+        try {
+          console.log('📋 FaultTolerantProcessor: Processing pipeline...');
+          await this._processPipelineWithRetry(contactId, options.targetStage, results, 2, options.locationId);
+        } catch (error) {
+          console.error('❌ FaultTolerantProcessor: Pipeline processing failed completely:', error.message);
+          results.pipeline.error = `Pipeline processing failed: ${error.message}`;
+        }
+      } else {
+        results.pipeline.data = { skipped: true, reason: 'No target stage configured' };
       }
 
       // Calculate overall success
@@ -88,7 +92,7 @@ class FaultTolerantProcessor {
         // Add tags to contact
         const tagResult = await this.tagService.addTags(contactId, tags);
         
-        if (tagResult) {
+        if (tagResult && tagResult.success) {
           results.tags.success = true;
           results.tags.data = { 
             tagsAdded: tags, 
@@ -98,7 +102,7 @@ class FaultTolerantProcessor {
           console.log(`✅ FaultTolerantProcessor: Tags processed successfully on attempt ${attempt + 1}`);
           return;
         } else {
-          throw new Error('Tag service returned null/false');
+          throw new Error((tagResult && tagResult.error) || 'Tag service returned null/false');
         }
 
       } catch (error) {
@@ -127,21 +131,21 @@ class FaultTolerantProcessor {
           await this._wait(1500 * attempt); // Progressive delay
         }
 
-        // const pipelineSuccess = await this.opportunityService.updateStage(contactId, targetStage, locationId);
+        const pipelineSuccess = await this.opportunityService.updateStage(contactId, targetStage, locationId);
         
-        // if (pipelineSuccess) {
-        //   results.pipeline.success = true;
-        //   results.pipeline.data = { 
-        //     targetStage: targetStage,
-        //     contactId: contactId,
-        //     locationId: locationId,
-        //     attempt: attempt + 1 
-        //   };
-        //   console.log(`✅ FaultTolerantProcessor: Pipeline processed successfully on attempt ${attempt + 1}`);
-        //   return;
-        // } else {
-        //   throw new Error('Opportunity service returned false');
-        // }
+        if (pipelineSuccess) {
+          results.pipeline.success = true;
+          results.pipeline.data = { 
+            targetStage: targetStage,
+            contactId: contactId,
+            locationId: locationId,
+            attempt: attempt + 1 
+          };
+          console.log(`✅ FaultTolerantProcessor: Pipeline processed successfully on attempt ${attempt + 1}`);
+          return;
+        } else {
+          throw new Error('Opportunity service returned false');
+        }
 
       } catch (error) {
         attempt++;
@@ -172,7 +176,7 @@ class FaultTolerantProcessor {
       }
 
       const result = await this.tagService.addTags(contactId, tags);
-      const success = !!result;
+      const success = !!(result && result.success);
       
       console.log(`${success ? '✅' : '❌'} FaultTolerantProcessor: Tags-only processing ${success ? 'succeeded' : 'failed'}`);
       return success;
@@ -187,16 +191,17 @@ class FaultTolerantProcessor {
    * Process pipeline only (for when tags are not needed)
    * @param {string} contactId - GHL contact ID
    * @param {string} targetStage - Target pipeline stage
+   * @param {string} locationId - GHL location ID
    * @returns {Promise<boolean>} - Success status
    */
-  async processPipelineOnly(contactId, targetStage = 'IA Diagnostico enviado') {
+  async processPipelineOnly(contactId, targetStage = 'IA Diagnostico enviado', locationId = null) {
     try {
       console.log('📋 FaultTolerantProcessor: Processing pipeline only...');
       
-      // const success = await this.opportunityService.updateStage(contactId, targetStage);
+      const success = await this.opportunityService.updateStage(contactId, targetStage, locationId);
       
-      // console.log(`${success ? '✅' : '❌'} FaultTolerantProcessor: Pipeline-only processing ${success ? 'succeeded' : 'failed'}`);
-      // return success;
+      console.log(`${success ? '✅' : '❌'} FaultTolerantProcessor: Pipeline-only processing ${success ? 'succeeded' : 'failed'}`);
+      return success;
 
     } catch (error) {
       console.error('❌ FaultTolerantProcessor: Pipeline-only processing failed:', error.message);
@@ -217,7 +222,7 @@ class FaultTolerantProcessor {
       },
       dependencies: {
         tagService: this.tagService.getHealthStatus(),
-        // opportunityService: this.opportunityService.getHealthStatus()
+        opportunityService: this.opportunityService.getHealthStatus()
       },
       capabilities: {
         tagProcessing: true,
@@ -235,7 +240,7 @@ class FaultTolerantProcessor {
    */
   async getPipelineInfo() {
     try {
-      // return await this.opportunityService.getDetailedPipelineInfo();
+      return await this.opportunityService.getDetailedPipelineInfo();
     } catch (error) {
       return {
         success: false,
@@ -248,7 +253,7 @@ class FaultTolerantProcessor {
    * Clear all caches
    */
   clearCaches() {
-    // this.opportunityService.clearCache();
+    this.opportunityService.clearCache();
     console.log('🗑️ FaultTolerantProcessor: All caches cleared');
   }
 
@@ -1,4 +1,7 @@
 const axios = require('axios');
+const channelAdapters = require('./channelAdapters');
+const languageService = require('./languageService');
+const businessProfileService = require('./businessProfileService');
 
 class GHLService {
   constructor() {
@@ -7,43 +10,27 @@ class GHLService {
     this.defaultLocationId = process.env.GHL_LOCATION_ID;
   }
   
-  // Detect channel type from original message data
+  // Detect channel type (GHL message type) from original message data
   detectChannelType(messageData) {
-    // Check platform/source field
-    const platform = messageData.platform || messageData.source || '';
-    const messageType = messageData.message_type || '';
-    
-    // Priority: explicit platform > message type patterns > fallback
-    if (platform.toLowerCase().includes('instagram') || platform === 'IG') {
-      return 'IG';
-    }
-    if (platform.toLowerCase().includes('whatsapp') || platform === 'WA') {
-      return 'WhatsApp';
-    }
-    if (platform.toLowerCase().includes('sms') || platform === 'SMS') {
-      return 'SMS';
-    }
-    
-    // Fallback logic based on phone format or message characteristics
-    if (messageData.phone && messageData.phone.startsWith('+')) {
-      return 'SMS'; // Most likely SMS if we have phone number
-    }
-    
-    return 'SMS'; // Default fallback
+    return this.getChannelAdapter(messageData).ghlType;
+  }
+  
+  // Channel adapter for the message being answered (SMS when unknown)
+  getChannelAdapter(messageData = {}) {
+    return channelAdapters.get(messageData.channel || messageData.platform || messageData.source);
   }
   
   // Send message back to contact
   async sendMessage(contactId, message, locationId = null, originalMessageData = {}) {
     try {
       const location = locationId || this.defaultLocationId;
-      const channelType = this.detectChannelType(originalMessageData);
+      const adapter = this.getChannelAdapter(originalMessageData);
+      const channelType = adapter.ghlType;
       
-      const payload = {
-        type: channelType,
+      const payload = channelAdapters.buildPayload(adapter, {
         contactId: contactId,
-        locationId: location,
-        message: message
-      };
+        locationId: location
+      }, message);
       
       console.log('📤 Sending GHL message:', { 
         contactId, 
@@ -213,24 +200,19 @@ class GHLService {
     }
   }
   
-  // Check if it's business hours (9 AM - 6 PM, Mon-Sat, France timezone)
-  isBusinessHours() {
-    const now = new Date();
-    const franceTime = new Date(now.toLocaleString("en-US", {timeZone: "Europe/Paris"}));
-    
-    const hour = franceTime.getHours();
-    const day = franceTime.getDay(); // 0 = Sunday, 1 = Monday, etc.
-    
-    const isWeekday = day >= 1 && day <= 6; // Monday to Saturday
-    const isBusinessHour = hour >= 9 && hour < 18; // 9 AM to 6 PM
-    
-    return isWeekday && isBusinessHour;
+  // Check if it's business hours, per the business profile's opening hours and time zone
+  isBusinessHours(date = new Date()) {
+    return businessProfileService.isOpen(date);
   }
   
-  // Send after-hours response
-  async sendAfterHoursResponse(contactId, locationId = null) {
-    const message = "Merci pour votre message! 🕘 Nous sommes actuellement fermés (9h-18h, Lun-Sam). Nous vous répondrons dès l'ouverture. Pour une urgence, consultez reparaloya.com.uy";
-    return this.sendMessage(contactId, message, locationId);
+  // Send after-hours response in the contact's language
+  async sendAfterHoursResponse(contactId, locationId = null, language = null, originalMessageData = {}) {
+    const locale = languageService.getLocale(language);
+    const message = locale.afterHours({
+      hours: businessProfileService.formatOpeningHours(locale.code),
+      website: businessProfileService.getProfile().business.website
+    });
+    return this.sendMessage(contactId, message, locationId, originalMessageData);
   }
 }
 
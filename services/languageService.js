@@ -0,0 +1,125 @@
+const locales = {
+  es: require('../locales/es'),
+  en: require('../locales/en'),
+  pt: require('../locales/pt')
+};
+
+// Frequent short words that rarely appear in the other two languages
+const STOPWORDS = {
+  es: ['el', 'la', 'los', 'las', 'que', 'de', 'del', 'y', 'en', 'un', 'una', 'por', 'para', 'con', 'mi', 'es',
+    'cuánto', 'cuanto', 'cuesta', 'sale', 'hola', 'buenas', 'buenos', 'gracias', 'necesito', 'quiero', 'tienen',
+    'precio', 'pantalla', 'arreglo', 'cambio', 'celular', 'se', 'me', 'rompió', 'está', 'también', 'pero', 'muy'],
+  en: ['the', 'is', 'are', 'my', 'i', 'you', 'your', 'how', 'much', 'what', 'do', 'does', 'can', 'hello', 'hi',
+    'thanks', 'thank', 'need', 'want', 'screen', 'broken', 'price', 'cost', 'repair', 'fix', 'phone', 'have',
+    'and', 'for', 'with', 'of', 'to', 'it', 'please', 'battery', 'would', 'like'],
+  pt: ['o', 'os', 'as', 'que', 'de', 'do', 'da', 'em', 'um', 'uma', 'para', 'com', 'meu', 'minha', 'é', 'não',
+    'olá', 'oi', 'obrigado', 'obrigada', 'preciso', 'quero', 'vocês', 'você', 'quanto', 'custa', 'tela', 'conserto',
+    'celular', 'quebrou', 'está', 'também', 'mas', 'muito', 'bom', 'dia', 'tarde', 'noite', 'troca']
+};
+
+// Characters only one of the languages uses
+const MARKERS = {
+  es: /[ñ¿¡]/,
+  pt: /[ãõç]|ção|ções/
+};
+
+// Whisper verbose_json reports the language by name
+const WHISPER_LANGUAGES = {
+  spanish: 'es', english: 'en', portuguese: 'pt'
+};
+
+class LanguageService {
+  constructor() {
+    this.supported = Object.keys(locales);
+    this.defaultLanguage = this.supported.includes(process.env.DEFAULT_LANGUAGE)
+      ? process.env.DEFAULT_LANGUAGE
+      : 'es';
+
+    console.log(`🌐 Language Service initialized (${this.supported.join(', ')}; default ${this.defaultLanguage})`);
+  }
+
+  /**
+   * Detect the language of a customer message
+   * @param {string} text - Message text
+   * @returns {Object} { language, confidence, scores } - language is null when unsure
+   */
+  detect(text) {
+    const lower = (text || '').toLowerCase();
+    const words = lower.match(/[\p{L}]+/gu) || [];
+    const scores = { es: 0, en: 0, pt: 0 };
+
+    for (const word of words) {
+      for (const language of this.supported) {
+        if (STOPWORDS[language].includes(word)) scores[language]++;
+      }
+    }
+
+    for (const [language, marker] of Object.entries(MARKERS)) {
+      if (marker.test(lower)) scores[language] += 2;
+    }
+
+    const ranked = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+    const [best, bestScore] = ranked[0];
+    const margin = bestScore - ranked[1][1];
+
+    // Two-word messages like "ok gracias" are enough when the winner is clear
+    if (bestScore === 0 || margin === 0) {
+      return { language: null, confidence: 0, scores };
+    }
+
+    const confidence = Math.min(1, margin / Math.max(2, words.length / 3));
+    return { language: best, confidence: Math.round(confidence * 100) / 100, scores };
+  }
+
+  /**
+   * Pick the reply language for this turn
+   * @param {Object} detection - Result of detect() (or a Whisper language)
+   * @param {string} preferred - Contact's stored preferred language
+   * @returns {string} Supported language code
+   */
+  resolve(detection, preferred) {
+    if (detection && detection.language && detection.confidence >= 0.5) {
+      return detection.language;
+    }
+    if (preferred && this.supported.includes(preferred)) {
+      return preferred;
+    }
+    if (detection && detection.language) {
+      return detection.language;
+    }
+    return this.defaultLanguage;
+  }
+
+  /**
+   * Map Whisper's language name ("spanish") to a supported code
+   * @param {string} whisperLanguage - verbose_json language field
+   * @returns {string|null}
+   */
+  fromWhisper(whisperLanguage) {
+    const name = (whisperLanguage || '').toLowerCase();
+    if (this.supported.includes(name)) return name;
+    return WHISPER_LANGUAGES[name] || null;
+  }
+
+  /**
+   * Whole-word match that also works with accented letters ("lg" must not match "algo")
+   * @param {string} text - Lower-cased text
+   * @param {string} term - Word or phrase to look for
+   * @returns {boolean}
+   */
+  containsWord(text, term) {
+    const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(?<![\\p{L}\\p{N}])${escaped}(?!\\p{L})`, 'u').test(text);
+  }
+
+  /**
+   * Texts and prompts for a language (default language when unsupported)
+   * @param {string} language - Language code
+   * @returns {Object} Locale module
+   */
+  getLocale(language) {
+    return locales[language] || locales[this.defaultLanguage];
+  }
+}
+
+module.exports = new LanguageService();
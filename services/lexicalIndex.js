@@ -0,0 +1,131 @@
+const deviceTaxonomy = require('./deviceTaxonomy');
+
+// BM25 parameters: term frequency saturation and length normalization
+const K1 = 1.2;
+const B = 0.75;
+
+// Words folded onto one term on both sides, so "pila" finds "BATERIA" rows
+const SYNONYMS = {
+  pantalla: ['display', 'modulo', 'screen', 'lcd', 'tela'],
+  bateria: ['pila', 'battery'],
+  camara: ['camera'],
+  altavoz: ['parlante', 'speaker', 'buzzer'],
+  conector: ['pin', 'puerto', 'port'],
+  carga: ['charging', 'charge'],
+  tapa: ['cover'],
+  trasera: ['trasero', 'back'],
+  vidrio: ['glass', 'cristal'],
+  microfono: ['microphone', 'mic'],
+  motorola: ['moto']
+};
+
+const CANONICAL = new Map(
+  Object.entries(SYNONYMS).flatMap(([term, synonyms]) => synonyms.map(synonym => [synonym, term]))
+);
+
+// "-phone" loanwords take a plain -s plural, unlike Spanish -n nouns ("iphones" -> "iphone", "botones" -> "boton")
+const PLAIN_S_PLURAL = /phones$/;
+
+const STOPWORDS = new Set(['de', 'del', 'la', 'las', 'el', 'los', 'para', 'por', 'con', 'y', 'en', 'un', 'una', 'the', 'for', 'of', 'and']);
+
+/**
+ * BM25 index over catalog product names. Names and queries go through the same
+ * analyzer: the taxonomy's normalization (accent-folded, "S9+" as "s9 plus"),
+ * light Spanish plural stemming and synonym folding. One index is built per
+ * catalog and swapped in with it.
+ */
+class LexicalIndex {
+  /**
+   * @param {Array<Object>} documents - [{ id, text }]
+   */
+  constructor(documents = []) {
+    this.postings = new Map(); // term -> Map(id -> term frequency)
+    this.lengths = new Map(); // id -> number of terms
+
+    for (const { id, text } of documents) {
+      const terms = LexicalIndex.analyze(text);
+      this.lengths.set(id, terms.length);
+
+      for (const term of terms) {
+        if (!this.postings.has(term)) this.postings.set(term, new Map());
+        const frequencies = this.postings.get(term);
+        frequencies.set(id, (frequencies.get(id) || 0) + 1);
+      }
+    }
+
+    const total = Array.from(this.lengths.values()).reduce((sum, length) => sum + length, 0);
+    this.averageLength = this.lengths.size > 0 ? total / this.lengths.size : 0;
+  }
+
+  /**
+   * Index terms of a text
+   * @param {string} text - Product name or query
+   * @returns {Array<string>} e.g. "Pilas iPhone 13" -> ['bateria', 'iphone', '13']
+   */
+  static analyze(text) {
+    return deviceTaxonomy.normalize(text)
+      .split(' ')
+      .filter(word => word && !STOPWORDS.has(word))
+      .map(word => {
+        const stem = LexicalIndex.stem(word);
+        return CANONICAL.get(stem) || CANONICAL.get(word) || stem;
+      });
+  }
+
+  /**
+   * Spanish plural to singular; model codes and short words are left alone
+   * @param {string} word - Normalized word
+   * @returns {string} "pantallas" -> "pantalla", "conectores" -> "conector", "luces" -> "luz"
+   */
+  static stem(word) {
+    if (word.length <= 3 || /\d/.test(word)) return word;
+    if (word.endsWith('ces')) return `${word.slice(0, -3)}z`;
+    if (PLAIN_S_PLURAL.test(word)) return word.slice(0, -1);
+    if (/[aeiou][lrndjx]es$/.test(word)) return word.slice(0, -2);
+    if (/[aeo]s$/.test(word)) return word.slice(0, -1);
+    return word;
+  }
+
+  /**
+   * Number of indexed documents
+   * @returns {number}
+   */
+  get size() {
+    return this.lengths.size;
+  }
+
+  /**
+   * Rank documents by BM25
+   * @param {string} query - Customer text
+   * @param {number} limit - Maximum results
+   * @returns {Array<Object>} [{ id, score, terms: { term: contribution } }], best first
+   */
+  search(query, limit = Infinity) {
+    const scores = new Map();
+    const documentCount = this.lengths.size;
+
+    for (const term of new Set(LexicalIndex.analyze(query))) {
+      const frequencies = this.postings.get(term);
+      if (!frequencies) continue;
+
+      const idf = Math.log(1 + (documentCount - frequencies.size + 0.5) / (frequencies.size + 0.5));
+
+      for (const [id, frequency] of frequencies) {
+        const length = this.lengths.get(id);
+        const contribution = idf * frequency * (K1 + 1) /
+          (frequency + K1 * (1 - B + B * length / this.averageLength));
+
+        const hit = scores.get(id) || { id, score: 0, terms: {} };
+        hit.score += contribution;
+        hit.terms[term] = Math.round(contribution * 1000) / 1000;
+        scores.set(id, hit);
+      }
+    }
+
+    return Array.from(scores.values())
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+}
+
+module.exports = LexicalIndex;
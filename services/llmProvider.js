@@ -0,0 +1,423 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const OpenAI = require('openai');
+
+/**
+ * LLM backends share one interface:
+ *  - chat({ messages, temperature, maxTokens, responseFormat, model }) → { content, model }
+ *  - vision({ prompt, imageUrl, maxTokens, temperature }) → { content, model }
+ *  - embed(text) → number[]
+ *  - embedBatch(texts) → number[][] (same order as texts)
+ *  - transcribe({ buffer, filename, mimeType }) → { text, language }
+ *
+ * Pick one with LLM_PROVIDER: openai (default), local (any OpenAI-compatible
+ * server such as Ollama or llama.cpp) or mock (fixtures, no network).
+ *
+ * Every call gets a timeout, capped by the latency budget of the pipeline stage
+ * that makes it; chat replies walk a model chain (primary, then cheaper models).
+ */
+
+// OpenAI API and OpenAI-compatible servers
+class OpenAIProvider {
+  constructor(options) {
+    this.name = options.name;
+    this.apiKey = options.apiKey;
+    this.baseURL = options.baseURL;
+    this.models = options.models;
+    this.fallbackModels = options.fallbackModels || [];
+    this.timeout = options.timeout || 45000;
+    // Pause between embedding calls when indexing the whole catalog
+    this.embedDelayMs = options.embedDelayMs || 0;
+    // Inputs per embeddings request when indexing
+    this.embedBatchSize = options.embedBatchSize || 100;
+    this.client = null;
+  }
+
+  isConfigured() {
+    return !!this.apiKey;
+  }
+
+  async chat({ messages, temperature, maxTokens, responseFormat, model, timeout, maxRetries }) {
+    const chosen = model || this.models.chat;
+    const result = await this._getClient().chat.completions.create({
+      model: chosen,
+      messages,
+      temperature,
+      max_tokens: maxTokens,
+      ...(responseFormat ? { response_format: responseFormat } : {})
+    }, { timeout, maxRetries });
+
+    return { content: result.choices[0].message.content || '', model: chosen };
+  }
+
+  async vision({ prompt, imageUrl, maxTokens, temperature, timeout, maxRetries }) {
+    return this.chat({
+      model: this.models.vision,
+      messages: [{
+        role: 'user',
+        content: [
+          { type: 'text', text: prompt },
+          { type: 'image_url', image_url: { url: imageUrl } }
+        ]
+      }],
+      maxTokens,
+      temperature,
+      timeout,
+      maxRetries
+    });
+  }
+
+  async embed(text, { timeout, maxRetries } = {}) {
+    const response = await this._getClient().embeddings.create({
+      model: this.models.embedding,
+      input: text.substring(0, 8000),
+      encoding_format: 'float'
+    }, { timeout, maxRetries });
+
+    return response.data[0].embedding;
+  }
+
+  async embedBatch(texts, { timeout, maxRetries } = {}) {
+    const response = await this._getClient().embeddings.create({
+      model: this.models.embedding,
+      input: texts.map(text => text.substring(0, 8000)),
+      encoding_format: 'float'
+    }, { timeout, maxRetries });
+
+    // Results carry the index of their input; the order of data is not guaranteed
+    const embeddings = new Array(texts.length);
+    for (const item of response.data) embeddings[item.index] = item.embedding;
+    return embeddings;
+  }
+
+  async transcribe({ buffer, filename, mimeType, timeout, maxRetries }) {
+    if (!this.models.transcription) {
+      throw new Error(`${this.name} provider has no transcription model configured`);
+    }
+
+    // The SDK's own file wrapper, so uploads do not depend on the global File of newer Node versions
+    const file = await OpenAI.toFile(buffer, filename, { type: mimeType });
+    const transcription = await this._getClient().audio.transcriptions.create({
+      file: file,
+      model: this.models.transcription,
+      response_format: 'verbose_json'
+    }, { timeout, maxRetries });
+
+    return { text: transcription.text, language: transcription.language || null };
+  }
+
+  /**
+   * Created on first use so a missing key only fails the calls, not the boot
+   * @private
+   */
+  _getClient() {
+    if (!this.client) {
+      if (!this.apiKey) {
+        throw new Error(`${this.name} provider: API key missing`);
+      }
+      this.client = new OpenAI({
+        apiKey: this.apiKey,
+        baseURL: this.baseURL,
+        timeout: this.timeout,
+        maxRetries: 3
+      });
+    }
+    return this.client;
+  }
+}
+
+// Deterministic answers from a fixture file, for tests and offline development
+class MockProvider {
+  constructor(fixturesPath) {
+    this.name = 'mock';
+    this.fixturesPath = fixturesPath;
+    this.fixtures = JSON.parse(fs.readFileSync(fixturesPath, 'utf8'));
+    this.models = { chat: 'mock', vision: 'mock', embedding: 'mock-hash-256', transcription: 'mock' };
+    this.fallbackModels = [];
+    this.embedDelayMs = 0;
+    this.embedBatchSize = 50;
+    this.dimensions = 256;
+    this.calls = [];
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * First fixture whose `match` regex hits the last user message wins; without one,
+   * structured requests get every product of the prompt quoted at its catalog price
+   */
+  async chat({ messages, responseFormat, model }) {
+    const userText = this._lastUserText(messages);
+    this.calls.push({ type: 'chat', model: model || 'mock', user: userText });
+
+    const fixture = (this.fixtures.chat || []).find(entry => new RegExp(entry.match, 'iu').test(userText));
+    if (fixture) {
+      const reply = typeof fixture.reply === 'string' ? fixture.reply : JSON.stringify(fixture.reply);
+      return { content: reply, model: 'mock' };
+    }
+
+    if (!responseFormat) {
+      return { content: this.fixtures.default_reply, model: 'mock' };
+    }
+
+    return { content: JSON.stringify(this._quoteProducts(messages)), model: 'mock' };
+  }
+
+  async vision({ imageUrl }) {
+    this.calls.push({ type: 'vision', url: imageUrl });
+    return { content: this.fixtures.vision, model: 'mock' };
+  }
+
+  /**
+   * Feature-hashed words and character trigrams: similar names get similar vectors
+   */
+  async embed(text) {
+    const vector = new Array(this.dimensions).fill(0);
+    const normalized = text.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+    const words = normalized.match(/[a-z0-9]+/g) || [];
+
+    const add = (feature, weight) => {
+      const hash = crypto.createHash('md5').update(feature).digest();
+      vector[hash.readUInt16BE(0) % this.dimensions] += hash[2] & 1 ? weight : -weight;
+    };
+
+    for (const word of words) {
+      add(`w:${word}`, 1);
+      const padded = `#${word}#`;
+      for (let i = 0; i + 3 <= padded.length; i++) add(`t:${padded.slice(i, i + 3)}`, 0.5);
+    }
+
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+    return vector.map(value => value / norm);
+  }
+
+  async embedBatch(texts) {
+    this.calls.push({ type: 'embedBatch', count: texts.length });
+    return Promise.all(texts.map(text => this.embed(text)));
+  }
+
+  async transcribe({ filename }) {
+    this.calls.push({ type: 'transcribe', filename });
+    return { ...this.fixtures.transcription };
+  }
+
+  /**
+   * @private
+   */
+  _lastUserText(messages) {
+    const last = [...messages].reverse().find(message => message.role === 'user');
+    if (!last) return '';
+    if (typeof last.content === 'string') return last.content;
+    return last.content.filter(part => part.type === 'text').map(part => part.text).join('\n');
+  }
+
+  /**
+   * Products are listed in the system prompt as "• [P1] Name: 12345 UYU", optionally
+   * followed by the quote breakdown in parentheses
+   * @private
+   */
+  _quoteProducts(messages) {
+    const system = messages.find(message => message.role === 'system');
+    const lines = [...((system && system.content) || '').matchAll(/^• \[(P\d+)\] (.+?): (\d+(?:\.\d+)?) UYU(?: \(.*\))?$/gm)];
+
+    return {
+      customer_response: lines.length > 0
+        ? lines.map(([, , name, price]) => `• ${name}: ${price} UYU`).join('\n')
+        : this.fixtures.default_reply,
+      device_brand: null,
+      device_model: null,
+      part: null,
+      quality_chosen: null,
+      intent: lines.length > 0 ? 'price_inquiry' : 'other',
+      urgency: 'none',
+      language: this.fixtures.language,
+      needs_human: false,
+      quoted_items: lines.map(([, ref, , price]) => ({ catalog_id: ref, price: Number(price) }))
+    };
+  }
+}
+
+class LLMProvider {
+  constructor() {
+    this.factories = {
+      openai: () => new OpenAIProvider({
+        name: 'openai',
+        apiKey: process.env.OPENAI_API_KEY,
+        models: {
+          chat: 'gpt-4o',
+          vision: 'gpt-4o',
+          embedding: 'text-embedding-3-small',
+          transcription: 'whisper-1'
+        },
+        fallbackModels: ['gpt-4o-mini'],
+        embedDelayMs: 150, // Rate limiting
+        embedBatchSize: 100
+      }),
+      local: () => new OpenAIProvider({
+        name: 'local',
+        apiKey: process.env.LLM_LOCAL_API_KEY || 'local', // Ollama and llama.cpp ignore it
+        baseURL: process.env.LLM_LOCAL_BASE_URL || 'http://localhost:11434/v1',
+        models: {
+          chat: process.env.LLM_LOCAL_CHAT_MODEL || 'llama3.1',
+          vision: process.env.LLM_LOCAL_VISION_MODEL || 'llava',
+          embedding: process.env.LLM_LOCAL_EMBEDDING_MODEL || 'nomic-embed-text',
+          transcription: process.env.LLM_LOCAL_TRANSCRIPTION_MODEL || null
+        },
+        embedBatchSize: 32
+      }),
+      mock: () => new MockProvider(
+        process.env.LLM_MOCK_FIXTURES || path.join(__dirname, '..', 'fixtures', 'llm-mock.json')
+      )
+    };
+
+    // Latency budget per pipeline stage; a single call never waits longer than callTimeoutMs
+    this.budgets = {
+      media: this._envInt('LLM_BUDGET_MEDIA_MS', 30000),
+      retrieve: this._envInt('LLM_BUDGET_RETRIEVE_MS', 5000),
+      generate: this._envInt('LLM_BUDGET_GENERATE_MS', 30000),
+      verify: this._envInt('LLM_BUDGET_VERIFY_MS', 15000)
+    };
+    this.callTimeoutMs = this._envInt('LLM_CALL_TIMEOUT_MS', 20000);
+    // The model chain replaces most SDK retries
+    this.maxRetries = this._envInt('LLM_MAX_RETRIES', 1);
+
+    this.use(process.env.LLM_PROVIDER || 'openai');
+  }
+
+  /**
+   * Switch backend
+   * @param {string} name - openai | local | mock
+   * @returns {Object} The new backend
+   */
+  use(name) {
+    const factory = this.factories[name];
+    if (!factory) {
+      throw new Error(`Unknown LLM_PROVIDER "${name}" (${Object.keys(this.factories).join(', ')})`);
+    }
+
+    this.backend = factory();
+    this.chain = process.env.LLM_MODEL_CHAIN
+      ? process.env.LLM_MODEL_CHAIN.split(',').map(model => model.trim()).filter(Boolean)
+      : [this.backend.models.chat, ...this.backend.fallbackModels];
+
+    if (!this.backend.isConfigured()) {
+      console.log(`⚠️ LLM provider ${name}: API key missing, AI calls will fail and fallback replies will be sent`);
+    }
+    console.log(`🧠 LLM provider: ${name} (chat ${this.chain.join(' → ')}, embeddings ${this.backend.models.embedding})`);
+
+    return this.backend;
+  }
+
+  get name() {
+    return this.backend.name;
+  }
+
+  get models() {
+    return this.backend.models;
+  }
+
+  get embedDelayMs() {
+    return this.backend.embedDelayMs;
+  }
+
+  get embedBatchSize() {
+    return this._envInt('LLM_EMBED_BATCH_SIZE', this.backend.embedBatchSize);
+  }
+
+  isConfigured() {
+    return this.backend.isConfigured();
+  }
+
+  /**
+   * Start the latency budget of a pipeline stage
+   * @param {string} stage - media | retrieve | generate | verify
+   * @returns {Object} { stage, ms, remaining() }
+   */
+  startBudget(stage) {
+    const ms = this.budgets[stage] || this.callTimeoutMs;
+    const deadline = Date.now() + ms;
+
+    return {
+      stage,
+      ms,
+      remaining: () => Math.max(0, deadline - Date.now())
+    };
+  }
+
+  chat(request, budget = null) {
+    return this._call('chat', budget, limits => this.backend.chat({ ...request, ...limits }));
+  }
+
+  vision(request, budget = null) {
+    return this._call('vision', budget, limits => this.backend.vision({ ...request, ...limits }));
+  }
+
+  embed(text, budget = null) {
+    return this._call('embed', budget, limits => this.backend.embed(text, limits));
+  }
+
+  /**
+   * Embed many texts in one request
+   * @param {Array<string>} texts - At most embedBatchSize texts
+   * @param {Object} budget - Stage budget, when any
+   * @returns {Promise<Array<Array<number>>>} One embedding per text, in order
+   */
+  embedBatch(texts, budget = null) {
+    return this._call('embedBatch', budget, limits => this.backend.embedBatch(texts, limits));
+  }
+
+  transcribe(audio, budget = null) {
+    return this._call('transcribe', budget, limits => this.backend.transcribe({ ...audio, ...limits }));
+  }
+
+  /**
+   * Get provider health status
+   */
+  getHealthStatus() {
+    return {
+      provider: this.backend.name,
+      configured: this.backend.isConfigured(),
+      models: this.backend.models,
+      chain: this.chain,
+      budgets_ms: this.budgets,
+      call_timeout_ms: this.callTimeoutMs
+    };
+  }
+
+  /**
+   * Run one backend call within the call timeout and what is left of the stage budget.
+   * The timeout is passed to the backend (so the HTTP request is aborted) and also
+   * enforced here for backends that ignore it.
+   * @private
+   */
+  async _call(operation, budget, run) {
+    const timeout = budget ? Math.min(this.callTimeoutMs, budget.remaining()) : this.callTimeoutMs;
+    if (timeout <= 0) {
+      throw new Error(`${budget.stage} budget of ${budget.ms}ms used up before ${operation}`);
+    }
+
+    let timer;
+    const expired = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(`${operation} timed out after ${timeout}ms`)), timeout);
+    });
+
+    try {
+      return await Promise.race([run({ timeout, maxRetries: this.maxRetries }), expired]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _envInt(name, fallback) {
+    const value = parseInt(process.env[name], 10);
+    return Number.isNaN(value) ? fallback : value;
+  }
+}
+
+module.exports = new LLMProvider();
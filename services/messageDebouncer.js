@@ -0,0 +1,54 @@
+class MessageDebouncer {
+  constructor() {
+    // Quiet period after the last fragment before a contact's burst is answered
+    this.windowMs = this._readMs(process.env.MESSAGE_DEBOUNCE_MS, 4000);
+    // Upper bound so a customer who keeps typing still gets an answer
+    this.maxWaitMs = this._readMs(process.env.MESSAGE_DEBOUNCE_MAX_WAIT_MS, 15000);
+
+    console.log(`⏱️ Message Debouncer initialized (window ${this.windowMs}ms, max wait ${this.maxWaitMs}ms)`);
+  }
+
+  /**
+   * Time left before a burst of fragments should be processed
+   * @param {Array<number>} receivedAt - Arrival timestamps (ms) of the pending fragments
+   * @param {number} now - Current timestamp (ms)
+   * @returns {number} Milliseconds to wait, 0 when the burst is settled
+   */
+  getSettleDelay(receivedAt, now = Date.now()) {
+    if (this.windowMs === 0 || receivedAt.length === 0) return 0;
+
+    const first = Math.min(...receivedAt);
+    const last = Math.max(...receivedAt);
+
+    const quietUntil = last + this.windowMs;
+    const deadline = first + this.maxWaitMs;
+
+    return Math.max(0, Math.min(quietUntil, deadline) - now);
+  }
+
+  /**
+   * Merge processed fragments (text, voice transcripts, image analyses) into one customer turn
+   * @param {Array<Object>} fragments - [{ message_type, content }] in arrival order
+   * @returns {string} Merged content
+   */
+  mergeFragments(fragments) {
+    const contents = fragments
+      .map(fragment => (fragment.content || '').trim())
+      .filter(content => content.length > 0);
+
+    // Consecutive duplicates are usually the same message delivered twice
+    const merged = contents.filter((content, index) => index === 0 || content !== contents[index - 1]);
+
+    return merged.join('\n');
+  }
+
+  /**
+   * @private
+   */
+  _readMs(value, defaultValue) {
+    const parsed = parseInt(value, 10);
+    return isNaN(parsed) || parsed < 0 ? defaultValue : parsed;
+  }
+}
+
+module.exports = new MessageDebouncer();
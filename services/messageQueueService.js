@@ -0,0 +1,492 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const ContactScheduler = require('./contactScheduler');
+
+class MessageQueueService {
+  constructor() {
+    this.queueDir = process.env.QUEUE_DIR || path.join(__dirname, '..', 'message-queue');
+    this.journalFile = path.join(this.queueDir, 'journal.log');
+    this.deadLetterDir = path.join(this.queueDir, 'dead-letter');
+
+    this.visibilityTimeout = parseInt(process.env.QUEUE_VISIBILITY_TIMEOUT_MS, 10) || 5 * 60 * 1000; // 5 minutes
+    this.maxAttempts = parseInt(process.env.QUEUE_MAX_ATTEMPTS, 10) || 5;
+    this.retryBaseDelay = 5000; // Doubled on every failed attempt
+    this.pollInterval = 1000;
+    this.compactionThreshold = 200; // Finished jobs before the journal is rewritten
+    this.concurrency = parseInt(process.env.QUEUE_CONCURRENCY, 10) || 4;
+    this.maxBatchSize = 20; // Jobs of one contact handed to the handler together
+
+    this.instanceId = crypto.randomBytes(6).toString('hex');
+    this.jobs = new Map(); // jobId -> job state rebuilt from the journal
+    this.finishedSinceCompaction = 0;
+    this.handler = null;
+    this.getKey = null;
+    this.getBatchDelay = null;
+    this.scheduler = new ContactScheduler({ concurrency: this.concurrency });
+    this.dispatched = new Set(); // jobIds handed to the scheduler and not yet finished
+    this.timer = null;
+    this.journalFd = null;
+
+    this._ensureQueueDirectories();
+    this._replayJournal();
+    this._compact();
+
+    console.log(`📬 Message Queue Service initialized (${this.jobs.size} pending jobs recovered)`);
+  }
+
+  /**
+   * Persist a message and schedule it for processing
+   * @param {Object} payload - Message data to hand to the handler
+   * @returns {string} Job ID
+   */
+  enqueue(payload) {
+    const now = Date.now();
+    const job = {
+      id: `job_${now}_${crypto.randomBytes(4).toString('hex')}`,
+      payload: payload,
+      attempts: 0,
+      enqueued_at: now,
+      visible_at: now,
+      last_error: null
+    };
+
+    // Written (and fsynced) before we acknowledge anything to the caller
+    this._append({ op: 'enqueue', ...job });
+    this.jobs.set(job.id, job);
+
+    console.log(`📨 Job ${job.id} queued (${this.jobs.size} pending)`);
+    setImmediate(() => this._drain());
+
+    return job.id;
+  }
+
+  /**
+   * Start consuming jobs
+   * @param {Function} handler - async (payloads, jobs) => void, must throw on failure
+   * @param {Object} options - Consumer options
+   * @param {Function} options.getKey - getKey(payload) returns the ordering key (defaults to contact_id)
+   * @param {Function} options.getBatchDelay - getBatchDelay(jobs) returns ms to keep waiting for more
+   *   jobs of the same key; when set, all ready jobs of a key are handed over as one batch
+   */
+  start(handler, options = {}) {
+    this.handler = handler;
+    this.getKey = options.getKey || (payload => payload && payload.contact_id);
+    this.getBatchDelay = options.getBatchDelay || null;
+
+    if (!this.timer) {
+      this.timer = setInterval(() => this._drain(), this.pollInterval);
+    }
+
+    setImmediate(() => this._drain());
+    console.log(`▶️ Message queue consumer started (concurrency ${this.concurrency})`);
+  }
+
+  /**
+   * Stop consuming jobs (pending jobs stay on disk)
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    this.handler = null;
+  }
+
+  /**
+   * Get queue statistics
+   */
+  getStats() {
+    const now = Date.now();
+    let ready = 0;
+    let leased = 0;
+    let delayed = 0;
+
+    for (const job of this.jobs.values()) {
+      if (job.leased_by && job.visible_at > now) leased++;
+      else if (job.visible_at > now) delayed++;
+      else ready++;
+    }
+
+    return {
+      pending: this.jobs.size,
+      ready: ready,
+      in_flight: leased,
+      delayed: delayed,
+      dead_letters: this._countDeadLetters(),
+      scheduler: this.scheduler.getStats(),
+      max_attempts: this.maxAttempts,
+      visibility_timeout_ms: this.visibilityTimeout
+    };
+  }
+
+  /**
+   * Hand the oldest visible jobs of every idle contact to the scheduler.
+   * Only one batch per contact is dispatched at a time, so a failed batch that
+   * is waiting for its retry keeps the contact's later messages behind it.
+   * @private
+   */
+  _drain() {
+    if (!this.handler) return;
+
+    const now = Date.now();
+
+    for (const [key, jobs] of this._jobsByKey()) {
+      const head = jobs[0];
+      if (this.dispatched.has(head.id) || head.visible_at > now) continue;
+
+      const batch = [head];
+      if (this.getBatchDelay) {
+        for (let i = 1; i < jobs.length && batch.length < this.maxBatchSize; i++) {
+          if (this.dispatched.has(jobs[i].id) || jobs[i].visible_at > now) break;
+          batch.push(jobs[i]);
+        }
+
+        // Still inside the debounce window, picked up again by the poll timer
+        if (this.getBatchDelay(batch) > 0) continue;
+      }
+
+      batch.forEach(job => this.dispatched.add(job.id));
+      this.scheduler.schedule(key, () => this._runBatch(batch))
+        .catch(error => {
+          // Jobs whose outcome could not be journaled are delivered again once their lease expires
+          console.error(`❌ Queue batch for ${key} not recorded, left for redelivery:`, error.message);
+        })
+        .finally(() => {
+          batch.forEach(job => this.dispatched.delete(job.id));
+          setImmediate(() => this._drain());
+        });
+    }
+  }
+
+  /**
+   * Lease a batch of jobs, run the handler and record the outcome
+   * @private
+   */
+  async _runBatch(batch) {
+    // Jobs may have been acked or dead-lettered while they waited for a slot
+    const jobs = batch.filter(job => this.jobs.get(job.id) === job);
+    if (!this.handler || jobs.length === 0) return;
+
+    const leaseTokens = [];
+
+    try {
+      for (const job of jobs) leaseTokens.push(this._lease(job));
+      await this._runHandler(jobs);
+      jobs.forEach((job, i) => this._ack(job, leaseTokens[i]));
+    } catch (error) {
+      jobs.forEach((job, i) => {
+        try {
+          this._fail(job, leaseTokens[i], error);
+        } catch (failError) {
+          // The lease still expires, so the job comes back either way
+          console.error(`❌ Failed to record failure of job ${job.id}:`, failError.message);
+        }
+      });
+    }
+  }
+
+  /**
+   * Pending jobs grouped by ordering key, oldest first
+   * @private
+   */
+  _jobsByKey() {
+    const groups = new Map();
+    const jobs = Array.from(this.jobs.values()).sort((a, b) => a.enqueued_at - b.enqueued_at);
+
+    for (const job of jobs) {
+      const key = this._jobKey(job);
+      if (!groups.has(key)) {
+        groups.set(key, []);
+      }
+      groups.get(key).push(job);
+    }
+
+    return groups;
+  }
+
+  /**
+   * Jobs without a key are not ordered against anything else
+   * @private
+   */
+  _jobKey(job) {
+    return (this.getKey && this.getKey(job.payload)) || job.id;
+  }
+
+  /**
+   * Mark a job as in flight; it becomes visible again once the lease expires
+   * @private
+   */
+  _lease(job) {
+    job.attempts += 1;
+    job.leased_by = this.instanceId;
+    job.lease_token = crypto.randomBytes(4).toString('hex');
+    job.visible_at = Date.now() + this.visibilityTimeout;
+
+    this._append({
+      op: 'lease',
+      id: job.id,
+      attempts: job.attempts,
+      visible_at: job.visible_at,
+      leased_by: job.leased_by
+    });
+
+    return job.lease_token;
+  }
+
+  /**
+   * @private
+   */
+  _ack(job, leaseToken) {
+    if (!this._holdsLease(job, leaseToken)) {
+      console.log(`⚠️ Ignoring late ack for job ${job.id} (lease expired)`);
+      return;
+    }
+
+    this._append({ op: 'ack', id: job.id });
+    this.jobs.delete(job.id);
+    console.log(`✅ Job ${job.id} completed on attempt ${job.attempts}`);
+
+    this._jobFinished();
+  }
+
+  /**
+   * Schedule a retry with exponential backoff, or dead-letter the job
+   * @private
+   */
+  _fail(job, leaseToken, error) {
+    if (!this._holdsLease(job, leaseToken)) return;
+
+    job.last_error = error.message;
+    job.leased_by = null;
+
+    if (job.attempts >= this.maxAttempts) {
+      this._deadLetter(job);
+      return;
+    }
+
+    const delay = this.retryBaseDelay * Math.pow(2, job.attempts - 1);
+    job.visible_at = Date.now() + delay;
+
+    this._append({
+      op: 'retry',
+      id: job.id,
+      visible_at: job.visible_at,
+      last_error: job.last_error
+    });
+
+    console.error(`❌ Job ${job.id} attempt ${job.attempts}/${this.maxAttempts} failed: ${error.message} (retry in ${delay}ms)`);
+  }
+
+  /**
+   * Move a job that exhausted its attempts to the dead-letter directory
+   * @private
+   */
+  _deadLetter(job) {
+    try {
+      const deadLetterFile = path.join(this.deadLetterDir, `${job.id}.json`);
+      fs.writeFileSync(deadLetterFile, JSON.stringify({
+        ...job,
+        leased_by: undefined,
+        lease_token: undefined,
+        dead_lettered_at: new Date().toISOString()
+      }, null, 2));
+    } catch (error) {
+      // Keep the job in the journal rather than losing it
+      console.error(`❌ Failed to dead-letter job ${job.id}:`, error.message);
+      job.visible_at = Date.now() + this.visibilityTimeout;
+      return;
+    }
+
+    this._append({ op: 'dead', id: job.id });
+    this.jobs.delete(job.id);
+    console.error(`☠️ Job ${job.id} moved to dead-letter after ${job.attempts} attempts: ${job.last_error}`);
+
+    this._jobFinished();
+  }
+
+  /**
+   * @private
+   */
+  _holdsLease(job, leaseToken) {
+    return this.jobs.get(job.id) === job && job.lease_token === leaseToken;
+  }
+
+  /**
+   * Run the handler to completion; one that outlives the visibility timeout fails
+   * its attempt, but only once it has settled, so the contact's slot stays held and
+   * the retry never overlaps the run that is still generating or sending
+   * @private
+   */
+  async _runHandler(jobs) {
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      console.error(`⏱️ Jobs ${jobs.map(job => job.id).join(', ')} exceeded the visibility timeout of ${this.visibilityTimeout}ms, waiting for them to settle`);
+    }, this.visibilityTimeout);
+
+    try {
+      await this.handler(jobs.map(job => job.payload), jobs);
+    } finally {
+      clearTimeout(timer);
+    }
+
+    if (timedOut) {
+      throw new Error(`Visibility timeout of ${this.visibilityTimeout}ms exceeded`);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _jobFinished() {
+    this.finishedSinceCompaction++;
+
+    if (this.finishedSinceCompaction >= this.compactionThreshold) {
+      this._compact();
+    }
+  }
+
+  /**
+   * Append one entry to the journal and flush it to disk
+   * @private
+   */
+  _append(entry) {
+    if (this.journalFd === null) {
+      this.journalFd = fs.openSync(this.journalFile, 'a');
+    }
+
+    fs.writeSync(this.journalFd, JSON.stringify({ ...entry, ts: Date.now() }) + '\n');
+    fs.fsyncSync(this.journalFd);
+  }
+
+  /**
+   * Rebuild pending jobs from the journal
+   * @private
+   */
+  _replayJournal() {
+    if (!fs.existsSync(this.journalFile)) return;
+
+    const lines = fs.readFileSync(this.journalFile, 'utf8').split('\n');
+
+    for (let i = 0; i < lines.length; i++) {
+      if (!lines[i].trim()) continue;
+
+      let entry;
+      try {
+        entry = JSON.parse(lines[i]);
+      } catch (error) {
+        // A torn write from a crash can only affect the tail of the journal
+        console.error(`⚠️ Skipping unreadable journal line ${i + 1}`);
+        continue;
+      }
+
+      const job = this.jobs.get(entry.id);
+
+      switch (entry.op) {
+        case 'enqueue':
+          this.jobs.set(entry.id, {
+            id: entry.id,
+            payload: entry.payload,
+            attempts: entry.attempts || 0,
+            enqueued_at: entry.enqueued_at,
+            visible_at: entry.visible_at || entry.enqueued_at,
+            last_error: entry.last_error || null
+          });
+          break;
+        case 'lease':
+          if (job) {
+            job.attempts = entry.attempts;
+            job.visible_at = entry.visible_at;
+            job.leased_by = entry.leased_by;
+          }
+          break;
+        case 'retry':
+          if (job) {
+            job.visible_at = entry.visible_at;
+            job.last_error = entry.last_error;
+            job.leased_by = null;
+          }
+          break;
+        case 'ack':
+        case 'dead':
+          this.jobs.delete(entry.id);
+          break;
+      }
+    }
+
+    // Leases held by a previous process can never be acked, release them now
+    for (const job of this.jobs.values()) {
+      if (job.leased_by && job.leased_by !== this.instanceId) {
+        job.leased_by = null;
+        job.visible_at = Math.min(job.visible_at, Date.now());
+      }
+    }
+  }
+
+  /**
+   * Rewrite the journal with only the pending jobs
+   * @private
+   */
+  _compact() {
+    try {
+      const tempFile = `${this.journalFile}.tmp`;
+      const lines = Array.from(this.jobs.values()).map(job => JSON.stringify({
+        op: 'enqueue',
+        id: job.id,
+        payload: job.payload,
+        attempts: job.attempts,
+        enqueued_at: job.enqueued_at,
+        visible_at: job.visible_at,
+        last_error: job.last_error,
+        ts: Date.now()
+      }) + '\n');
+
+      fs.writeFileSync(tempFile, lines.join(''));
+
+      if (this.journalFd !== null) {
+        fs.closeSync(this.journalFd);
+        this.journalFd = null;
+      }
+
+      fs.renameSync(tempFile, this.journalFile);
+      this.finishedSinceCompaction = 0;
+
+      // In-flight leases are re-recorded so a crash right after compaction still counts the attempt
+      for (const job of this.jobs.values()) {
+        if (job.leased_by === this.instanceId) {
+          this._append({ op: 'lease', id: job.id, attempts: job.attempts, visible_at: job.visible_at, leased_by: job.leased_by });
+        }
+      }
+
+      console.log(`🧹 Queue journal compacted (${this.jobs.size} pending jobs)`);
+    } catch (error) {
+      console.error('⚠️ Queue journal compaction failed:', error.message);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _countDeadLetters() {
+    try {
+      return fs.readdirSync(this.deadLetterDir).filter(f => f.endsWith('.json')).length;
+    } catch (error) {
+      return 0;
+    }
+  }
+
+  /**
+   * Ensure queue directories exist
+   * @private
+   */
+  _ensureQueueDirectories() {
+    try {
+      fs.mkdirSync(this.deadLetterDir, { recursive: true });
+    } catch (error) {
+      console.error('❌ Failed to create queue directories:', error.message);
+    }
+  }
+}
+
+module.exports = new MessageQueueService();
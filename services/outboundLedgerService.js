@@ -0,0 +1,220 @@
+const fs = require('fs');
+const path = require('path');
+
+class OutboundLedgerService {
+  constructor() {
+    this.ledgerDir = process.env.OUTBOUND_LEDGER_DIR || path.join(__dirname, '..', 'outbound-ledger');
+    // A send whose outcome is unknown may already be on the customer's phone
+    this.resendUnconfirmed = process.env.OUTBOUND_RESEND_UNCONFIRMED === 'true';
+
+    this._ensureLedgerDirectory();
+
+    console.log('📒 Outbound Ledger Service initialized');
+  }
+
+  /**
+   * Get the ledger record for an inbound message
+   * @param {string} messageId - Inbound GHL message ID
+   * @returns {Object|null} Ledger record
+   */
+  getRecord(messageId) {
+    try {
+      if (!messageId) return null;
+
+      const recordFile = this._getRecordFile(messageId);
+      if (!fs.existsSync(recordFile)) return null;
+
+      return JSON.parse(fs.readFileSync(recordFile, 'utf8'));
+    } catch (error) {
+      console.error('❌ Error reading ledger record:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Find the record of a previous attempt to answer any of these inbound messages
+   * @param {Array<string>} messageIds - Inbound GHL message IDs
+   * @returns {Object|null} Most recently updated record
+   */
+  findRecord(messageIds) {
+    const records = messageIds
+      .map(messageId => this.getRecord(messageId))
+      .filter(Boolean)
+      .sort((a, b) => new Date(b.updated_at) - new Date(a.updated_at));
+
+    return records[0] || null;
+  }
+
+  /**
+   * Check whether a previous attempt must not be sent again
+   * @param {Object} record - Ledger record
+   * @returns {boolean}
+   */
+  shouldSkipSend(record) {
+    if (!record) return false;
+    if (record.status === 'sent') return true;
+
+    // 'pending' means a previous attempt died mid-send, same uncertainty as a timeout
+    const outcomeUnknown = record.status === 'unconfirmed' || record.status === 'pending';
+    return outcomeUnknown && !this.resendUnconfirmed;
+  }
+
+  /**
+   * Record a reply that is about to be sent
+   * @param {Array<string>} messageIds - Inbound GHL message IDs answered by this reply
+   * @param {Object} details - { contact_id, channel, reply, chunks, sms_segments, classification, previous }
+   * @returns {Object} Ledger record
+   */
+  recordPending(messageIds, details) {
+    const now = new Date().toISOString();
+    const previous = details.previous || null;
+    const chunks = details.chunks || [details.reply];
+    // Progress only carries over when the reply is split the same way as before
+    const sameChunks = previous && Array.isArray(previous.chunks) &&
+      previous.chunks.length === chunks.length &&
+      previous.chunks.every((chunk, index) => chunk === chunks[index]);
+
+    const record = {
+      inbound_message_id: messageIds[messageIds.length - 1],
+      inbound_message_ids: messageIds,
+      contact_id: details.contact_id,
+      channel: details.channel || '',
+      reply: details.reply,
+      chunks: chunks,
+      chunks_sent: sameChunks ? previous.chunks_sent || 0 : 0,
+      sms_segments: details.sms_segments || null,
+      classification: details.classification || null,
+      status: 'pending',
+      ghl_message_id: null,
+      ghl_message_ids: sameChunks ? previous.ghl_message_ids || [] : [],
+      ghl_conversation_id: null,
+      attempts: (previous ? previous.attempts : 0) + 1,
+      last_error: null,
+      created_at: previous ? previous.created_at : now,
+      updated_at: now,
+      sent_at: null
+    };
+
+    this._writeRecord(record);
+    return record;
+  }
+
+  /**
+   * Record the delivery of one chunk of a split reply
+   * @param {Object} record - Ledger record from recordPending
+   * @param {Object} response - GHL send message response body
+   * @returns {Object} Updated record
+   */
+  markChunkSent(record, response = {}) {
+    record.chunks_sent++;
+    record.ghl_message_ids.push(response.messageId || response.id || null);
+    record.ghl_conversation_id = response.conversationId || record.ghl_conversation_id;
+    record.updated_at = new Date().toISOString();
+
+    this._writeRecord(record);
+    return record;
+  }
+
+  /**
+   * Record a confirmed delivery
+   * @param {Object} record - Ledger record from recordPending
+   * @param {Object} response - GHL send message response body of the last chunk
+   * @returns {Object} Updated record
+   */
+  markSent(record, response = {}) {
+    const now = new Date().toISOString();
+
+    record.status = 'sent';
+    record.ghl_message_id = response.messageId || response.id || record.ghl_message_ids[record.ghl_message_ids.length - 1] || null;
+    record.ghl_conversation_id = response.conversationId || record.ghl_conversation_id;
+    record.updated_at = now;
+    record.sent_at = now;
+
+    this._writeRecord(record);
+    return record;
+  }
+
+  /**
+   * Record a failed send; timeouts and dropped connections are 'unconfirmed'
+   * because GHL may have delivered the message anyway
+   * @param {Object} record - Ledger record from recordPending
+   * @param {Error} error - Send error (axios)
+   * @returns {Object} Updated record
+   */
+  markFailed(record, error) {
+    record.status = error.response ? 'failed' : 'unconfirmed';
+    record.last_error = error.response
+      ? `${error.response.status} ${JSON.stringify(error.response.data || '').substring(0, 300)}`
+      : error.message;
+    record.updated_at = new Date().toISOString();
+
+    this._writeRecord(record);
+    return record;
+  }
+
+  /**
+   * List the most recent ledger records for operators
+   * @param {number} limit - Maximum number of records
+   * @returns {Array} Records, newest first
+   */
+  listRecent(limit = 50) {
+    try {
+      const seen = new Set();
+      const records = [];
+
+      for (const file of fs.readdirSync(this.ledgerDir).filter(f => f.endsWith('.json'))) {
+        const record = JSON.parse(fs.readFileSync(path.join(this.ledgerDir, file), 'utf8'));
+
+        // Batched replies are stored once per inbound message
+        if (seen.has(record.inbound_message_id)) continue;
+        seen.add(record.inbound_message_id);
+        records.push(record);
+      }
+
+      return records
+        .sort((a, b) => new Date(b.updated_at) - new Date(a.updated_at))
+        .slice(0, limit);
+
+    } catch (error) {
+      console.error('❌ Error listing ledger records:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Write the record under every inbound message ID it answers
+   * @private
+   */
+  _writeRecord(record) {
+    const data = JSON.stringify(record, null, 2);
+
+    for (const messageId of record.inbound_message_ids) {
+      const recordFile = this._getRecordFile(messageId);
+      const tempFile = `${recordFile}.tmp`;
+      fs.writeFileSync(tempFile, data);
+      fs.renameSync(tempFile, recordFile);
+    }
+  }
+
+  /**
+   * Get record file path
+   * @private
+   */
+  _getRecordFile(messageId) {
+    return path.join(this.ledgerDir, `${String(messageId).replace(/[^a-zA-Z0-9_-]/g, '_')}.json`);
+  }
+
+  /**
+   * Ensure ledger directory exists
+   * @private
+   */
+  _ensureLedgerDirectory() {
+    try {
+      fs.mkdirSync(this.ledgerDir, { recursive: true });
+    } catch (error) {
+      console.error('❌ Failed to create outbound ledger directory:', error.message);
+    }
+  }
+}
+
+module.exports = new OutboundLedgerService();
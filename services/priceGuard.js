@@ -0,0 +1,272 @@
+const fs = require('fs');
+const path = require('path');
+const languageService = require('./languageService');
+
+// An amount next to a currency marker: "$ 3.500", "UYU 7895", "22,500 UYU", "1.200 pesos";
+// a trailing "$" that opens the next amount is not a suffix ("iPhone 12 $ 2.900")
+const AMOUNT_PATTERN = /(?:(?:U\$S|\$|UYU)\s*(\d[\d.,]*\d|\d))|(?:(\d[\d.,]*\d|\d)\s*(?:UYU|pesos|\$(?!\s*\d)))/gi;
+
+class PriceGuard {
+  constructor() {
+    // 'rewrite' fixes figures from the catalog, 'regenerate' always asks the model again, 'off' disables
+    this.mode = process.env.PRICE_GUARD_MODE || 'rewrite';
+    this.incidentFile = path.join(__dirname, '..', 'price-guard-incidents.jsonl');
+
+    console.log(`💰 Price Guard initialized (mode: ${this.mode})`);
+  }
+
+  /**
+   * Check every amount quoted in a reply against the catalog products given to the model
+   * @param {string} reply - Customer response
+   * @param {Array<Object>} products - Matched catalog products (the ones in productsText)
+   * @param {Array<Object>} quotedItems - Structured quoted_items from the classification, if any
+   * @returns {Object} { valid, amounts, mismatches }
+   */
+  check(reply, products = [], quotedItems = []) {
+    const catalog = products
+      .map(product => ({ product, price: this._getPrice(product), figures: this._quotedFigures(product) }))
+      .filter(entry => entry.price > 0);
+
+    const amounts = this.extractAmounts(reply);
+    const mismatches = [];
+
+    const matches = (entry, amount) => entry.figures.some(figure => Math.abs(figure - amount.value) <= 1);
+
+    for (const amount of amounts) {
+      // An amount named next to a product must be that product's price, not any other product's;
+      // one that cannot be attributed only has to be a price of some offered product
+      const expected = this._findIntendedProduct(amount, catalog, quotedItems);
+      if (expected ? matches(expected, amount) : catalog.some(entry => matches(entry, amount))) continue;
+
+      mismatches.push({
+        ...amount,
+        expected_price: expected ? expected.price : null,
+        product: expected ? expected.product.Prod || null : null
+      });
+    }
+
+    return { valid: mismatches.length === 0, amounts, mismatches };
+  }
+
+  /**
+   * Find every currency amount in a text
+   * @param {string} text - Reply text
+   * @returns {Array<Object>} { text, digits, value, index, line, clause }
+   *   clause is the text since the previous amount when the line quotes several, else null
+   */
+  extractAmounts(text) {
+    const amounts = [];
+    const source = text || '';
+
+    for (const match of source.matchAll(AMOUNT_PATTERN)) {
+      const digits = match[1] || match[2];
+      const index = match.index + match[0].indexOf(digits);
+      const lineStart = source.lastIndexOf('\n', index) + 1;
+      const lineEnd = source.indexOf('\n', index);
+
+      amounts.push({
+        text: match[0],
+        digits,
+        value: this._parseAmount(digits),
+        index,
+        line: source.slice(lineStart, lineEnd === -1 ? undefined : lineEnd).trim(),
+        clause: null,
+        lineStart,
+        end: match.index + match[0].length
+      });
+    }
+
+    // "Pantalla $ 3.500 y batería $ 1.200": each amount belongs to the words before it
+    amounts.forEach((amount, i) => {
+      const previous = amounts[i - 1];
+      const next = amounts[i + 1];
+      const sharesLine = other => other && other.lineStart === amount.lineStart;
+
+      if (sharesLine(previous) || sharesLine(next)) {
+        amount.clause = source.slice(sharesLine(previous) ? previous.end : amount.lineStart, amount.end).trim();
+      }
+    });
+
+    return amounts.map(({ lineStart, end, ...amount }) => amount);
+  }
+
+  /**
+   * Replace wrong figures with the catalog price of the product they refer to
+   * @param {string} reply - Customer response
+   * @param {Array<Object>} mismatches - From check()
+   * @returns {Object} { text, unresolved } - unresolved mismatches could not be attributed to a product
+   */
+  rewrite(reply, mismatches) {
+    let text = reply;
+    const unresolved = [];
+
+    // Right to left so earlier indexes stay valid
+    for (const mismatch of [...mismatches].sort((a, b) => b.index - a.index)) {
+      if (mismatch.expected_price === null) {
+        unresolved.push(mismatch);
+        continue;
+      }
+
+      const replacement = this._formatLike(mismatch.expected_price, mismatch.digits);
+      text = text.slice(0, mismatch.index) + replacement + text.slice(mismatch.index + mismatch.digits.length);
+    }
+
+    return { text, unresolved };
+  }
+
+  /**
+   * Correction note for a regeneration request
+   * @param {Array<Object>} mismatches - From check()
+   * @param {string} language - Language of the prompt
+   * @returns {string}
+   */
+  buildCorrection(mismatches, language) {
+    const quoted = mismatches.map(m => `"${m.text.trim()}"`).join(', ');
+    return languageService.getLocale(language).priceCorrection(quoted);
+  }
+
+  /**
+   * Append an incident to the incident log
+   * @param {Object} incident - { contact_id, action, mismatches, original_response, final_response }
+   */
+  logIncident(incident) {
+    const entry = { timestamp: new Date().toISOString(), ...incident };
+
+    console.log(`🚨 Price mismatch (${incident.action}):`, incident.mismatches.map(m => ({
+      quoted: m.text.trim(),
+      line: m.line,
+      expected: m.expected_price
+    })));
+
+    try {
+      fs.appendFileSync(this.incidentFile, JSON.stringify(entry) + '\n');
+    } catch (error) {
+      console.error('⚠️ Could not write price incident:', error.message);
+    }
+  }
+
+  /**
+   * List the most recent incidents for operators
+   * @param {number} limit - Maximum number of incidents
+   * @returns {Array} Incidents, newest first
+   */
+  listIncidents(limit = 50) {
+    try {
+      if (!fs.existsSync(this.incidentFile)) return [];
+
+      return fs.readFileSync(this.incidentFile, 'utf8')
+        .split('\n')
+        .filter(Boolean)
+        .slice(-limit)
+        .map(line => JSON.parse(line))
+        .reverse();
+    } catch (error) {
+      console.error('❌ Error reading price incidents:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * The product an amount was meant for: a structured quoted item with that
+   * price, else the catalog product whose name best matches the amount's line (or clause)
+   * @private
+   */
+  _findIntendedProduct(amount, catalog, quotedItems) {
+    const quoted = (quotedItems || []).find(item =>
+      item.in_catalog && item.price !== null && Math.abs(item.price - amount.value) <= 1
+    );
+    if (quoted) {
+      const entry = catalog.find(e => e.product._productId === quoted.catalog_id);
+      if (entry) return entry;
+    }
+
+    const lineTokens = new Set(this._tokens(amount.clause || amount.line));
+    let best = null;
+    let bestScore = 0;
+    let bestMatched = 0;
+    let tie = false;
+
+    for (const entry of catalog) {
+      const nameTokens = this._tokens(entry.product.Prod || '');
+      if (nameTokens.length === 0) continue;
+
+      const matched = nameTokens.filter(token => lineTokens.has(token)).length;
+      const overlap = matched / nameTokens.length;
+
+      // The most specific full match wins: "Pantalla iPhone 13 (ORI GLASS)" over "Pantalla iPhone 13"
+      if (overlap > bestScore || (overlap === bestScore && matched > bestMatched)) {
+        best = entry;
+        bestScore = overlap;
+        bestMatched = matched;
+        tie = false;
+      } else if (overlap === bestScore && matched === bestMatched && overlap > 0) {
+        tie = true;
+      }
+    }
+
+    // Ambiguous or weak matches are not rewritten
+    return best && bestScore >= 0.6 && !tie ? best : null;
+  }
+
+  /**
+   * @private
+   */
+  _tokens(text) {
+    return text
+      .toLowerCase()
+      .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+      .split(/\s+/)
+      .filter(token => token.length > 1 && !/^\d{3,}$/.test(token)); // Prices are not name tokens
+  }
+
+  /**
+   * "22,500" and "22.500" are thousands, "1.5" or "99,90" are decimals
+   * @private
+   */
+  _parseAmount(digits) {
+    const decimal = /[.,](\d{1,2})$/.exec(digits);
+    const integerPart = decimal ? digits.slice(0, decimal.index) : digits;
+    const value = parseFloat(integerPart.replace(/[.,]/g, '') + (decimal ? `.${decimal[1]}` : ''));
+    return Math.round(value);
+  }
+
+  /**
+   * Format a price with the same thousands separator the model used
+   * @private
+   */
+  _formatLike(price, originalDigits) {
+    const separator = /\d[.,]\d{3}(?!\d)/.exec(originalDigits);
+    const plain = String(Math.round(price));
+    if (!separator) return plain;
+
+    return plain.replace(/\B(?=(\d{3})+(?!\d))/g, separator[0][1]);
+  }
+
+  /**
+   * Amounts a reply may state for a product: the repair total and, when it has a
+   * quote, the part, labour and discount figures of its breakdown
+   * @private
+   */
+  _quotedFigures(product) {
+    const quote = product._quote;
+    if (!quote) return [this._getPrice(product)];
+    return [quote.total, quote.part, quote.labour, quote.discount].filter(figure => figure > 0);
+  }
+
+  /**
+   * Repair total when the product was quoted, else its catalog price
+   * @private
+   */
+  _getPrice(product) {
+    if (product._quote) return product._quote.total;
+
+    const raw = product['PUBLICO TIENDA'] ?? product.price ?? product.precio;
+    if (typeof raw === 'number') return Math.round(raw);
+
+    // Text prices follow the same conventions as quoted amounts: "$ 1.200" is 1200
+    const digits = String(raw || '').replace(/[^\d.,]/g, '');
+    return /\d/.test(digits) ? this._parseAmount(digits) : 0;
+  }
+}
+
+module.exports = new PriceGuard();
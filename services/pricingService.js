@@ -1,23 +1,60 @@
 const fs = require('fs');
 const path = require('path');
-const OpenAI = require('openai');
+const llmProvider = require('./llmProvider');
+const deviceTaxonomy = require('./deviceTaxonomy');
+const catalogParser = require('./catalogParser');
+const csvReader = require('./csvReader');
+const VectorCache = require('./vectorCache');
+const LexicalIndex = require('./lexicalIndex');
+const QueryEmbeddingCache = require('./queryEmbeddingCache');
+
+// Accepted header names per field, compared uppercase with "_" as a space
+const COLUMN_ALIASES = {
+  name: ['PROD', 'PRODUCTO', 'NOMBRE', 'NAME', 'PRODUCT'],
+  price: ['PUBLICO TIENDA', 'PRECIO PUBLICO TIENDA', 'PUBLICO', 'PRECIO', 'PRICE'],
+  cost: ['COSTO', 'COST'],
+  wholesale: ['MAYORISTA', 'PRECIO MAYORISTA', 'WHOLESALE', 'WHOLESALE PRICE'],
+  stock: ['STOCK', 'EXISTENCIA'],
+  sku: ['SKU', 'CODIGO', 'CÓDIGO'],
+  branch: ['SUCURSAL', 'BRANCH', 'LOCAL']
+};
+
+const NUMERIC_COLUMNS = ['price', 'cost', 'wholesale', 'stock'];
+
+// Reciprocal-rank fusion constant: a result ranked r in one list adds 1 / (RRF_K + r)
+const RRF_K = 60;
+// Cosine similarity below which a product is not a semantic candidate
+const MIN_SIMILARITY = 0.12;
 
 class FixedPricingService {
   constructor() {
-    this.openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY,
-      timeout: 30000,
-      maxRetries: 2,
-    });
-    
     // ChromaDB-style vector store
-    this.vectorStore = new Map(); // productId -> {embedding, metadata}
+    this.vectorStore = new Map(); // productId -> {embedding, hash, metadata}
     this.products = new Map(); // productId -> {name, price, metadata}
+    this.lexicalIndex = new LexicalIndex(); // BM25 over product names
     
     this.pricingData = null;
     this.csvFilePath = path.join(process.cwd(), 'pricing.csv');
-    this.vectorCacheFile = path.join(process.cwd(), 'vector-cache.json');
+    // Vectors of different embedding models are not comparable; the cache is dropped when the model changes
+    this.vectorCache = new VectorCache(path.join(process.cwd(), `vector-cache.${llmProvider.name}`), {
+      provider: llmProvider.name,
+      model: llmProvider.models.embedding
+    });
+    // Repeated questions reuse their embedding instead of calling the API
+    this.queryCache = new QueryEmbeddingCache(path.join(process.cwd(), `query-embeddings.${llmProvider.name}`), {
+      provider: llmProvider.name,
+      model: llmProvider.models.embedding,
+      maxEntries: parseInt(process.env.QUERY_EMBEDDING_CACHE_SIZE, 10) || 1000
+    });
+    // Indexing progress is written to the vector cache at most this often, so a restart resumes it
+    this.checkpointIntervalMs = parseInt(process.env.INDEX_CHECKPOINT_MS, 10) || 10000;
+    this.reloadIntervalMs = parseInt(process.env.PRICING_RELOAD_MS, 10) || 5000;
     this.isInitialized = false;
+    this.initializing = null;
+    
+    // Reloads run one after another; searches keep using the live catalog meanwhile
+    this.reloadQueue = Promise.resolve();
+    this.lastReload = null;
     
     console.log('✅ ChromaDB-style Pricing Service initialized');
   }
@@ -29,15 +66,20 @@ class FixedPricingService {
   
   async initialize() {
     if (this.isInitialized) return;
-    
+    if (!this.initializing) this.initializing = this._initialize();
+    await this.initializing;
+  }
+  
+  async _initialize() {
     try {
       console.log('📊 Loading products and generating embeddings...');
       
       // Load CSV data first
-      await this._loadCSVData();
+      const catalog = this._readCatalog();
       
-      // Load or generate embeddings for semantic search
-      await this._loadOrGenerateVectorStore();
+      // Cached embeddings are reused for every product whose name did not change
+      const vectors = await this._syncVectors(catalog.products, this.vectorCache.load());
+      this._swap(catalog, vectors.store);
       
       this.isInitialized = true;
       console.log(`✅ Initialized with ${this.products.size} products`);
@@ -48,66 +90,256 @@ class FixedPricingService {
       this.pricingData = { items: [], headers: ['Prod', 'PUBLICO TIENDA'] };
       this.isInitialized = true;
     }
+    
+    // Watched even after a failed start, so fixing pricing.csv loads it without a restart
+    this._watch();
+  }
+  
+  /**
+   * Re-read pricing.csv and swap it in: only new or renamed products are embedded,
+   * removed ones are dropped, and searches keep the previous catalog until the swap
+   * @returns {Promise<Object>} { reloaded, added, renamed, updated, removed, embedded, errors, duration_ms }
+   */
+  reload() {
+    const run = this.reloadQueue.then(() => this._reload());
+    this.reloadQueue = run.catch(() => {});
+    return run;
+  }
+  
+  async _reload() {
+    await this.initialize();
+    const startedAt = Date.now();
+    
+    let catalog;
+    try {
+      catalog = this._readCatalog();
+    } catch (error) {
+      console.error(`❌ Catalog reload rejected, keeping ${this.products.size} products:`, error.message);
+      this.lastReload = { at: new Date().toISOString(), reloaded: false, errors: [error.message] };
+      return this.lastReload;
+    }
+    
+    const known = new Map(Array.from(this.vectorStore.values()).map(vector => [vector.hash, vector.embedding]));
+    const vectors = await this._syncVectors(catalog.products, known, this.products);
+    const removed = Array.from(this.products.keys()).filter(id => !catalog.products.has(id)).length;
+    const updated = Array.from(catalog.products.values()).filter(product => {
+      const current = this.products.get(product.id);
+      return current && current.name === product.name && current.price !== product.price;
+    }).length;
+    
+    this._swap(catalog, vectors.store);
+    
+    this.lastReload = {
+      at: new Date().toISOString(),
+      reloaded: true,
+      added: vectors.added,
+      renamed: vectors.renamed,
+      updated,
+      removed,
+      embedded: vectors.embedded,
+      errors: catalog.loadReport.errors.length,
+      duration_ms: Date.now() - startedAt
+    };
+    console.log(`🔄 Catalog reloaded: ${this.products.size} products (+${vectors.added} ~${vectors.renamed} -${removed}, ${updated} price changes)`);
+    return this.lastReload;
   }
   
-  async _loadCSVData() {
+  /**
+   * Parse pricing.csv into a new catalog without touching the live one
+   * @private
+   */
+  _readCatalog() {
     if (!fs.existsSync(this.csvFilePath)) {
       throw new Error(`CSV file not found: ${this.csvFilePath}`);
     }
     
-    const csvContent = fs.readFileSync(this.csvFilePath, 'utf8');
-    const lines = csvContent.split('\n').filter(line => line.trim());
+    const csv = csvReader.parse(fs.readFileSync(this.csvFilePath, 'utf8'));
     
-    if (lines.length < 2) {
+    if (csv.records.length === 0) {
       throw new Error('Invalid CSV: no data rows');
     }
     
-    const headers = lines[0].split(',').map(h => h.trim().replace(/"/g, ''));
+    const headers = csv.headers;
+    const columns = this.mapColumns(headers);
+    const products = new Map();
     const items = [];
+    const errors = csv.errors.map(error => ({ line: error.line, column: null, message: error.message }));
     
-    for (let i = 1; i < lines.length; i++) {
-      const values = lines[i].split(',').map(v => v.trim().replace(/"/g, ''));
+    csv.records.forEach(record => {
+      const rowErrors = [];
+      const report = (column, message) => rowErrors.push({ line: record.line, column, message });
       
-      if (values[0] && values[0].trim()) {
-        const productName = values[0].trim();
-        const price = this._parsePrice(values[1]);
-        
-        // Create item for backward compatibility
-        const item = {};
-        headers.forEach((header, index) => {
-          item[header] = values[index] || '';
-        });
-        items.push(item);
-        
-        // Generate unique ID for vector store
-        const productId = `product_${i}_${productName.replace(/[^a-zA-Z0-9]/g, '_').substring(0, 30)}`;
+      if (record.values.length !== headers.length) {
+        report(null, `expected ${headers.length} columns, found ${record.values.length}`);
+      }
+      
+      const productName = (record.values[columns.name] || '').trim();
+      if (!productName) {
+        report(headers[columns.name], 'missing product name, row skipped');
+        errors.push(...rowErrors);
+        return;
+      }
+      
+      // Item keeps the file's own headers, with numeric columns parsed
+      const item = {};
+      headers.forEach((header, column) => {
+        item[header] = record.values[column] || '';
+      });
+      
+      const numbers = {};
+      for (const field of NUMERIC_COLUMNS) {
+        if (columns[field] === undefined) continue;
         
-        // Extract metadata for semantic search
-        const metadata = {
-          brand: this._extractBrand(productName),
-          deviceModel: this._extractDeviceFromName(productName),
-          serviceType: this._extractServiceType(productName),
-          qualityType: this._extractQualityType(productName),
-          originalIndex: i,
-          hasValidPrice: price > 0
-        };
+        const header = headers[columns[field]];
+        const raw = item[header];
+        if (raw === '') {
+          numbers[field] = null;
+          continue;
+        }
         
-        // Store in products map
-        this.products.set(productId, {
-          id: productId,
-          name: productName,
-          price: price,
-          metadata: metadata,
-          originalItem: item // Keep reference for compatibility
-        });
+        const value = csvReader.parseNumber(raw);
+        if (isNaN(value) || value < 0) {
+          report(header, `invalid ${field} "${raw}"`);
+          numbers[field] = null;
+          item[header] = '';
+        } else {
+          numbers[field] = value;
+          item[header] = value;
+        }
       }
-    }
+      
+      errors.push(...rowErrors);
+      items.push(item);
+      
+      const price = numbers.price || 0;
+      
+      // Stable id for the vector store: the SKU when the file has one, else the name
+      const sku = columns.sku !== undefined ? item[headers[columns.sku]] || null : null;
+      const productId = this._productId(sku, productName, products);
+      
+      // Extract metadata for semantic search
+      const attributes = catalogParser.parse(productName);
+      const metadata = {
+        brand: attributes.brand ? attributes.brand.toLowerCase() : 'unknown',
+        deviceModel: attributes.models.length > 0 ? attributes.models[0].name.toLowerCase() : 'unknown',
+        deviceIds: attributes.models.map(model => model.id),
+        serviceType: attributes.category,
+        qualityType: attributes.quality || 'standard',
+        attributes,
+        originalIndex: record.line,
+        hasValidPrice: price > 0
+      };
+      
+      // Store in products map
+      products.set(productId, {
+        id: productId,
+        name: productName,
+        price: price,
+        cost: numbers.cost ?? null,
+        wholesale_price: numbers.wholesale ?? null,
+        stock: numbers.stock ?? null,
+        sku,
+        branch: columns.branch !== undefined ? item[headers[columns.branch]] || null : null,
+        metadata: metadata,
+        originalItem: item // Keep reference for compatibility
+      });
+    });
+    
+    const loadReport = {
+      file: path.basename(this.csvFilePath),
+      delimiter: csv.delimiter,
+      columns: Object.fromEntries(Object.entries(columns).map(([field, column]) => [field, headers[column]])),
+      rows: csv.records.length,
+      loaded: items.length,
+      errors
+    };
     
-    this.pricingData = { items, headers };
     console.log(`📋 Loaded ${items.length} products from CSV`);
+    if (errors.length > 0) {
+      console.warn(`⚠️ ${errors.length} CSV row errors in ${loadReport.file}:`);
+      errors.slice(0, 10).forEach(error => {
+        console.warn(`   line ${error.line}${error.column ? ` (${error.column})` : ''}: ${error.message}`);
+      });
+    }
+    
+    const lexicalIndex = new LexicalIndex(Array.from(products.values()).map(product => ({ id: product.id, text: product.name })));
+    
+    return { products, pricingData: { items, headers }, loadReport, lexicalIndex };
+  }
+  
+  /**
+   * Replace the live catalog in one synchronous step, so a search sees either the
+   * old or the new catalog and never a mix
+   * @private
+   */
+  _swap(catalog, vectorStore) {
+    this.products = catalog.products;
+    this.pricingData = catalog.pricingData;
+    this.loadReport = catalog.loadReport;
+    this.lexicalIndex = catalog.lexicalIndex;
+    this.vectorStore = vectorStore;
+  }
+  
+  /**
+   * Result of the last catalog load and reload, for the health endpoint
+   * @returns {Object} { file, delimiter, columns, rows, loaded, errors, vectors, query_cache, last_reload }
+   */
+  getCatalogStatus() {
+    return {
+      ...(this.loadReport || { file: path.basename(this.csvFilePath), loaded: 0, errors: [] }),
+      vectors: this.vectorStore.size,
+      query_cache: this.queryCache.getStats(),
+      last_reload: this.lastReload
+    };
+  }
+  
+  /**
+   * "product_pantalla_iphone_13", or "product_sku_p_ip13" when the row has a SKU;
+   * repeated names get a numeric suffix
+   * @private
+   */
+  _productId(sku, productName, products) {
+    const slug = (sku ? `sku ${sku}` : productName)
+      .toLowerCase()
+      .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+      .replace(/[^a-z0-9]+/g, '_')
+      .replace(/^_|_$/g, '');
+    
+    let id = `product_${slug}`;
+    for (let n = 2; products.has(id); n++) id = `product_${slug}_${n}`;
+    return id;
   }
   
-  async searchProducts(query, maxResults = 20) {
+  /**
+   * Column index of each known field, by header name (first and second column for
+   * name and price when the headers are not recognised)
+   * @param {Array<string>} headers - CSV header row
+   * @returns {Object} { name, price, cost, ... } column indexes
+   */
+  mapColumns(headers) {
+    const normalized = headers.map(header => header.trim().toUpperCase().replace(/[\s_]+/g, ' '));
+    const columns = {};
+    
+    for (const [field, aliases] of Object.entries(COLUMN_ALIASES)) {
+      const column = normalized.findIndex(header => aliases.includes(header));
+      if (column !== -1) columns[field] = column;
+    }
+    
+    if (columns.name === undefined) columns.name = 0;
+    if (columns.price === undefined && headers.length > 1) columns.price = 1;
+    
+    return columns;
+  }
+  
+  /**
+   * Hybrid search: BM25 over product names and embedding similarity, merged by
+   * reciprocal-rank fusion, then narrowed to the exact model the query names
+   * @param {string} query - Customer text
+   * @param {number} maxResults - Maximum results
+   * @param {Object} options - { budget } for the query embedding
+   * @returns {Promise<Array<Object>>} Catalog items with _score, _similarity and _explanation
+   */
+  async searchProducts(query, maxResults = 20, options = {}) {
     try {
       await this.initialize();
       
@@ -116,64 +348,47 @@ class FixedPricingService {
         return [];
       }
       
-      console.log(`🔍 Semantic search for: "${query}"`);
+      console.log(`🔍 Hybrid search for: "${query}"`);
       
-      // Generate query embedding for semantic search
-      const queryEmbedding = await this._generateEmbedding(query);
-      if (!queryEmbedding) {
-        return this._fallbackKeywordSearch(query, maxResults);
-      }
-      
-      // Calculate semantic similarities
-      const similarities = [];
+      // Without a query embedding (slow or down provider) BM25 ranks alone
+      const queryEmbedding = await this._embedQuery(query, options.budget);
       
-      for (const [productId, vectorData] of this.vectorStore) {
-        const similarity = this._cosineSimilarity(queryEmbedding, vectorData.embedding);
-        
-        if (similarity > 0.12) { // Lower threshold for better matching
-          const product = this.products.get(productId);
-          
-          similarities.push({
-            ...product.originalItem, // Return original item format for compatibility
-            _similarity: similarity,
-            _productId: productId,
-            _metadata: product.metadata,
-            _semanticMatch: true
-          });
-        }
-      }
+      // One snapshot of the catalog live at this moment, in case a reload swaps it
+      const { products, vectorStore, lexicalIndex } = this;
       
-      // Sort by semantic similarity
-      similarities.sort((a, b) => b._similarity - a._similarity);
+      const lexical = lexicalIndex.search(query);
+      const semantic = queryEmbedding ? this._semanticRanking(queryEmbedding, vectorStore) : [];
+      const fused = this._fuse(lexical, semantic, products);
       
-      console.log(`🎯 Found ${similarities.length} semantic matches`);
+      console.log(`🎯 Found ${fused.length} matches (${lexical.length} lexical, ${semantic.length} semantic${queryEmbedding ? '' : ', no query embedding'})`);
       
-      if (similarities.length === 0) {
-        console.log('🔄 No semantic matches, trying keyword search...');
-        return this._fallbackKeywordSearch(query, maxResults);
-      }
+      if (fused.length === 0) return [];
       
       // Extract device model for exact filtering
       const deviceModel = this._extractExactDeviceModel(query);
-      let results = similarities;
+      let results = fused;
       
       // Apply exact model filtering if device detected
       if (deviceModel !== 'unknown') {
         console.log(`🔍 Filtering for exact model: "${deviceModel}"`);
-        const exactMatches = this._filterByExactModel(similarities, deviceModel);
+        const exactMatches = this._filterByExactModel(fused, deviceModel);
         
         if (exactMatches.length > 0) {
           results = exactMatches;
+          results.forEach(result => {
+            result._explanation.model = { id: deviceModel, match: 'exact' };
+          });
           console.log(`✅ Found ${exactMatches.length} exact model matches`);
         } else {
           // Find closest alternatives for approximate matching
           console.log('🔄 No exact matches, finding closest alternatives...');
-          results = this._findClosestAlternatives(similarities, deviceModel);
+          results = this._findClosestAlternatives(fused, deviceModel);
           
           // Mark as approximate matches
           results.forEach(result => {
             result._isApproximate = true;
             result._exactModelRequested = deviceModel;
+            result._explanation.model = { id: deviceModel, match: 'approximate' };
           });
         }
       }
@@ -185,60 +400,76 @@ class FixedPricingService {
       
     } catch (error) {
       console.error('❌ Search error:', error.message);
-      return this._fallbackKeywordSearch(query, maxResults);
+      return [];
     }
   }
   
-  _extractExactDeviceModel(query) {
-    const queryLower = query.toLowerCase();
-    
-    // iPhone patterns with exact matching
-    const iphonePatterns = [
-      { pattern: /iphone\s*15\s*pro\s*max/i, model: 'iphone 15 pro max' },
-      { pattern: /iphone\s*15\s*pro(?!\s*max)/i, model: 'iphone 15 pro' },
-      { pattern: /iphone\s*15\s*plus/i, model: 'iphone 15 plus' },
-      { pattern: /iphone\s*15(?!\s*pro|\s*plus)/i, model: 'iphone 15' },
-      { pattern: /iphone\s*14\s*pro\s*max/i, model: 'iphone 14 pro max' },
-      { pattern: /iphone\s*14\s*pro(?!\s*max)/i, model: 'iphone 14 pro' },
-      { pattern: /iphone\s*14\s*plus/i, model: 'iphone 14 plus' },
-      { pattern: /iphone\s*14(?!\s*pro|\s*plus)/i, model: 'iphone 14' }, // EXACT iPhone 14, not Pro
-      { pattern: /iphone\s*13\s*pro\s*max/i, model: 'iphone 13 pro max' },
-      { pattern: /iphone\s*13\s*pro(?!\s*max)/i, model: 'iphone 13 pro' },
-      { pattern: /iphone\s*13\s*mini/i, model: 'iphone 13 mini' },
-      { pattern: /iphone\s*13(?!\s*pro|\s*mini)/i, model: 'iphone 13' }
-    ];
-    
-    for (const { pattern, model } of iphonePatterns) {
-      if (pattern.test(queryLower)) {
-        return model;
-      }
+  /**
+   * Products by cosine similarity to the query, best first
+   * @returns {Array<Object>} [{ id, similarity }]
+   * @private
+   */
+  _semanticRanking(queryEmbedding, vectorStore) {
+    const ranking = [];
+    
+    for (const [productId, vectorData] of vectorStore) {
+      const similarity = this._cosineSimilarity(queryEmbedding, vectorData.embedding);
+      if (similarity > MIN_SIMILARITY) ranking.push({ id: productId, similarity });
     }
     
-    return 'unknown';
+    return ranking.sort((a, b) => b.similarity - a.similarity);
   }
   
-  _filterByExactModel(results, targetModel) {
-    return results.filter(item => {
-      const productName = (item.Prod || '').toLowerCase();
-      const targetLower = targetModel.toLowerCase();
-      
-      // For iPhone 14 (not Pro), exclude Pro variants
-      if (targetModel === 'iphone 14') {
-        return productName.includes('iphone 14') && 
-               !productName.includes('pro') && 
-               !productName.includes('plus');
-      }
-      
-      // For iPhone 14 Pro (not Max), exclude Max variants
-      if (targetModel === 'iphone 14 pro') {
-        return productName.includes('iphone 14') && 
-               productName.includes('pro') && 
-               !productName.includes('max');
-      }
-      
-      // For other models, exact match
-      return productName.includes(targetLower);
+  /**
+   * Reciprocal-rank fusion of the lexical and semantic rankings; each result
+   * explains its rank and score in both
+   * @private
+   */
+  _fuse(lexical, semantic, products) {
+    const fused = new Map();
+    const entry = id => {
+      if (!fused.has(id)) fused.set(id, { id, score: 0, lexical: null, semantic: null });
+      return fused.get(id);
+    };
+    
+    lexical.forEach((hit, index) => {
+      const result = entry(hit.id);
+      result.score += 1 / (RRF_K + index + 1);
+      result.lexical = { rank: index + 1, bm25: Math.round(hit.score * 1000) / 1000, terms: hit.terms };
+    });
+    
+    semantic.forEach((hit, index) => {
+      const result = entry(hit.id);
+      result.score += 1 / (RRF_K + index + 1);
+      result.semantic = { rank: index + 1, similarity: Math.round(hit.similarity * 1000) / 1000 };
     });
+    
+    return Array.from(fused.values())
+      .filter(result => products.has(result.id))
+      .sort((a, b) => b.score - a.score)
+      .map(result => {
+        const product = products.get(result.id);
+        
+        return {
+          ...product.originalItem, // Return original item format for compatibility
+          _score: result.score,
+          _similarity: result.semantic ? result.semantic.similarity : undefined,
+          _productId: result.id,
+          _metadata: product.metadata,
+          _explanation: {
+            rrf: Math.round(result.score * 10000) / 10000,
+            lexical: result.lexical,
+            semantic: result.semantic,
+            model: null
+          }
+        };
+      });
+  }
+  
+  // Taxonomy id of the exact model asked for, 'unknown' when none is named
+  _extractExactDeviceModel(query) {
+    const device = deviceTaxonomy.resolve(query);
+    return device ? device.id : 'unknown';
   }
   
   async _embeddingSearch(query, maxResults) {
@@ -286,170 +517,138 @@ class FixedPricingService {
     }
   }
   
-  _fallbackKeywordSearch(query, maxResults) {
-    console.log('🔄 Using keyword search as fallback');
-    
-    const queryLower = query.toLowerCase();
-    const keywords = queryLower.split(' ').filter(k => k.length > 2);
-    
-    // Add Spanish translations
-    const translations = {
-      'screen': 'pantalla',
-      'battery': 'bateria',
-      'camera': 'camara',
-      'charging': 'carga',
-      'speaker': 'altavoz'
-    };
-    
-    // Add translated keywords
-    keywords.forEach(keyword => {
-      if (translations[keyword]) {
-        keywords.push(translations[keyword]);
-      }
-    });
-    
-    console.log(`🔍 Keyword search terms: ${keywords.join(', ')}`);
-    
-    const results = [];
-    
-    for (const product of this.products.values()) {
-      const productText = product.name.toLowerCase();
-      let score = 0;
-      
-      for (const keyword of keywords) {
-        if (productText.includes(keyword)) {
-          score += 1;
-        }
+  _filterByExactModel(results, targetModel) {
+    return results.filter(item => item._metadata.deviceIds.includes(targetModel));
+  }
+  
+  /**
+   * Vector store for a catalog: products reuse the known vector of their name's hash
+   * and only new or renamed ones are embedded; vectors no product uses are left out
+   * @param {Map} products - productId -> product
+   * @param {Map} known - name hash -> embedding (from the cache file or the live store)
+   * @param {Map} previous - Live products, to tell renamed rows (same id) from new ones
+   * @private
+   */
+  async _syncVectors(products, known, previous = new Map()) {
+    const store = new Map();
+    const pending = [];
+    let added = 0;
+    let renamed = 0;
+    
+    for (const product of products.values()) {
+      const hash = VectorCache.hash(product.name);
+      const embedding = known.get(hash);
+      
+      if (embedding) {
+        store.set(product.id, { embedding, hash, metadata: product.metadata });
+        continue;
       }
       
-      if (score > 0) {
-        results.push({
-          ...product.originalItem,
-          _score: score,
-          _keywordMatch: true,
-          _metadata: product.metadata
-        });
-      }
+      if (previous.has(product.id)) renamed++;
+      else added++;
+      pending.push(product);
     }
     
-    // Sort by score
-    results.sort((a, b) => b._score - a._score);
+    if (pending.length > 0) {
+      console.log(`🔄 Generating vectors for ${pending.length} new or renamed products (${store.size} reused)...`);
+      await this._generateVectorsForProducts(pending, store);
+    }
     
-    console.log(`✅ Keyword search found ${results.length} products`);
+    const used = new Set(Array.from(store.values()).map(vector => vector.hash));
+    const dropped = Array.from(known.keys()).some(hash => !used.has(hash));
+    if (pending.length > 0 || dropped) {
+      this._saveVectors(store);
+    }
     
-    return results.slice(0, maxResults);
+    return { store, added, renamed, embedded: pending.filter(product => store.has(product.id)).length };
   }
   
-  _filterByExactModel(results, targetModel) {
-    return results.filter(item => {
-      const metadata = item._metadata;
-      const deviceModel = metadata.deviceModel.toLowerCase();
-      const targetLower = targetModel.toLowerCase();
-      
-      // For iPhone 14 (not Pro), exclude Pro variants
-      if (targetModel === 'iphone 14') {
-        return deviceModel.includes('iphone 14') && 
-               !deviceModel.includes('pro') && 
-               !deviceModel.includes('plus');
-      }
-      
-      // For iPhone 14 Pro (not Max), exclude Max variants
-      if (targetModel === 'iphone 14 pro') {
-        return deviceModel.includes('iphone 14') && 
-               deviceModel.includes('pro') && 
-               !deviceModel.includes('max');
-      }
-      
-      // For other models, check if target is contained in device model
-      return deviceModel.includes(targetLower);
-    });
+  /**
+   * Write a vector store to the vector cache, keyed by name hash
+   * @private
+   */
+  _saveVectors(store) {
+    this.vectorCache.save(new Map(Array.from(store.values()).map(vector => [vector.hash, vector.embedding])));
   }
   
-  async _loadOrGenerateVectorStore() {
+  /**
+   * Poll pricing.csv so edits apply without a restart; unref'd so it never keeps the process alive
+   * @private
+   */
+  _watch() {
     try {
-      // Try to load existing vector cache
-      if (fs.existsSync(this.vectorCacheFile)) {
-        console.log('📁 Loading vector cache...');
-        const cached = JSON.parse(fs.readFileSync(this.vectorCacheFile, 'utf8'));
-        
-        // Rebuild vector store from cache
-        for (const [productId, vectorData] of cached) {
-          this.vectorStore.set(productId, vectorData);
-        }
-        
-        console.log(`✅ Loaded ${this.vectorStore.size} vectors from cache`);
-        
-        // Check if we need to generate new vectors
-        const existingIds = new Set(this.vectorStore.keys());
-        const currentIds = new Set(this.products.keys());
-        
-        const newProducts = Array.from(this.products.values()).filter(product => 
-          !existingIds.has(product.id)
-        );
-        
-        if (newProducts.length > 0) {
-          console.log(`🔄 Generating vectors for ${newProducts.length} new products...`);
-          await this._generateVectorsForProducts(newProducts);
+      const watcher = fs.watchFile(this.csvFilePath, { interval: this.reloadIntervalMs }, (current, previous) => {
+        if (current.mtimeMs !== previous.mtimeMs) {
+          this.reload().catch(error => console.error(`❌ Catalog reload failed, keeping ${this.products.size} products:`, error.message));
         }
-        
-        return;
-      }
-      
-      // Generate all vectors
-      console.log('🔄 Generating vectors for all products...');
-      await this._generateVectorsForProducts(Array.from(this.products.values()));
-      
+      });
+      watcher.unref();
     } catch (error) {
-      console.error('❌ Vector store error:', error.message);
-      // Continue without vectors - will use keyword search
+      console.error('⚠️ Catalog hot reload disabled:', error.message);
     }
   }
   
-  async _generateVectorsForProducts(products) {
-    const batchSize = 10; // Process in smaller batches
+  /**
+   * Embed products in batches of llmProvider.embedBatchSize names per request. The
+   * store is checkpointed to the vector cache as batches complete, so an interrupted
+   * indexing run resumes where it stopped; a failed batch is retried on the next load.
+   * @param {Array<Object>} products - Products without a vector
+   * @param {Map} store - productId -> vector, filled in place
+   * @private
+   */
+  async _generateVectorsForProducts(products, store) {
+    if (!llmProvider.isConfigured()) {
+      console.log(`⚠️ ${llmProvider.name} provider not configured, using keyword search only`);
+      return;
+    }
+    
+    const batchSize = llmProvider.embedBatchSize;
+    const batches = Math.ceil(products.length / batchSize);
+    let embedded = 0;
+    let checkpointAt = Date.now();
     
     for (let i = 0; i < products.length; i += batchSize) {
       const batch = products.slice(i, i + batchSize);
       
-      console.log(`🔄 Processing batch ${Math.floor(i/batchSize) + 1}/${Math.ceil(products.length/batchSize)}`);
+      console.log(`🔄 Processing batch ${Math.floor(i / batchSize) + 1}/${batches}`);
       
-      for (const product of batch) {
-        try {
-          // Embed only the product name (not price)
-          const embedding = await this._generateEmbedding(product.name);
-          
-          if (embedding) {
-            this.vectorStore.set(product.id, {
-              embedding: embedding,
-              metadata: product.metadata
-            });
-          }
+      try {
+        // Embed only the product name (not price)
+        const embeddings = await llmProvider.embedBatch(batch.map(product => product.name));
+        
+        batch.forEach((product, index) => {
+          if (!embeddings[index]) return;
           
-          // Rate limiting
-          await new Promise(resolve => setTimeout(resolve, 150));
-        } catch (error) {
-          console.error(`⚠️ Failed to generate vector for ${product.name}:`, error.message);
-        }
+          store.set(product.id, {
+            embedding: Float32Array.from(embeddings[index]),
+            hash: VectorCache.hash(product.name),
+            metadata: product.metadata
+          });
+          embedded++;
+        });
+      } catch (error) {
+        console.error(`⚠️ Failed to generate vectors for batch ${Math.floor(i / batchSize) + 1}:`, error.message);
+      }
+      
+      const remaining = i + batchSize < products.length;
+      if (remaining && Date.now() - checkpointAt >= this.checkpointIntervalMs) {
+        this._saveVectors(store);
+        checkpointAt = Date.now();
+      }
+      
+      // Rate limiting
+      if (remaining && llmProvider.embedDelayMs > 0) {
+        await new Promise(resolve => setTimeout(resolve, llmProvider.embedDelayMs));
       }
     }
     
-    await this._saveVectorCache();
-    console.log(`✅ Generated vectors for ${this.vectorStore.size} products`);
-  }
-  
-  async _saveVectorCache() {
-    try {
-      const vectorArray = Array.from(this.vectorStore.entries());
-      fs.writeFileSync(this.vectorCacheFile, JSON.stringify(vectorArray, null, 2));
-      console.log('💾 Vector cache saved');
-    } catch (error) {
-      console.error('⚠️ Failed to save vector cache:', error.message);
-    }
+    console.log(`✅ Generated vectors for ${embedded}/${products.length} products`);
   }
   
   _findClosestAlternatives(similarities, requestedModel) {
     // Find products from the same brand and similar service type
-    const requestedBrand = this._extractBrand(requestedModel);
+    const device = deviceTaxonomy.get(requestedModel);
+    const requestedBrand = device ? device.brand.toLowerCase() : 'unknown';
     const requestedService = this._extractServiceFromQuery(requestedModel);
     
     return similarities.filter(item => {
@@ -460,71 +659,6 @@ class FixedPricingService {
     });
   }
   
-  _parsePrice(priceStr) {
-    if (!priceStr) return 0;
-    const price = parseFloat(priceStr.toString().replace(/[^0-9.]/g, ''));
-    return isNaN(price) ? 0 : price;
-  }
-  
-  _extractBrand(productName) {
-    const nameLower = productName.toLowerCase();
-    
-    if (nameLower.includes('iphone') || nameLower.includes('apple')) return 'apple';
-    if (nameLower.includes('samsung') || nameLower.includes('galaxy')) return 'samsung';
-    if (nameLower.includes('xiaomi') || nameLower.includes('redmi')) return 'xiaomi';
-    if (nameLower.includes('huawei')) return 'huawei';
-    if (nameLower.includes('motorola')) return 'motorola';
-    if (nameLower.includes('nokia')) return 'nokia';
-    
-    return 'unknown';
-  }
-  
-  _extractDeviceFromName(productName) {
-    const nameLower = productName.toLowerCase();
-    
-    // iPhone patterns
-    const iphoneMatch = nameLower.match(/iphone\s*(\d+(?:\s*pro(?:\s*max)?)?|\s*plus|\s*mini|se|xr|xs|x)/i);
-    if (iphoneMatch) {
-      return `iphone ${iphoneMatch[1].replace(/\s+/g, ' ').trim()}`;
-    }
-    
-    // Samsung patterns
-    if (nameLower.includes('samsung') || nameLower.includes('galaxy')) {
-      const galaxyMatch = nameLower.match(/(?:galaxy\s*)?([a-z]\d+|note\s*\d+|s\d+)/i);
-      if (galaxyMatch) {
-        return `samsung ${galaxyMatch[1]}`;
-      }
-    }
-    
-    return 'unknown';
-  }
-  
-  _extractServiceType(productName) {
-    const nameLower = productName.toLowerCase();
-    
-    if (nameLower.includes('pantalla') || nameLower.includes('display') || nameLower.includes('screen')) return 'pantalla';
-    if (nameLower.includes('bateria') || nameLower.includes('battery')) return 'bateria';
-    if (nameLower.includes('camara') || nameLower.includes('camera') || nameLower.includes('lente')) return 'camara';
-    if (nameLower.includes('altavoz') || nameLower.includes('speaker')) return 'altavoz';
-    if (nameLower.includes('flex') || nameLower.includes('cable')) return 'flex';
-    if (nameLower.includes('tapa') || nameLower.includes('cover')) return 'tapa';
-    if (nameLower.includes('antena') || nameLower.includes('wifi')) return 'antena';
-    
-    return 'general';
-  }
-  
-  _extractQualityType(productName) {
-    const nameLower = productName.toLowerCase();
-    
-    if (nameLower.includes('original') || nameLower.includes('oem')) return 'original';
-    if (nameLower.includes('compatible') || nameLower.includes('comp')) return 'compatible';
-    if (nameLower.includes('incell') || nameLower.includes('in-cell')) return 'incell';
-    if (nameLower.includes('oled') || nameLower.includes('amoled')) return 'oled';
-    if (nameLower.includes('lcd')) return 'lcd';
-    
-    return 'standard';
-  }
-  
   _extractServiceFromQuery(query) {
     const queryLower = query.toLowerCase();
     
@@ -535,17 +669,24 @@ class FixedPricingService {
     return 'general';
   }
   
-  async _generateEmbedding(text) {
+  /**
+   * Query embedding, from the query cache when the question was asked before
+   * @private
+   */
+  async _embedQuery(query, budget = null) {
+    const cached = this.queryCache.get(query);
+    if (cached) return cached;
+    
+    const embedding = await this._generateEmbedding(query, budget);
+    if (embedding) this.queryCache.set(query, embedding);
+    return embedding;
+  }
+  
+  async _generateEmbedding(text, budget = null) {
     try {
-      const response = await this.openai.embeddings.create({
-        model: "text-embedding-3-small",
-        input: text.substring(0, 8000),
-        encoding_format: "float"
-      });
-      
-      return response.data[0].embedding;
+      return await llmProvider.embed(text, budget);
     } catch (error) {
-      console.error('❌ OpenAI embedding error:', error.message);
+      console.error(`❌ ${llmProvider.name} embedding error:`, error.message);
       return null;
     }
   }
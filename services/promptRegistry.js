@@ -0,0 +1,169 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const languageService = require('./languageService');
+
+// Every variable a reply template may use
+const VARIABLES = [
+  'products', 'business_info', 'business_name', 'city', 'country', 'warranty_days',
+  'customer_name', 'message', 'conversation_context', 'correction'
+];
+
+const PARTS = ['system', 'user'];
+
+class PromptRegistry {
+  constructor() {
+    this.promptsDir = process.env.PROMPTS_DIR || path.join(__dirname, '..', 'prompts');
+    this.forcedVersion = process.env.PROMPT_VERSION || null;
+
+    this.manifest = null;
+    this.templates = {};
+    this._load();
+
+    if (this.forcedVersion && !this.templates[this.forcedVersion]) {
+      throw new Error(`PROMPT_VERSION "${this.forcedVersion}" is not in ${this.promptsDir}/manifest.json`);
+    }
+
+    const traffic = Object.entries(this.manifest.experiment.traffic).map(([version, weight]) => `${version}=${weight}%`).join(', ');
+    console.log(`📝 Prompt Registry initialized (${Object.keys(this.templates).join(', ')}; ${this.forcedVersion ? `forced ${this.forcedVersion}` : traffic})`);
+  }
+
+  /**
+   * Prompt version for a contact: stable for the same contact and experiment
+   * @param {string} contactId - GHL contact ID
+   * @returns {string} Version name
+   */
+  assign(contactId) {
+    if (this.forcedVersion) return this.forcedVersion;
+
+    const { id, traffic } = this.manifest.experiment;
+    if (!contactId) return this.manifest.default_version;
+
+    const hash = crypto.createHash('sha256').update(`${id}:${contactId}`).digest();
+    const bucket = hash.readUInt32BE(0) % 100;
+
+    let threshold = 0;
+    for (const [version, weight] of Object.entries(traffic)) {
+      threshold += weight;
+      if (bucket < threshold) return version;
+    }
+
+    return this.manifest.default_version;
+  }
+
+  /**
+   * Render the system and user prompts of a version
+   * @param {string} version - Version name (see assign())
+   * @param {string} language - Language code; falls back to the default language template
+   * @param {Object} variables - Values for the {{variables}}
+   * @returns {Object} { system, user, version, language }
+   */
+  render(version, language, variables) {
+    const resolvedVersion = this.templates[version] ? version : this.manifest.default_version;
+    const templates = this.templates[resolvedVersion];
+    const templateLanguage = templates[language] ? language : languageService.defaultLanguage;
+    const files = templates[templateLanguage];
+
+    return {
+      system: this._fill(files.system, variables),
+      user: this._fill(files.user, variables),
+      version: resolvedVersion,
+      language: templateLanguage
+    };
+  }
+
+  /**
+   * Versions and the running experiment, for the admin endpoint
+   */
+  describe() {
+    return {
+      default_version: this.manifest.default_version,
+      forced_version: this.forcedVersion,
+      experiment: this.manifest.experiment,
+      versions: Object.fromEntries(Object.entries(this.manifest.versions).map(([version, info]) => [
+        version,
+        { ...info, languages: Object.keys(this.templates[version]) }
+      ]))
+    };
+  }
+
+  /**
+   * Replace {{name}} and keep {{#name}}...{{/name}} only when name has a value
+   * @private
+   */
+  _fill(template, variables) {
+    const withSections = template.replace(/\{\{#(\w+)\}\}([\s\S]*?)\{\{\/\1\}\}/g, (match, name, body) =>
+      variables[name] ? body : ''
+    );
+
+    return withSections.replace(/\{\{(\w+)\}\}/g, (match, name) => {
+      const value = variables[name];
+      if (value === undefined || value === null) {
+        throw new Error(`Prompt variable "${name}" has no value`);
+      }
+      return String(value);
+    });
+  }
+
+  /**
+   * Read the manifest and every template, failing fast on anything a render would trip over
+   * @private
+   */
+  _load() {
+    const manifestPath = path.join(this.promptsDir, 'manifest.json');
+    const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    const errors = [];
+
+    const versions = Object.keys(manifest.versions || {});
+    if (versions.length === 0) errors.push('manifest lists no versions');
+    if (!versions.includes(manifest.default_version)) errors.push(`default_version "${manifest.default_version}" is not a listed version`);
+
+    const experiment = manifest.experiment || {};
+    if (!experiment.id) errors.push('experiment.id is required');
+    const traffic = experiment.traffic || {};
+    const total = Object.values(traffic).reduce((sum, weight) => sum + weight, 0);
+    if (total !== 100) errors.push(`experiment.traffic must add up to 100 (got ${total})`);
+    for (const [version, weight] of Object.entries(traffic)) {
+      if (!versions.includes(version)) errors.push(`experiment.traffic names unknown version "${version}"`);
+      if (!Number.isInteger(weight) || weight < 0) errors.push(`experiment.traffic.${version} must be a non-negative integer`);
+    }
+
+    for (const version of versions) {
+      this.templates[version] = {};
+
+      for (const language of languageService.supported) {
+        const files = {};
+        for (const part of PARTS) {
+          const file = path.join(this.promptsDir, version, `${language}.${part}.txt`);
+          if (fs.existsSync(file)) files[part] = fs.readFileSync(file, 'utf8').replace(/\n$/, '');
+        }
+
+        if (Object.keys(files).length === 0) continue;
+        if (Object.keys(files).length !== PARTS.length) {
+          errors.push(`${version}/${language} needs both ${PARTS.map(part => `${language}.${part}.txt`).join(' and ')}`);
+          continue;
+        }
+
+        for (const [part, template] of Object.entries(files)) {
+          for (const [, name] of template.matchAll(/\{\{[#/]?(\w+)\}\}/g)) {
+            if (!VARIABLES.includes(name)) errors.push(`${version}/${language}.${part}.txt uses unknown variable "${name}"`);
+          }
+        }
+
+        this.templates[version][language] = files;
+      }
+
+      if (!this.templates[version][languageService.defaultLanguage]) {
+        errors.push(`${version} has no ${languageService.defaultLanguage} templates`);
+      }
+    }
+
+    if (errors.length > 0) {
+      throw new Error(`Invalid prompt templates in ${this.promptsDir}: ${errors.join('; ')}`);
+    }
+
+    this.manifest = manifest;
+  }
+}
+
+module.exports = new PromptRegistry();
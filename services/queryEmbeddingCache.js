@@ -0,0 +1,139 @@
+const deviceTaxonomy = require('./deviceTaxonomy');
+const VectorCache = require('./vectorCache');
+
+/**
+ * Embeddings of customer queries, so a repeated question costs no API call.
+ * Queries are keyed by their normalized text ("Pantalla iPhone13?" and "pantalla
+ * iphone 13" share one entry). The most recently used entries are kept in memory
+ * and written to disk in the VectorCache format a few seconds after a change, so
+ * they survive restarts and are dropped when the embedding model changes.
+ */
+class QueryEmbeddingCache {
+  /**
+   * @param {string} basePath - Path without extension
+   * @param {Object} options
+   * @param {string} options.provider - LLM provider name
+   * @param {string} options.model - Embedding model name
+   * @param {number} options.maxEntries - Queries kept, least recently used dropped first
+   * @param {number} options.flushDelayMs - Wait after a change before writing to disk
+   */
+  constructor(basePath, options = {}) {
+    this.store = new VectorCache(basePath, { provider: options.provider, model: options.model });
+    this.maxEntries = options.maxEntries || 1000;
+    this.flushDelayMs = options.flushDelayMs ?? 5000;
+
+    this.entries = null; // key hash -> Float32Array, least recently used first; read on first use
+    this.flushTimer = null;
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  /**
+   * Normalized text a query is cached under
+   * @param {string} text - Customer query
+   * @returns {string}
+   */
+  static key(text) {
+    return deviceTaxonomy.normalize(text);
+  }
+
+  /**
+   * Cached embedding of a query
+   * @param {string} text - Customer query
+   * @returns {Float32Array|null}
+   */
+  get(text) {
+    const entries = this._entries();
+    const hash = VectorCache.hash(QueryEmbeddingCache.key(text));
+    const embedding = entries.get(hash);
+
+    if (!embedding) {
+      this.misses++;
+      return null;
+    }
+
+    // Re-inserted so it becomes the most recently used
+    entries.delete(hash);
+    entries.set(hash, embedding);
+    this.hits++;
+    return embedding;
+  }
+
+  /**
+   * Cache the embedding of a query
+   * @param {string} text - Customer query
+   * @param {Array<number>|Float32Array} embedding
+   */
+  set(text, embedding) {
+    const entries = this._entries();
+    const hash = VectorCache.hash(QueryEmbeddingCache.key(text));
+
+    entries.delete(hash);
+    entries.set(hash, Float32Array.from(embedding));
+
+    while (entries.size > this.maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+
+    this._scheduleFlush();
+  }
+
+  /**
+   * Write the cache to disk now
+   */
+  flush() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+    if (this.entries) this.store.save(this.entries);
+  }
+
+  /**
+   * Forget every query, in memory and on disk
+   */
+  clear() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+    this.entries = new Map();
+    this.store.clear();
+  }
+
+  /**
+   * Get cache statistics
+   * @returns {Object} { size, max_entries, hits, misses }
+   */
+  getStats() {
+    return {
+      size: this.entries ? this.entries.size : 0,
+      max_entries: this.maxEntries,
+      hits: this.hits,
+      misses: this.misses
+    };
+  }
+
+  /**
+   * @private
+   */
+  _entries() {
+    if (!this.entries) {
+      // The file keeps the memory order, so the least recently used come first
+      this.entries = this.store.load();
+      while (this.entries.size > this.maxEntries) {
+        this.entries.delete(this.entries.keys().next().value);
+      }
+    }
+    return this.entries;
+  }
+
+  /**
+   * Batch writes; unref'd so a pending write never keeps the process alive
+   * @private
+   */
+  _scheduleFlush() {
+    if (this.flushTimer) return;
+
+    this.flushTimer = setTimeout(() => this.flush(), this.flushDelayMs);
+    this.flushTimer.unref();
+  }
+}
+
+module.exports = QueryEmbeddingCache;
@@ -0,0 +1,321 @@
+const fs = require('fs');
+const path = require('path');
+const languageService = require('./languageService');
+const businessProfileService = require('./businessProfileService');
+const catalogParser = require('./catalogParser');
+
+const SUPPORTED_SCHEMA_VERSION = 1;
+const ROUNDING_MODES = ['up', 'nearest', 'down'];
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Repair quotes on top of the catalog: pricing.csv lists parts at store price, the
+ * customer pays part + labour for the part's category, minus any running promotion,
+ * rounded. Tools, consumables and rentals the shop also sells are not quoted.
+ *
+ * Rules live in pricing-rules.json (PRICING_RULES_PATH) and are hot reloaded.
+ */
+class QuoteService {
+  constructor() {
+    this.rulesPath = process.env.PRICING_RULES_PATH || path.join(__dirname, '..', 'pricing-rules.json');
+    this.reloadIntervalMs = parseInt(process.env.PRICING_RULES_RELOAD_MS, 10) || 5000;
+
+    // Broken rules at startup are fatal; a broken edit later keeps the last good ones
+    this.rules = this._load();
+    this.loadedAt = new Date().toISOString();
+    this.lastReloadError = null;
+
+    this._watch();
+
+    console.log(`🧾 Pricing Rules loaded: v${this.rules.version} (${this.rules.promotions.length} promotions)`);
+  }
+
+  /**
+   * Quote one catalog row
+   * @param {Object} item - { name, price, catalog_id, category } (category parsed from the name when missing)
+   * @param {Date} date - Day the promotions are checked against
+   * @returns {Object|null} { name, catalog_id, category, part, labour, discount, promotion, total, currency },
+   *   null when the row has no price or is not sold to customers
+   */
+  quote(item, date = new Date()) {
+    if (!item || !(item.price > 0) || this.exclusionReason(item.name)) return null;
+
+    const rules = this.rules;
+    const category = item.category || catalogParser.parse(item.name).category;
+    const labour = rules.labour.categories[category] ?? rules.labour.default;
+    const subtotal = item.price + labour;
+
+    const promotion = this._bestPromotion(category, item, labour, subtotal, date);
+    const discount = promotion ? promotion.discount : 0;
+
+    return {
+      name: item.name,
+      catalog_id: item.catalog_id || null,
+      category,
+      part: item.price,
+      labour,
+      discount,
+      promotion: promotion ? { id: promotion.id, label: promotion.label } : null,
+      total: this._round(subtotal - discount),
+      currency: rules.currency
+    };
+  }
+
+  /**
+   * Why a catalog row is not sold to customers
+   * @param {string} productName - Catalog row name
+   * @returns {string|null} 'rental', 'tool', 'consumable'... or null for customer items
+   */
+  exclusionReason(productName) {
+    const name = this._normalize(productName);
+
+    for (const [reason, terms] of Object.entries(this.rules.exclude)) {
+      if (terms.some(term => name.startsWith(term))) return reason;
+    }
+    return null;
+  }
+
+  /**
+   * Breakdown of a quote for the customer, e.g. "repuesto 21590 + mano de obra 1200"
+   * @param {Object} quote - From quote()
+   * @param {string} language - Language code
+   * @returns {string} Empty when the total is just the part price
+   */
+  describe(quote, language) {
+    if (!quote || (quote.labour === 0 && quote.discount === 0)) return '';
+
+    return languageService.getLocale(language).products.breakdown({
+      part: quote.part,
+      labour: quote.labour,
+      discount: quote.discount,
+      promotion: quote.promotion ? this._localized(quote.promotion.label, language) : null
+    });
+  }
+
+  /**
+   * Re-read the rules file, keeping the current rules when the new ones are invalid
+   * @returns {Object} { reloaded, version, errors }
+   */
+  reload() {
+    try {
+      const rules = this._load();
+      const previousVersion = this.rules.version;
+
+      this.rules = rules;
+      this.loadedAt = new Date().toISOString();
+      this.lastReloadError = null;
+
+      console.log(`🔄 Pricing Rules reloaded: v${previousVersion} → v${rules.version}`);
+      return { reloaded: true, version: rules.version, errors: [] };
+
+    } catch (error) {
+      this.lastReloadError = error.message;
+      console.error(`❌ Pricing Rules reload rejected, keeping v${this.rules.version}:`, error.message);
+      return { reloaded: false, version: this.rules.version, errors: error.errors || [error.message] };
+    }
+  }
+
+  /**
+   * Validate a rules object
+   * @param {Object} rules - Parsed rules
+   * @returns {Array<string>} Validation errors (empty when valid)
+   */
+  validate(rules) {
+    const errors = [];
+    const isAmount = value => typeof value === 'number' && value >= 0;
+    const isText = value => typeof value === 'string' && value.trim().length > 0;
+
+    if (!rules || typeof rules !== 'object') return ['rules must be an object'];
+
+    if (rules.schema_version !== SUPPORTED_SCHEMA_VERSION) {
+      errors.push(`schema_version must be ${SUPPORTED_SCHEMA_VERSION}`);
+    }
+    if (!Number.isInteger(rules.version) || rules.version < 1) {
+      errors.push('version must be a positive integer');
+    }
+    if (!isText(rules.currency)) errors.push('currency is required');
+
+    const labour = rules.labour || {};
+    if (!isAmount(labour.default)) errors.push('labour.default must be a non-negative amount');
+    if (!labour.categories || typeof labour.categories !== 'object') {
+      errors.push('labour.categories must map part categories to amounts');
+    } else {
+      for (const [category, amount] of Object.entries(labour.categories)) {
+        if (!isAmount(amount)) errors.push(`labour.categories.${category} must be a non-negative amount`);
+      }
+    }
+
+    if (!rules.exclude || typeof rules.exclude !== 'object') {
+      errors.push('exclude must map reasons to lists of name prefixes');
+    } else {
+      for (const [reason, terms] of Object.entries(rules.exclude)) {
+        if (!Array.isArray(terms) || !terms.every(isText)) errors.push(`exclude.${reason} must be a list of name prefixes`);
+      }
+    }
+
+    const rounding = rules.rounding || {};
+    if (!Number.isInteger(rounding.step) || rounding.step < 1) errors.push('rounding.step must be a positive integer');
+    if (!ROUNDING_MODES.includes(rounding.mode)) errors.push(`rounding.mode must be one of ${ROUNDING_MODES.join(', ')}`);
+
+    if (!Array.isArray(rules.promotions)) {
+      errors.push('promotions must be a list');
+    } else {
+      const ids = new Set();
+      rules.promotions.forEach((promotion, index) => {
+        const where = `promotions[${index}]`;
+        if (!isText(promotion.id)) errors.push(`${where}.id is required`);
+        if (ids.has(promotion.id)) errors.push(`${where}.id "${promotion.id}" is duplicated`);
+        ids.add(promotion.id);
+
+        if (!promotion.label || !isText(promotion.label[languageService.defaultLanguage])) {
+          errors.push(`${where}.label.${languageService.defaultLanguage} is required`);
+        }
+        if ((promotion.percent === undefined) === (promotion.amount === undefined)) {
+          errors.push(`${where} needs either percent or amount`);
+        }
+        if (promotion.percent !== undefined && !(isAmount(promotion.percent) && promotion.percent <= 100)) {
+          errors.push(`${where}.percent must be between 0 and 100`);
+        }
+        if (promotion.amount !== undefined && !isAmount(promotion.amount)) {
+          errors.push(`${where}.amount must be a non-negative amount`);
+        }
+        if (!['labour', 'total'].includes(promotion.applies_to)) {
+          errors.push(`${where}.applies_to must be labour or total`);
+        }
+        for (const field of ['starts', 'ends']) {
+          if (promotion[field] !== undefined && !DATE.test(promotion[field])) errors.push(`${where}.${field} must be YYYY-MM-DD`);
+        }
+        for (const field of ['categories', 'brands']) {
+          if (promotion[field] !== undefined && !(Array.isArray(promotion[field]) && promotion[field].every(isText))) {
+            errors.push(`${where}.${field} must be a list`);
+          }
+        }
+      });
+    }
+
+    return errors;
+  }
+
+  /**
+   * Get service health status
+   */
+  getHealthStatus() {
+    const today = this._today(new Date());
+
+    return {
+      version: this.rules.version,
+      currency: this.rules.currency,
+      active_promotions: this.rules.promotions.filter(promotion => this._isRunning(promotion, today)).map(promotion => promotion.id),
+      loaded_at: this.loadedAt,
+      last_reload_error: this.lastReloadError
+    };
+  }
+
+  /**
+   * Running promotion for this row that takes the most off
+   * @private
+   */
+  _bestPromotion(category, item, labour, subtotal, date) {
+    const today = this._today(date);
+    const brand = item.brand === undefined ? catalogParser.parse(item.name).brand : item.brand;
+    let best = null;
+
+    for (const promotion of this.rules.promotions) {
+      if (!this._isRunning(promotion, today)) continue;
+      if (promotion.categories && !promotion.categories.includes(category)) continue;
+      if (promotion.brands && !promotion.brands.some(name => name.toLowerCase() === (brand || '').toLowerCase())) continue;
+
+      const base = promotion.applies_to === 'labour' ? labour : subtotal;
+      const discount = Math.min(base, promotion.percent !== undefined ? Math.round(base * promotion.percent / 100) : promotion.amount);
+
+      if (discount > 0 && (!best || discount > best.discount)) best = { ...promotion, discount };
+    }
+
+    return best;
+  }
+
+  /**
+   * @private
+   */
+  _isRunning(promotion, today) {
+    return (!promotion.starts || promotion.starts <= today) && (!promotion.ends || today <= promotion.ends);
+  }
+
+  /**
+   * Date in the shop's time zone as YYYY-MM-DD
+   * @private
+   */
+  _today(date) {
+    return new Intl.DateTimeFormat('en-CA', {
+      timeZone: businessProfileService.getProfile().business.timezone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit'
+    }).format(date);
+  }
+
+  /**
+   * @private
+   */
+  _round(amount) {
+    const { step, mode } = this.rules.rounding;
+    const round = mode === 'up' ? Math.ceil : mode === 'down' ? Math.floor : Math.round;
+    return round(amount / step) * step;
+  }
+
+  /**
+   * @private
+   */
+  _normalize(productName) {
+    return (productName || '')
+      .toLowerCase()
+      .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+      .replace(/[^a-z0-9]+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * @private
+   */
+  _localized(texts, language) {
+    return texts[languageService.getLocale(language).code] || texts[languageService.defaultLanguage];
+  }
+
+  /**
+   * @private
+   */
+  _load() {
+    let rules;
+    try {
+      rules = JSON.parse(fs.readFileSync(this.rulesPath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Cannot read pricing rules ${this.rulesPath}: ${error.message}`);
+    }
+
+    const errors = this.validate(rules);
+    if (errors.length > 0) {
+      const error = new Error(`Invalid pricing rules: ${errors.join('; ')}`);
+      error.errors = errors;
+      throw error;
+    }
+
+    return rules;
+  }
+
+  /**
+   * Poll the file so edits apply without a restart; unref'd so it never keeps the process alive
+   * @private
+   */
+  _watch() {
+    try {
+      const watcher = fs.watchFile(this.rulesPath, { interval: this.reloadIntervalMs }, (current, previous) => {
+        if (current.mtimeMs !== previous.mtimeMs) this.reload();
+      });
+      watcher.unref();
+    } catch (error) {
+      console.error('⚠️ Pricing rules hot reload disabled:', error.message);
+    }
+  }
+}
+
+module.exports = new QuoteService();
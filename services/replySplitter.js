@@ -0,0 +1,197 @@
+// GSM 03.38 basic character set (1 septet each)
+const GSM7_BASIC = new Set(Array.from(
+  '@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !"#¤%&\'()*+,-./0123456789:;<=>?' +
+  '¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà'
+));
+// GSM 03.38 extension table (escape + char = 2 septets)
+const GSM7_EXTENDED = new Set(Array.from('^{}\\[~]|€\f'));
+
+// Emoji pictographs, flags, skin tones, variation selectors and joiners
+const EMOJI_PATTERN = /(?:\p{Extended_Pictographic}|\p{Regional_Indicator}|\u{FE0F}|\u{200D}|[\u{1F3FB}-\u{1F3FF}])/gu;
+const BULLET_PATTERN = /^\s*(?:[•\-*▪◦·]|\d+[.)])\s+/;
+
+class ReplySplitter {
+  constructor() {
+    // Pause between chunks so they arrive (and display) in order; 0 sends them back to back
+    const chunkDelay = parseInt(process.env.REPLY_CHUNK_DELAY_MS, 10);
+    this.chunkDelayMs = isNaN(chunkDelay) ? 1200 : chunkDelay;
+
+    console.log(`✂️ Reply Splitter initialized (chunk delay ${this.chunkDelayMs}ms)`);
+  }
+
+  /**
+   * Split a reply into messages at paragraph, then bullet/line, then word boundaries
+   * @param {string} text - Reply text
+   * @param {Object} options - { maxLength, maxListItems, maxSegments }
+   *   maxSegments limits each chunk to that many SMS segments
+   * @returns {Array<string>} Chunks, in order
+   */
+  split(text, options = {}) {
+    const fits = chunk => this._fits(chunk, options);
+    const paragraphs = (text || '')
+      .split(/\n[ \t]*\n/)
+      .map(paragraph => paragraph.trim())
+      .filter(Boolean);
+
+    const chunks = [];
+    let current = '';
+
+    const flush = () => {
+      if (current) chunks.push(current);
+      current = '';
+    };
+
+    for (const paragraph of paragraphs) {
+      const candidate = current ? `${current}\n\n${paragraph}` : paragraph;
+
+      if (fits(candidate) && this._listItems(candidate) <= (options.maxListItems || Infinity)) {
+        current = candidate;
+        continue;
+      }
+
+      if (fits(paragraph) && this._listItems(paragraph) <= (options.maxListItems || Infinity)) {
+        flush();
+        current = paragraph;
+        continue;
+      }
+
+      // Paragraph too long (usually a price list): pack it line by line,
+      // so its intro stays in the same message as the first items
+      current = '';
+      for (const part of this._splitLines(candidate, options)) {
+        flush();
+        current = part.trim();
+      }
+    }
+
+    flush();
+    return chunks;
+  }
+
+  /**
+   * Count SMS segments the way carriers bill them
+   * @param {string} text - Message text
+   * @returns {Object} { encoding: 'GSM-7'|'UCS-2', units, segments, non_gsm_chars }
+   */
+  countSmsSegments(text) {
+    const chars = Array.from(text || '');
+    const nonGsm = chars.filter(char => !GSM7_BASIC.has(char) && !GSM7_EXTENDED.has(char));
+
+    if (nonGsm.length === 0) {
+      const septets = chars.reduce((total, char) => total + (GSM7_EXTENDED.has(char) ? 2 : 1), 0);
+      return {
+        encoding: 'GSM-7',
+        units: septets,
+        segments: septets === 0 ? 0 : septets <= 160 ? 1 : Math.ceil(septets / 153),
+        non_gsm_chars: []
+      };
+    }
+
+    // UCS-2 counts UTF-16 code units, so most emojis cost two
+    const units = (text || '').length;
+    return {
+      encoding: 'UCS-2',
+      units,
+      segments: units <= 70 ? 1 : Math.ceil(units / 67),
+      non_gsm_chars: Array.from(new Set(nonGsm)).slice(0, 10)
+    };
+  }
+
+  /**
+   * Remove emojis and tidy the whitespace they leave behind
+   * @param {string} text - Text
+   * @returns {string}
+   */
+  stripEmojis(text) {
+    return (text || '')
+      .replace(EMOJI_PATTERN, '')
+      .replace(/[ \t]{2,}/g, ' ')
+      .replace(/^[ \t]+|[ \t]+$/gm, '');
+  }
+
+  /**
+   * Wait between two chunks
+   */
+  async pause() {
+    await new Promise(resolve => setTimeout(resolve, this.chunkDelayMs));
+  }
+
+  /**
+   * Pack the lines of one paragraph, keeping at most maxListItems bullets per chunk
+   * @private
+   */
+  _splitLines(paragraph, options) {
+    const parts = [];
+    let current = '';
+
+    const lines = paragraph.split('\n').flatMap(line =>
+      this._fits(line, options) ? [line] : this._splitWords(line, options)
+    );
+
+    for (const line of lines) {
+      const candidate = current ? `${current}\n${line}` : line;
+      const tooManyItems = this._listItems(candidate) > (options.maxListItems || Infinity);
+
+      if (current && (!this._fits(candidate, options) || tooManyItems)) {
+        parts.push(current);
+        current = line;
+      } else {
+        current = candidate;
+      }
+    }
+
+    if (current) parts.push(current);
+    return parts;
+  }
+
+  /**
+   * Split a single over-long line at spaces, cutting words only as a last resort
+   * @private
+   */
+  _splitWords(line, options) {
+    const parts = [];
+    let current = '';
+
+    for (const word of line.split(' ')) {
+      const candidate = current ? `${current} ${word}` : word;
+
+      if (this._fits(candidate, options)) {
+        current = candidate;
+        continue;
+      }
+
+      if (current) parts.push(current);
+      current = word;
+
+      while (!this._fits(current, options)) {
+        // Cut between code points so an emoji is never split into lone surrogates
+        const chars = Array.from(current);
+        let cut = Math.max(chars.length - 1, 1);
+        while (cut > 1 && !this._fits(chars.slice(0, cut).join(''), options)) cut--;
+        parts.push(chars.slice(0, cut).join(''));
+        current = chars.slice(cut).join('');
+      }
+    }
+
+    if (current) parts.push(current);
+    return parts;
+  }
+
+  /**
+   * @private
+   */
+  _fits(text, options) {
+    if (options.maxLength && text.length > options.maxLength) return false;
+    if (options.maxSegments && this.countSmsSegments(text).segments > options.maxSegments) return false;
+    return true;
+  }
+
+  /**
+   * @private
+   */
+  _listItems(text) {
+    return text.split('\n').filter(line => BULLET_PATTERN.test(line)).length;
+  }
+}
+
+module.exports = new ReplySplitter();
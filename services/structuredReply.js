@@ -0,0 +1,210 @@
+const languageService = require('./languageService');
+
+const PARTS = ['pantalla', 'batería', 'cámara', 'carga', 'altavoz', 'micrófono', 'vidrio', 'flex', 'agua', 'otro', 'ninguno'];
+const INTENTS = ['greeting', 'price_inquiry', 'booking', 'order_status', 'complaint', 'other'];
+const URGENCIES = ['none', 'low', 'medium', 'high'];
+
+/**
+ * JSON schema of the generate stage result (OpenAI structured outputs, strict mode:
+ * every property is required, optional values are nullable)
+ */
+const REPLY_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  required: [
+    'customer_response', 'device_brand', 'device_model', 'part', 'quality_chosen',
+    'intent', 'urgency', 'language', 'needs_human', 'quoted_items'
+  ],
+  properties: {
+    customer_response: { type: 'string' },
+    device_brand: { type: ['string', 'null'] },
+    device_model: { type: ['string', 'null'] },
+    part: { type: ['string', 'null'], enum: [...PARTS, null] },
+    quality_chosen: { type: ['string', 'null'] },
+    intent: { type: 'string', enum: INTENTS },
+    urgency: { type: 'string', enum: URGENCIES },
+    language: { type: 'string' }, // ISO 639-1, checked in parse()
+    needs_human: { type: 'boolean' },
+    quoted_items: {
+      type: 'array',
+      items: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['catalog_id', 'price'],
+        properties: {
+          catalog_id: { type: 'string' },
+          price: { type: ['number', 'null'] }
+        }
+      }
+    }
+  }
+};
+
+class StructuredReplyService {
+  constructor() {
+    this.schema = REPLY_SCHEMA;
+    // Extra model calls allowed to fix invalid JSON before falling back to heuristics
+    const maxRepairs = parseInt(process.env.STRUCTURED_OUTPUT_MAX_REPAIRS, 10);
+    this.maxRepairAttempts = isNaN(maxRepairs) ? 1 : maxRepairs;
+  }
+
+  /**
+   * response_format parameter for chat.completions.create
+   */
+  getResponseFormat() {
+    return {
+      type: 'json_schema',
+      json_schema: { name: 'customer_reply', strict: true, schema: this.schema }
+    };
+  }
+
+  /**
+   * Parse and validate raw model output
+   * @param {string} raw - Message content returned by the model
+   * @returns {Object} { valid, value, errors, repaired }
+   */
+  parse(raw) {
+    let value;
+    let repaired = false;
+
+    try {
+      value = JSON.parse(raw);
+    } catch (error) {
+      const cleaned = this._repairJson(raw);
+      try {
+        value = JSON.parse(cleaned);
+        repaired = true;
+      } catch (repairError) {
+        return { valid: false, value: null, errors: [`Invalid JSON: ${error.message}`], repaired: false };
+      }
+    }
+
+    const errors = this.validate(value);
+
+    // Constraints strict mode does not accept in the schema itself
+    if (errors.length === 0) {
+      if (!value.customer_response.trim()) errors.push('$.customer_response: must not be empty');
+      if (!/^[a-z]{2}$/.test(value.language)) errors.push('$.language: expected an ISO 639-1 code like "es"');
+    }
+
+    return { valid: errors.length === 0, value, errors, repaired };
+  }
+
+  /**
+   * Validate a value against the reply schema
+   * @param {*} value - Parsed model output
+   * @param {Object} schema - Schema node (defaults to the reply schema)
+   * @param {string} path - JSON path used in error messages
+   * @returns {Array<string>} Validation errors (empty when valid)
+   */
+  validate(value, schema = this.schema, path = '$') {
+    const errors = [];
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    const actualType = value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value;
+
+    if (!types.includes(actualType)) {
+      return [`${path}: expected ${types.join('|')}, got ${actualType}`];
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+      errors.push(`${path}: ${JSON.stringify(value)} is not one of ${schema.enum.filter(v => v !== null).join(', ')}`);
+    }
+
+    if (actualType === 'object' && schema.properties) {
+      for (const key of schema.required || []) {
+        if (!(key in value)) errors.push(`${path}.${key}: missing`);
+      }
+      for (const [key, child] of Object.entries(value)) {
+        if (schema.properties[key]) {
+          errors.push(...this.validate(child, schema.properties[key], `${path}.${key}`));
+        } else if (schema.additionalProperties === false) {
+          errors.push(`${path}.${key}: unexpected property`);
+        }
+      }
+    }
+
+    if (actualType === 'array' && schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...this.validate(item, schema.items, `${path}[${index}]`));
+      });
+    }
+
+    return errors;
+  }
+
+  /**
+   * Message asking the model to fix its previous output
+   * @param {Array<string>} errors - Validation errors
+   * @param {string} language - Language of the prompt
+   * @returns {string}
+   */
+  buildRepairPrompt(errors, language) {
+    return languageService.getLocale(language).jsonRepair(errors.slice(0, 10).map(e => `- ${e}`).join('\n'));
+  }
+
+  /**
+   * Map a validated reply to the classification used by tags, CRM and memory
+   * @param {Object} reply - Valid structured reply
+   * @param {Array<Object>} matchedProducts - Products offered to the model, in reference order
+   * @returns {Object} Classification
+   */
+  toClassification(reply, matchedProducts = []) {
+    const quotedItems = reply.quoted_items.map(item => {
+      const product = this._resolveCatalogRef(item.catalog_id, matchedProducts);
+      return {
+        catalog_id: product ? product._productId || item.catalog_id : item.catalog_id,
+        name: product ? product.Prod || null : null,
+        price: item.price,
+        in_catalog: !!product
+      };
+    });
+
+    return {
+      device_brand: reply.device_brand || 'unknown',
+      device_model: reply.device_model || 'unknown',
+      service_type: reply.intent === 'greeting' ? 'saludo' : (reply.part && reply.part !== 'ninguno' ? reply.part : 'consulta general'),
+      part: reply.part,
+      quality_chosen: reply.quality_chosen,
+      intent: reply.intent,
+      urgency: reply.urgency,
+      language: reply.language,
+      needs_human: reply.needs_human,
+      quoted_items: quotedItems,
+      confidence: 'high',
+      is_greeting: reply.intent === 'greeting',
+      source: 'structured',
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Catalog references in the prompt are P1..Pn, in matchedProducts order
+   * @private
+   */
+  _resolveCatalogRef(ref, matchedProducts) {
+    const match = /^\[?P(\d+)\]?$/i.exec(String(ref).trim());
+    if (match) return matchedProducts[parseInt(match[1], 10) - 1] || null;
+
+    return matchedProducts.find(product => product._productId === ref) || null;
+  }
+
+  /**
+   * Common near-JSON mistakes: code fences, surrounding prose, trailing commas
+   * @private
+   */
+  _repairJson(raw) {
+    let text = String(raw || '').trim();
+
+    text = text.replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+
+    const start = text.indexOf('{');
+    const end = text.lastIndexOf('}');
+    if (start !== -1 && end > start) {
+      text = text.slice(start, end + 1);
+    }
+
+    return text.replace(/,\s*([}\]])/g, '$1');
+  }
+}
+
+module.exports = new StructuredReplyService();
@@ -7,8 +7,8 @@ class SimplifiedTagService {
     
     // ONLY brand tags (as client requested)
     this.brandTags = {
-      'iphone': 'iPhone',
-      'apple': 'iPhone', 
+      'iphone': 'Apple',
+      'apple': 'Apple',
       'samsung': 'Samsung',
       'galaxy': 'Samsung',
       'huawei': 'Huawei',
@@ -48,14 +48,14 @@ class SimplifiedTagService {
       'táctil': 'Pantalla',
       'touch': 'Pantalla',
       
-      'bateria': 'Batería',
-      'batería': 'Batería',
-      'battery': 'Batería',
+      'bateria': 'Bateria',
+      'batería': 'Bateria',
+      'battery': 'Bateria',
       
-      'camara': 'Cámara',
-      'cámara': 'Cámara',
-      'camera': 'Cámara',
-      'lente': 'Cámara',
+      'camara': 'Camara',
+      'cámara': 'Camara',
+      'camera': 'Camara',
+      'lente': 'Camara',
       
       'carga': 'Carga',
       'charging': 'Carga',
@@ -71,6 +71,10 @@ class SimplifiedTagService {
       'audio': 'Altavoz',
       'sonido': 'Altavoz',
       
+      'microfono': 'Microfono',
+      'micrófono': 'Microfono',
+      'microphone': 'Microfono',
+      
       'vidrio': 'Vidrio',
       'glass': 'Vidrio',
       'cristal': 'Vidrio',
@@ -0,0 +1,171 @@
+const fs = require('fs');
+const crypto = require('crypto');
+
+const SUPPORTED_SCHEMA_VERSION = 1;
+const BYTES_PER_FLOAT = 4;
+
+/**
+ * On-disk embedding cache in two files next to each other:
+ *
+ *   <base>.bin   every vector as Float32 (platform byte order, little-endian in practice), back to back
+ *   <base>.json  manifest: { schema_version, provider, model, dimension, count, checksum, hashes }
+ *
+ * Vectors are keyed by a hash of the text that was embedded, so reordering or
+ * renaming catalog rows never pairs a product with another product's vector. The
+ * whole cache is discarded when the embedding model or provider changes.
+ */
+class VectorCache {
+  /**
+   * @param {string} basePath - Path without extension
+   * @param {Object} options
+   * @param {string} options.provider - LLM provider name
+   * @param {string} options.model - Embedding model name
+   */
+  constructor(basePath, options = {}) {
+    this.dataFile = `${basePath}.bin`;
+    this.manifestFile = `${basePath}.json`;
+    this.provider = options.provider;
+    this.model = options.model;
+  }
+
+  /**
+   * Key of an embedded text
+   * @param {string} text - Text that was embedded
+   * @returns {string} sha256 hex digest
+   */
+  static hash(text) {
+    return crypto.createHash('sha256').update(text, 'utf8').digest('hex');
+  }
+
+  /**
+   * Read the cache; a missing, corrupt or other-model cache reads as empty
+   * @returns {Map<string, Float32Array>} hash -> vector
+   */
+  load() {
+    const vectors = new Map();
+    if (!fs.existsSync(this.manifestFile)) return vectors;
+
+    try {
+      const manifest = JSON.parse(fs.readFileSync(this.manifestFile, 'utf8'));
+
+      if (Array.isArray(manifest)) {
+        console.log(`🔄 ${this.manifestFile} is an old JSON vector cache, discarded`);
+        return vectors;
+      }
+      if (manifest.provider !== this.provider || manifest.model !== this.model) {
+        console.log(`🔄 Embedding model changed (${manifest.provider}/${manifest.model} → ${this.provider}/${this.model}), vector cache discarded`);
+        return vectors;
+      }
+
+      const data = fs.readFileSync(this.dataFile);
+      const errors = this.validate(manifest, data);
+      if (errors.length > 0) {
+        console.error(`❌ Invalid vector cache ${this.manifestFile}, discarded: ${errors.join('; ')}`);
+        return vectors;
+      }
+
+      // Copied out of the read buffer, which is not guaranteed to be 4-byte aligned
+      const floats = new Float32Array(data.buffer.slice(data.byteOffset, data.byteOffset + data.length));
+
+      manifest.hashes.forEach((hash, index) => {
+        vectors.set(hash, floats.subarray(index * manifest.dimension, (index + 1) * manifest.dimension));
+      });
+
+      console.log(`✅ Loaded ${vectors.size} vectors from cache (${manifest.model}, ${manifest.dimension} dims)`);
+    } catch (error) {
+      console.error('❌ Vector cache error:', error.message);
+    }
+
+    return vectors;
+  }
+
+  /**
+   * Write the cache; each file is renamed into place, and a data file left without
+   * its manifest by a crash fails the checksum and reads as empty
+   * @param {Map<string, Array<number>|Float32Array>} vectors - hash -> vector
+   */
+  save(vectors) {
+    const entries = Array.from(vectors.entries());
+    const dimension = entries.length > 0 ? entries[0][1].length : 0;
+    const valid = entries.filter(([, vector]) => vector.length === dimension);
+
+    if (valid.length < entries.length) {
+      console.error(`⚠️ ${entries.length - valid.length} vectors with a dimension other than ${dimension} not cached`);
+    }
+
+    const floats = new Float32Array(valid.length * dimension);
+    valid.forEach(([, vector], index) => floats.set(vector, index * dimension));
+    const data = Buffer.from(floats.buffer);
+
+    const manifest = {
+      schema_version: SUPPORTED_SCHEMA_VERSION,
+      provider: this.provider,
+      model: this.model,
+      dimension,
+      count: valid.length,
+      checksum: this._checksum(data),
+      saved_at: new Date().toISOString(),
+      hashes: valid.map(([hash]) => hash)
+    };
+
+    try {
+      fs.writeFileSync(`${this.dataFile}.tmp`, data);
+      fs.renameSync(`${this.dataFile}.tmp`, this.dataFile);
+      fs.writeFileSync(`${this.manifestFile}.tmp`, JSON.stringify(manifest));
+      fs.renameSync(`${this.manifestFile}.tmp`, this.manifestFile);
+      console.log(`💾 Vector cache saved (${valid.length} vectors, ${(floats.byteLength / 1024 / 1024).toFixed(1)} MB)`);
+    } catch (error) {
+      console.error('⚠️ Failed to save vector cache:', error.message);
+    }
+  }
+
+  /**
+   * Validate a manifest against its data file
+   * @param {Object} manifest - Parsed manifest
+   * @param {Buffer} data - Content of the .bin file
+   * @returns {Array<string>} Validation errors (empty when valid)
+   */
+  validate(manifest, data) {
+    const errors = [];
+
+    if (!manifest || typeof manifest !== 'object') return ['manifest must be an object'];
+
+    if (manifest.schema_version !== SUPPORTED_SCHEMA_VERSION) {
+      errors.push(`schema_version must be ${SUPPORTED_SCHEMA_VERSION}`);
+    }
+    if (!Number.isInteger(manifest.dimension) || manifest.dimension < 0) {
+      errors.push('dimension must be a non-negative integer');
+    }
+    if (!Array.isArray(manifest.hashes) || manifest.hashes.length !== manifest.count) {
+      errors.push('hashes must list one hash per vector');
+    } else {
+      if (!manifest.hashes.every(hash => /^[0-9a-f]{64}$/.test(hash))) errors.push('hashes must be sha256 hex digests');
+      if (new Set(manifest.hashes).size !== manifest.hashes.length) errors.push('hashes must be unique');
+    }
+    if (errors.length === 0 && data.length !== manifest.count * manifest.dimension * BYTES_PER_FLOAT) {
+      errors.push(`data file has ${data.length} bytes, expected ${manifest.count * manifest.dimension * BYTES_PER_FLOAT}`);
+    } else if (errors.length === 0 && manifest.checksum !== this._checksum(data)) {
+      errors.push('data file does not match the manifest checksum');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Delete both files
+   */
+  clear() {
+    for (const file of [this.dataFile, this.manifestFile]) {
+      fs.rmSync(file, { force: true });
+    }
+  }
+
+  /**
+   * @private
+   */
+  _checksum(data) {
+    return crypto.createHash('sha256').update(data).digest('hex');
+  }
+}
+
+module.exports = VectorCache;
@@ -0,0 +1,295 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+class WebhookSecurityService {
+  constructor() {
+    // HighLevel signs marketplace webhooks with its public key (RSA in x-wh-signature, Ed25519 in x-ghl-signature)
+    this.publicKey = this._loadPublicKey(process.env.GHL_WEBHOOK_PUBLIC_KEY);
+    // Shared secret for webhooks relayed by our own workflows/proxies (HMAC-SHA256 in x-webhook-signature)
+    this.secret = process.env.GHL_WEBHOOK_SECRET || null;
+
+    this.replayWindowMs = parseInt(process.env.WEBHOOK_REPLAY_WINDOW_MS, 10) || 5 * 60 * 1000; // 5 minutes
+    // Signed webhooks always need a timestamp; this also requires one from unsigned ones
+    this.requireTimestamp = process.env.WEBHOOK_REQUIRE_TIMESTAMP === 'true';
+    // Without a key or secret every webhook is rejected, unless unsigned ones are explicitly allowed (local development)
+    this.allowUnsigned = process.env.WEBHOOK_ALLOW_UNSIGNED === 'true';
+
+    // Append-only log of accepted message IDs, rewritten once it holds mostly expired or repeated lines
+    this.dedupFile = process.env.WEBHOOK_DEDUP_FILE || path.join(__dirname, '..', 'webhook-dedup.log');
+    this.dedupTtl = 7 * 24 * 60 * 60 * 1000; // GHL retries for far less than 7 days
+    this.maxDedupEntries = 50000;
+    this.compactionThreshold = 1000; // Stale log lines before the log is rewritten
+    this.dedupLogLines = 0;
+    this.seenMessages = this._loadDedupStore(); // messageId -> first seen timestamp
+    this._pruneDedupStore();
+    if (this.dedupLogLines > this.seenMessages.size) this._compactDedupStore();
+
+    if (!this.isEnforced()) {
+      console.log(this.allowUnsigned
+        ? '⚠️ Webhook Security Service: WEBHOOK_ALLOW_UNSIGNED=true, signatures NOT verified'
+        : '⚠️ Webhook Security Service: no GHL_WEBHOOK_PUBLIC_KEY or GHL_WEBHOOK_SECRET, every webhook will be rejected');
+    } else {
+      console.log(`🔐 Webhook Security Service initialized (${[this.publicKey && 'public key', this.secret && 'secret'].filter(Boolean).join(' + ')})`);
+    }
+  }
+
+  /**
+   * Check whether signature verification is configured
+   * @returns {boolean}
+   */
+  isEnforced() {
+    return !!(this.publicKey || this.secret);
+  }
+
+  /**
+   * Verify the webhook signature against the raw request body
+   * @param {Buffer} rawBody - Unparsed request body
+   * @param {Object} headers - Request headers (lower-cased by Express)
+   * @returns {Object} { valid, method, reason }
+   */
+  verifySignature(rawBody, headers) {
+    if (!this.isEnforced()) {
+      return this.allowUnsigned
+        ? { valid: true, method: 'none' }
+        : { valid: false, reason: 'No webhook public key or secret configured' };
+    }
+
+    if (!rawBody || rawBody.length === 0) {
+      return { valid: false, reason: 'Empty body' };
+    }
+
+    try {
+      const ghlSignature = headers['x-ghl-signature'];
+      const whSignature = headers['x-wh-signature'];
+      const hmacSignature = headers['x-webhook-signature'];
+
+      if (this.publicKey && ghlSignature && this.publicKey.asymmetricKeyType === 'ed25519') {
+        const valid = crypto.verify(null, rawBody, this.publicKey, Buffer.from(ghlSignature, 'base64'));
+        return valid ? { valid, method: 'ed25519' } : { valid, reason: 'Invalid x-ghl-signature' };
+      }
+
+      if (this.publicKey && whSignature && this.publicKey.asymmetricKeyType === 'rsa') {
+        const verifier = crypto.createVerify('sha256');
+        verifier.update(rawBody);
+        verifier.end();
+        const valid = verifier.verify(this.publicKey, whSignature, 'base64');
+        return valid ? { valid, method: 'rsa-sha256' } : { valid, reason: 'Invalid x-wh-signature' };
+      }
+
+      if (this.secret && hmacSignature) {
+        const expected = crypto.createHmac('sha256', this.secret).update(rawBody).digest('hex');
+        const received = hmacSignature.replace(/^sha256=/, '');
+        const valid = received.length === expected.length &&
+          crypto.timingSafeEqual(Buffer.from(received), Buffer.from(expected));
+        return valid ? { valid, method: 'hmac-sha256' } : { valid, reason: 'Invalid x-webhook-signature' };
+      }
+
+      return { valid: false, reason: 'Missing signature header' };
+
+    } catch (error) {
+      return { valid: false, reason: `Signature check failed: ${error.message}` };
+    }
+  }
+
+  /**
+   * Reject requests whose timestamp is outside the replay window.
+   * A timestamp is mandatory whenever signatures are enforced, or a captured request could be replayed forever.
+   * @param {Object} body - Parsed request body
+   * @param {Object} headers - Request headers
+   * @param {number} now - Current timestamp (ms)
+   * @returns {Object} { valid, reason, timestamp }
+   */
+  checkTimestamp(body, headers, now = Date.now()) {
+    const timestamp = this._extractTimestamp(body, headers);
+
+    if (timestamp === null) {
+      return this.requireTimestamp || this.isEnforced()
+        ? { valid: false, reason: 'Missing timestamp' }
+        : { valid: true, timestamp: null };
+    }
+
+    const skew = Math.abs(now - timestamp);
+    if (skew > this.replayWindowMs) {
+      return {
+        valid: false,
+        timestamp,
+        reason: `Timestamp outside replay window (${Math.round(skew / 1000)}s old)`
+      };
+    }
+
+    return { valid: true, timestamp };
+  }
+
+  /**
+   * Check whether a message ID was already accepted
+   * @param {string} messageId - GHL message ID
+   * @returns {boolean}
+   */
+  isDuplicate(messageId) {
+    if (!messageId) return false;
+
+    const seenAt = this.seenMessages.get(messageId);
+    return seenAt !== undefined && Date.now() - seenAt < this.dedupTtl;
+  }
+
+  /**
+   * Remember an accepted message ID
+   * @param {string} messageId - GHL message ID
+   */
+  markSeen(messageId) {
+    if (!messageId) return;
+
+    const seenAt = Date.now();
+    this.seenMessages.delete(messageId); // An expired ID seen again moves to the end
+    this.seenMessages.set(messageId, seenAt);
+    this._appendDedupEntry(messageId, seenAt);
+    this._pruneDedupStore();
+
+    if (this.dedupLogLines - this.seenMessages.size >= this.compactionThreshold) {
+      this._compactDedupStore();
+    }
+  }
+
+  /**
+   * Get service health status
+   */
+  getHealthStatus() {
+    return {
+      signature_verification: this.isEnforced() ? 'enforced' : (this.allowUnsigned ? 'disabled' : 'rejecting'),
+      public_key_type: this.publicKey ? this.publicKey.asymmetricKeyType : null,
+      has_secret: !!this.secret,
+      replay_window_ms: this.replayWindowMs,
+      require_timestamp: this.requireTimestamp || this.isEnforced(),
+      dedup_entries: this.seenMessages.size
+    };
+  }
+
+  /**
+   * Timestamp from headers or from the (signed) payload, in ms
+   * @private
+   */
+  _extractTimestamp(body, headers) {
+    const candidates = [
+      headers['x-ghl-timestamp'],
+      headers['x-wh-timestamp'],
+      headers['x-webhook-timestamp'],
+      body && body.timestamp
+    ];
+
+    for (const candidate of candidates) {
+      if (candidate === undefined || candidate === null || candidate === '') continue;
+
+      let timestamp;
+      if (/^\d+$/.test(String(candidate))) {
+        timestamp = parseInt(candidate, 10);
+        if (timestamp < 1e12) timestamp *= 1000; // Unix seconds
+      } else {
+        timestamp = Date.parse(candidate);
+      }
+
+      if (!isNaN(timestamp)) return timestamp;
+    }
+
+    return null;
+  }
+
+  /**
+   * Accepts a PEM, a base64-encoded PEM or a path to a PEM file
+   * @private
+   */
+  _loadPublicKey(value) {
+    if (!value) return null;
+
+    try {
+      let pem = value;
+      if (!pem.includes('BEGIN') && fs.existsSync(pem)) {
+        pem = fs.readFileSync(pem, 'utf8');
+      } else if (!pem.includes('BEGIN')) {
+        pem = Buffer.from(pem, 'base64').toString('utf8');
+      }
+
+      return crypto.createPublicKey(pem.replace(/\\n/g, '\n'));
+    } catch (error) {
+      console.error('❌ Invalid GHL_WEBHOOK_PUBLIC_KEY:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Replay the dedup log; a torn last line from a crash is skipped
+   * @private
+   */
+  _loadDedupStore() {
+    const entries = new Map();
+
+    try {
+      if (fs.existsSync(this.dedupFile)) {
+        for (const line of fs.readFileSync(this.dedupFile, 'utf8').split('\n')) {
+          if (!line.trim()) continue;
+          this.dedupLogLines++;
+
+          try {
+            const { id, seen_at: seenAt } = JSON.parse(line);
+            // Re-inserting keeps the Map ordered by first-seen time, as pruning expects
+            entries.delete(id);
+            entries.set(id, seenAt);
+          } catch (error) {
+            console.error('⚠️ Skipping unreadable webhook dedup entry');
+          }
+        }
+      }
+    } catch (error) {
+      console.error('⚠️ Could not load webhook dedup store:', error.message);
+    }
+
+    return entries;
+  }
+
+  /**
+   * Record one accepted message ID without rewriting the store
+   * @private
+   */
+  _appendDedupEntry(messageId, seenAt) {
+    try {
+      fs.appendFileSync(this.dedupFile, JSON.stringify({ id: messageId, seen_at: seenAt }) + '\n');
+      this.dedupLogLines++;
+    } catch (error) {
+      console.error('⚠️ Could not save webhook dedup entry:', error.message);
+    }
+  }
+
+  /**
+   * Rewrite the log with only the live entries
+   * @private
+   */
+  _compactDedupStore() {
+    try {
+      const tempFile = `${this.dedupFile}.tmp`;
+      const lines = Array.from(this.seenMessages, ([id, seenAt]) => JSON.stringify({ id, seen_at: seenAt }) + '\n');
+      fs.writeFileSync(tempFile, lines.join(''));
+      fs.renameSync(tempFile, this.dedupFile);
+      this.dedupLogLines = this.seenMessages.size;
+    } catch (error) {
+      console.error('⚠️ Could not compact webhook dedup store:', error.message);
+    }
+  }
+
+  /**
+   * Drop expired entries and cap the store size (Map keeps insertion order)
+   * @private
+   */
+  _pruneDedupStore() {
+    const now = Date.now();
+
+    for (const [messageId, seenAt] of this.seenMessages) {
+      if (now - seenAt >= this.dedupTtl || this.seenMessages.size > this.maxDedupEntries) {
+        this.seenMessages.delete(messageId);
+      } else {
+        break;
+      }
+    }
+  }
+}
+
+module.exports = new WebhookSecurityService();
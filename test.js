@@ -0,0 +1,1587 @@
+// Pipeline tests run offline against the fixture-based mock LLM provider
+process.env.LLM_PROVIDER = 'mock';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { execFileSync } = require('child_process');
+
+// Ledger records of these tests live in a temp directory, never in the repo's outbound-ledger/
+const ledgerDir = fs.mkdtempSync(path.join(os.tmpdir(), 'outbound-ledger-test-'));
+process.env.OUTBOUND_LEDGER_DIR = ledgerDir;
+
+const axios = require('axios');
+const express = require('express');
+const ContactScheduler = require('./services/contactScheduler');
+const llmProvider = require('./services/llmProvider');
+const messageProcessor = require('./messageProcessor');
+const messageDebouncer = require('./services/messageDebouncer');
+const ghlService = require('./services/ghlService');
+const faultTolerantProcessor = require('./services/faultTolerantProcessor');
+const conversationMemoryService = require('./services/conversationMemoryService');
+const outboundLedgerService = require('./services/outboundLedgerService');
+const pricingService = require('./services/pricingService');
+const aiService = require('./services/aiService');
+const catalogResponder = require('./services/catalogResponder');
+const deviceTaxonomy = require('./services/deviceTaxonomy');
+const catalogParser = require('./services/catalogParser');
+const csvReader = require('./services/csvReader');
+const quoteService = require('./services/quoteService');
+const promptRegistry = require('./services/promptRegistry');
+const businessProfileService = require('./services/businessProfileService');
+const languageService = require('./services/languageService');
+const structuredReply = require('./services/structuredReply');
+const priceGuard = require('./services/priceGuard');
+const replySplitter = require('./services/replySplitter');
+const channelAdapters = require('./services/channelAdapters');
+const VectorCache = require('./services/vectorCache');
+const QueryEmbeddingCache = require('./services/queryEmbeddingCache');
+const LexicalIndex = require('./services/lexicalIndex');
+const retrievalEval = require('./eval/retrievalEval');
+const webhookRoutes = require('./routes/webhook');
+
+// Queue journals of these tests live in temp directories, never in the repo's message-queue/
+const queueDirs = [fs.mkdtempSync(path.join(os.tmpdir(), 'message-queue-test-'))];
+process.env.QUEUE_DIR = queueDirs[0];
+const messageQueueService = require('./services/messageQueueService');
+const webhookSecurityService = require('./services/webhookSecurityService');
+
+const tests = [];
+
+function test(name, fn) {
+  tests.push({ name, fn });
+}
+
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function waitFor(condition, ms = 3000) {
+  const deadline = Date.now() + ms;
+  while (!condition()) {
+    if (Date.now() > deadline) throw new Error(`condition not met within ${ms}ms`);
+    await wait(5);
+  }
+}
+
+// ContactScheduler
+
+test('runs tasks of the same contact in FIFO order, one at a time', async () => {
+  const scheduler = new ContactScheduler({ concurrency: 4 });
+  const events = [];
+  let running = 0;
+
+  const task = (id, ms) => async () => {
+    running++;
+    assert.strictEqual(running, 1, 'two tasks of the same contact overlapped');
+    events.push(`start ${id}`);
+    await wait(ms);
+    events.push(`end ${id}`);
+    running--;
+    return id;
+  };
+
+  // Later tasks are faster, so any reordering would show up
+  const results = await Promise.all([
+    scheduler.schedule('contact_a', task(1, 30)),
+    scheduler.schedule('contact_a', task(2, 10)),
+    scheduler.schedule('contact_a', task(3, 1))
+  ]);
+
+  assert.deepStrictEqual(results, [1, 2, 3]);
+  assert.deepStrictEqual(events, ['start 1', 'end 1', 'start 2', 'end 2', 'start 3', 'end 3']);
+});
+
+test('runs different contacts in parallel', async () => {
+  const scheduler = new ContactScheduler({ concurrency: 4 });
+  let running = 0;
+  let maxRunning = 0;
+
+  const task = async () => {
+    running++;
+    maxRunning = Math.max(maxRunning, running);
+    await wait(20);
+    running--;
+  };
+
+  await Promise.all(['a', 'b', 'c'].map(key => scheduler.schedule(key, task)));
+
+  assert.strictEqual(maxRunning, 3);
+});
+
+test('never exceeds the concurrency limit', async () => {
+  const scheduler = new ContactScheduler({ concurrency: 2 });
+  let running = 0;
+  let maxRunning = 0;
+
+  const task = async () => {
+    running++;
+    maxRunning = Math.max(maxRunning, running);
+    await wait(10);
+    running--;
+  };
+
+  const keys = ['a', 'b', 'c', 'd', 'e', 'a', 'b', 'c'];
+  await Promise.all(keys.map(key => scheduler.schedule(key, task)));
+
+  assert.strictEqual(maxRunning, 2);
+  assert.deepStrictEqual(scheduler.getStats(), { concurrency: 2, running: 0, queued: 0, active_keys: 0 });
+});
+
+test('keeps per-contact order across interleaved contacts under a tight limit', async () => {
+  const scheduler = new ContactScheduler({ concurrency: 2 });
+  const seen = { a: [], b: [], c: [] };
+  const pending = [];
+
+  for (let i = 0; i < 5; i++) {
+    for (const key of Object.keys(seen)) {
+      pending.push(scheduler.schedule(key, async () => {
+        await wait(Math.floor(Math.random() * 5));
+        seen[key].push(i);
+      }));
+    }
+  }
+
+  await Promise.all(pending);
+
+  for (const key of Object.keys(seen)) {
+    assert.deepStrictEqual(seen[key], [0, 1, 2, 3, 4], `contact ${key} out of order`);
+  }
+});
+
+test('a failing task rejects its own promise and does not block the contact', async () => {
+  const scheduler = new ContactScheduler({ concurrency: 1 });
+
+  const failed = scheduler.schedule('a', async () => {
+    throw new Error('boom');
+  });
+  const next = scheduler.schedule('a', async () => 'ok');
+
+  await assert.rejects(failed, /boom/);
+  assert.strictEqual(await next, 'ok');
+  assert.strictEqual(scheduler.isBusy('a'), false);
+});
+
+// Message queue
+
+// A queue on its own journal directory (or an existing one, to simulate a restart), polling fast
+function tempQueue(settings = {}, dir = null) {
+  process.env.QUEUE_DIR = dir || fs.mkdtempSync(path.join(os.tmpdir(), 'message-queue-test-'));
+  queueDirs.push(process.env.QUEUE_DIR);
+  const queue = new messageQueueService.constructor();
+  return Object.assign(queue, { pollInterval: 10, retryBaseDelay: 10 }, settings);
+}
+
+test('replays the journal after a restart and counts the interrupted attempt', () => {
+  const first = tempQueue();
+  const interrupted = first.enqueue({ contact_id: 'contact_a', text: 'hola' });
+  first.enqueue({ contact_id: 'contact_b', text: 'precio' });
+  first._lease(first.jobs.get(interrupted)); // Crashed while the handler was running
+
+  const restarted = tempQueue({}, first.queueDir);
+  const job = restarted.jobs.get(interrupted);
+
+  assert.strictEqual(restarted.jobs.size, 2);
+  assert.deepStrictEqual(job.payload, { contact_id: 'contact_a', text: 'hola' });
+  assert.strictEqual(job.attempts, 1);
+  assert.strictEqual(job.leased_by, null);
+  assert.ok(job.visible_at <= Date.now(), 'a lease of the dead process must not delay the job');
+});
+
+test('retries failed jobs with exponential backoff and dead-letters them after the last attempt', async () => {
+  const queue = tempQueue({ maxAttempts: 3, retryBaseDelay: 20 });
+  const startedAt = [];
+
+  queue.start(async () => {
+    startedAt.push(Date.now());
+    throw new Error('GHL 500');
+  });
+  const id = queue.enqueue({ contact_id: 'contact_a' });
+
+  await waitFor(() => !queue.jobs.has(id));
+  queue.stop();
+
+  assert.strictEqual(startedAt.length, 3);
+  assert.ok(startedAt[1] - startedAt[0] >= 20 && startedAt[2] - startedAt[1] >= 40, 'retries must back off');
+
+  const dead = JSON.parse(fs.readFileSync(path.join(queue.deadLetterDir, `${id}.json`), 'utf8'));
+  assert.deepStrictEqual([dead.attempts, dead.last_error], [3, 'GHL 500']);
+  assert.strictEqual(queue.getStats().dead_letters, 1);
+});
+
+test('a handler past the visibility timeout is retried only after it settles, keeping contact order', async () => {
+  const queue = tempQueue({ visibilityTimeout: 30 });
+  const events = [];
+  let runs = 0;
+
+  queue.start(async payloads => {
+    const run = ++runs;
+    events.push(`start ${run} ${payloads[0].text}`);
+    if (run === 1) await wait(100);
+    events.push(`end ${run}`);
+  });
+  queue.enqueue({ contact_id: 'contact_a', text: 'one' });
+  queue.enqueue({ contact_id: 'contact_a', text: 'two' });
+
+  await waitFor(() => queue.jobs.size === 0);
+  queue.stop();
+
+  assert.deepStrictEqual(events, ['start 1 one', 'end 1', 'start 2 one', 'end 2', 'start 3 two', 'end 3']);
+});
+
+test('compaction rewrites the journal with only the pending jobs', () => {
+  const queue = tempQueue({ compactionThreshold: 2 });
+  const ids = ['a', 'b', 'c'].map(contact => queue.enqueue({ contact_id: contact }));
+
+  for (const id of ids.slice(0, 2)) {
+    const job = queue.jobs.get(id);
+    queue._ack(job, queue._lease(job));
+  }
+
+  const entries = fs.readFileSync(queue.journalFile, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+  assert.deepStrictEqual(entries.map(entry => [entry.op, entry.id]), [['enqueue', ids[2]]]);
+  assert.deepStrictEqual(Array.from(tempQueue({}, queue.queueDir).jobs.keys()), [ids[2]]);
+});
+
+test('a journal write failure leaves the job for redelivery instead of crashing', async () => {
+  const queue = tempQueue();
+  const unhandled = [];
+  const onUnhandled = error => unhandled.push(error);
+  const append = queue._append;
+  let failing = 'lease';
+  let runs = 0;
+
+  queue._append = function (entry) {
+    if (entry.op === failing) throw new Error('ENOSPC: no space left on device');
+    return append.call(this, entry);
+  };
+  process.on('unhandledRejection', onUnhandled);
+
+  try {
+    queue.start(async () => {
+      runs++;
+      throw new Error('GHL 500');
+    });
+    const id = queue.enqueue({ contact_id: 'contact_a' });
+    await wait(50);
+    assert.strictEqual(runs, 0);
+
+    // Lease recorded, but the failure of the run cannot be
+    failing = 'retry';
+    queue.jobs.get(id).visible_at = Date.now();
+    await waitFor(() => runs === 1);
+    await wait(20);
+
+    assert.ok(queue.jobs.has(id));
+    assert.deepStrictEqual(unhandled, []);
+  } finally {
+    queue.stop();
+    process.off('unhandledRejection', onUnhandled);
+  }
+});
+
+// Message debouncer
+
+test('a burst settles after the quiet window, or at the max wait for a customer who keeps typing', () => {
+  const debouncer = Object.assign(new messageDebouncer.constructor(), { windowMs: 4000, maxWaitMs: 15000 });
+
+  assert.strictEqual(debouncer.getSettleDelay([1000], 1000), 4000);
+  assert.strictEqual(debouncer.getSettleDelay([1000, 3000], 4000), 3000);
+  assert.strictEqual(debouncer.getSettleDelay([1000, 3000], 7000), 0);
+  assert.strictEqual(debouncer.getSettleDelay([0, 4000, 8000, 12000, 14000], 14500), 500);
+  assert.strictEqual(debouncer.getSettleDelay([], 1000), 0);
+  assert.strictEqual(Object.assign(debouncer, { windowMs: 0 }).getSettleDelay([1000], 1000), 0);
+
+  assert.strictEqual(debouncer._readMs('0', 4000), 0);
+  assert.strictEqual(debouncer._readMs('abc', 4000), 4000);
+  assert.strictEqual(debouncer._readMs('-5', 4000), 4000);
+
+  assert.strictEqual(debouncer.mergeFragments([
+    { message_type: 'text', content: 'hola' },
+    { message_type: 'text', content: 'hola' },
+    { message_type: 'audio', content: ' la pantalla del iphone 13 ' },
+    { message_type: 'image', content: '' }
+  ]), 'hola\nla pantalla del iphone 13');
+});
+
+test('the queue hands a contact\'s fragments over as one batch once the burst settles', async () => {
+  const debouncer = Object.assign(new messageDebouncer.constructor(), { windowMs: 60, maxWaitMs: 1000 });
+  const queue = tempQueue();
+  const batches = [];
+
+  queue.start(async payloads => {
+    batches.push(payloads.map(payload => payload.text));
+  }, {
+    getBatchDelay: jobs => debouncer.getSettleDelay(jobs.map(job => job.enqueued_at))
+  });
+
+  try {
+    for (const text of ['hola', 'la pantalla', 'del iphone 13']) {
+      queue.enqueue({ contact_id: 'contact_a', text });
+      await wait(15);
+    }
+    queue.enqueue({ contact_id: 'contact_b', text: 'precio bateria' });
+
+    await waitFor(() => batches.length === 2);
+    assert.deepStrictEqual(batches.sort(), [['hola', 'la pantalla', 'del iphone 13'], ['precio bateria']]);
+  } finally {
+    queue.stop();
+  }
+});
+
+// Webhook security
+
+const WEBHOOK_ENV = ['GHL_WEBHOOK_PUBLIC_KEY', 'GHL_WEBHOOK_SECRET', 'WEBHOOK_ALLOW_UNSIGNED', 'WEBHOOK_REQUIRE_TIMESTAMP', 'WEBHOOK_DEDUP_FILE'];
+const webhookDir = fs.mkdtempSync(path.join(os.tmpdir(), 'webhook-dedup-test-'));
+
+// A security service built from only the given settings, its dedup log in a temp directory
+function securityService(env = {}) {
+  const saved = WEBHOOK_ENV.map(name => [name, process.env[name]]);
+  WEBHOOK_ENV.forEach(name => delete process.env[name]);
+  Object.assign(process.env, { WEBHOOK_DEDUP_FILE: path.join(webhookDir, 'unused.log') }, env);
+
+  try {
+    return new webhookSecurityService.constructor();
+  } finally {
+    for (const [name, value] of saved) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+  }
+}
+
+const webhookBody = Buffer.from(JSON.stringify({ messageId: 'msg_1', body: 'precio pantalla iphone 13' }));
+const tamperedBody = Buffer.from(JSON.stringify({ messageId: 'msg_1', body: 'precio pantalla iphone 14' }));
+
+test('verifies Ed25519 and RSA signatures from the GHL public key and rejects tampered bodies', () => {
+  const ed25519 = crypto.generateKeyPairSync('ed25519');
+  const edService = securityService({ GHL_WEBHOOK_PUBLIC_KEY: ed25519.publicKey.export({ type: 'spki', format: 'pem' }) });
+  const edHeaders = { 'x-ghl-signature': crypto.sign(null, webhookBody, ed25519.privateKey).toString('base64') };
+
+  assert.deepStrictEqual(edService.verifySignature(webhookBody, edHeaders), { valid: true, method: 'ed25519' });
+  assert.deepStrictEqual(edService.verifySignature(tamperedBody, edHeaders), { valid: false, reason: 'Invalid x-ghl-signature' });
+
+  // Also accepted as a base64-encoded PEM
+  const rsa = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const rsaPem = rsa.publicKey.export({ type: 'spki', format: 'pem' });
+  const rsaService = securityService({ GHL_WEBHOOK_PUBLIC_KEY: Buffer.from(rsaPem).toString('base64') });
+  const rsaHeaders = { 'x-wh-signature': crypto.sign('sha256', webhookBody, rsa.privateKey).toString('base64') };
+
+  assert.deepStrictEqual(rsaService.verifySignature(webhookBody, rsaHeaders), { valid: true, method: 'rsa-sha256' });
+  assert.deepStrictEqual(rsaService.verifySignature(tamperedBody, rsaHeaders), { valid: false, reason: 'Invalid x-wh-signature' });
+  assert.deepStrictEqual(rsaService.verifySignature(webhookBody, edHeaders), { valid: false, reason: 'Missing signature header' });
+});
+
+test('verifies HMAC signatures of relayed webhooks with the shared secret', () => {
+  const service = securityService({ GHL_WEBHOOK_SECRET: 'relay-secret' });
+  const sign = (body, secret = 'relay-secret') => ({
+    'x-webhook-signature': `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`
+  });
+
+  assert.deepStrictEqual(service.verifySignature(webhookBody, sign(webhookBody)), { valid: true, method: 'hmac-sha256' });
+  assert.deepStrictEqual(service.verifySignature(tamperedBody, sign(webhookBody)), { valid: false, reason: 'Invalid x-webhook-signature' });
+  assert.strictEqual(service.verifySignature(webhookBody, sign(webhookBody, 'guessed')).valid, false);
+  assert.strictEqual(service.verifySignature(webhookBody, { 'x-webhook-signature': 'abc' }).valid, false);
+  assert.deepStrictEqual(service.verifySignature(webhookBody, {}), { valid: false, reason: 'Missing signature header' });
+  assert.deepStrictEqual(service.verifySignature(Buffer.alloc(0), sign(Buffer.alloc(0))), { valid: false, reason: 'Empty body' });
+});
+
+test('without a key or secret every webhook is rejected unless unsigned ones are allowed', () => {
+  assert.strictEqual(securityService().verifySignature(webhookBody, {}).valid, false);
+  assert.strictEqual(securityService().getHealthStatus().signature_verification, 'rejecting');
+
+  const unsigned = securityService({ WEBHOOK_ALLOW_UNSIGNED: 'true' });
+  assert.deepStrictEqual(unsigned.verifySignature(webhookBody, {}), { valid: true, method: 'none' });
+});
+
+test('signed webhooks need a timestamp inside the replay window', () => {
+  const now = Date.parse('2026-03-02T12:00:00Z');
+  const signed = securityService({ GHL_WEBHOOK_SECRET: 'relay-secret' });
+
+  assert.deepStrictEqual(signed.checkTimestamp({}, {}, now), { valid: false, reason: 'Missing timestamp' });
+  assert.ok(signed.checkTimestamp({}, { 'x-webhook-timestamp': String(now / 1000 - 60) }, now).valid, 'Unix seconds');
+  assert.ok(signed.checkTimestamp({ timestamp: new Date(now + 60 * 1000).toISOString() }, {}, now).valid, 'ISO date, small skew');
+  assert.match(signed.checkTimestamp({}, { 'x-ghl-timestamp': String(now - 6 * 60 * 1000) }, now).reason, /outside replay window/);
+
+  assert.ok(securityService({ WEBHOOK_ALLOW_UNSIGNED: 'true' }).checkTimestamp({}, {}, now).valid);
+  const strict = securityService({ WEBHOOK_ALLOW_UNSIGNED: 'true', WEBHOOK_REQUIRE_TIMESTAMP: 'true' });
+  assert.strictEqual(strict.checkTimestamp({}, {}, now).valid, false);
+});
+
+test('remembers accepted message IDs across restarts until their TTL expires', () => {
+  const file = path.join(webhookDir, 'dedup.log');
+  const logged = () => fs.readFileSync(file, 'utf8').trim().split('\n').filter(Boolean).map(line => JSON.parse(line).id);
+
+  // Expired lines are dropped when the log is loaded
+  fs.writeFileSync(file, JSON.stringify({ id: 'msg_old', seen_at: Date.now() - 8 * 24 * 60 * 60 * 1000 }) + '\n');
+  const service = securityService({ WEBHOOK_DEDUP_FILE: file });
+  assert.strictEqual(service.isDuplicate('msg_old'), false);
+  assert.deepStrictEqual(logged(), []);
+
+  service.markSeen('msg_1');
+  service.markSeen('msg_2');
+  assert.ok(service.isDuplicate('msg_1'));
+  assert.strictEqual(service.isDuplicate('msg_3'), false);
+
+  const restarted = securityService({ WEBHOOK_DEDUP_FILE: file });
+  assert.ok(restarted.isDuplicate('msg_1') && restarted.isDuplicate('msg_2'));
+
+  // Past the TTL the ID is accepted again; the repeated line triggers a rewrite
+  restarted.seenMessages.set('msg_1', Date.now() - restarted.dedupTtl);
+  assert.strictEqual(restarted.isDuplicate('msg_1'), false);
+
+  restarted.compactionThreshold = 1;
+  restarted.markSeen('msg_1');
+  assert.deepStrictEqual(logged(), ['msg_2', 'msg_1']);
+});
+
+// Outbound ledger
+
+test('the ledger skips delivered and possibly delivered replies and resumes partial ones', () => {
+  const ledger = Object.assign(new outboundLedgerService.constructor(), {
+    ledgerDir: fs.mkdtempSync(path.join(os.tmpdir(), 'outbound-ledger-test-')),
+    resendUnconfirmed: false
+  });
+  const details = { contact_id: 'contact_a', reply: 'Hola\n\nPantalla iPhone 13: $ 3.500', chunks: ['Hola', 'Pantalla iPhone 13: $ 3.500'] };
+
+  try {
+    assert.strictEqual(ledger.shouldSkipSend(null), false);
+
+    // A process that died mid-send leaves the record pending
+    const record = ledger.recordPending(['in_1', 'in_2'], details);
+    assert.strictEqual(ledger.shouldSkipSend(ledger.getRecord('in_1')), true);
+
+    ledger.markChunkSent(record, { messageId: 'ghl_1' });
+    ledger.markFailed(record, new Error('timeout of 10000ms exceeded'));
+    assert.strictEqual(ledger.getRecord('in_2').status, 'unconfirmed');
+    assert.strictEqual(ledger.shouldSkipSend(record), true);
+
+    ledger.resendUnconfirmed = true;
+    assert.strictEqual(ledger.shouldSkipSend(record), false);
+
+    // The retry picks up after the chunk that was delivered
+    const retry = ledger.recordPending(['in_1', 'in_2'], { ...details, previous: ledger.findRecord(['in_1', 'in_2']) });
+    assert.deepStrictEqual([retry.status, retry.chunks_sent, retry.attempts, retry.ghl_message_ids], ['pending', 1, 2, ['ghl_1']]);
+    assert.strictEqual(ledger.shouldSkipSend(retry), false);
+
+    ledger.markFailed(retry, Object.assign(new Error('Request failed'), { response: { status: 422, data: { message: 'invalid' } } }));
+    assert.strictEqual(retry.status, 'failed');
+    assert.strictEqual(ledger.shouldSkipSend(retry), false);
+
+    ledger.markSent(retry, { messageId: 'ghl_2' });
+    assert.deepStrictEqual([ledger.getRecord('in_1').status, ledger.getRecord('in_1').ghl_message_id], ['sent', 'ghl_2']);
+    assert.strictEqual(ledger.shouldSkipSend(ledger.getRecord('in_1')), true);
+    assert.strictEqual(ledger.listRecent().length, 1);
+  } finally {
+    fs.rmSync(ledger.ledgerDir, { recursive: true, force: true });
+  }
+});
+
+// Reply language
+
+test('detects the customer\'s language and falls back to their preference, then the default', () => {
+  const detected = text => languageService.detect(text).language;
+
+  assert.strictEqual(detected('How much is the screen for my iPhone 13?'), 'en');
+  assert.strictEqual(detected('Olá, quanto custa a tela do iPhone?'), 'pt');
+  assert.strictEqual(detected('¿Cuánto sale la pantalla del iPhone 13?'), 'es');
+  assert.strictEqual(detected('iphone 13'), null);
+
+  assert.strictEqual(languageService.resolve({ language: 'en', confidence: 0.8 }, 'es'), 'en');
+  assert.strictEqual(languageService.resolve({ language: 'en', confidence: 0.2 }, 'pt'), 'pt');
+  assert.strictEqual(languageService.resolve({ language: 'en', confidence: 0.2 }, null), 'en');
+  assert.strictEqual(languageService.resolve({ language: null, confidence: 0 }, 'fr'), languageService.defaultLanguage);
+
+  assert.strictEqual(languageService.fromWhisper('Portuguese'), 'pt');
+  assert.strictEqual(languageService.fromWhisper('en'), 'en');
+  assert.strictEqual(languageService.fromWhisper('french'), null);
+  assert.strictEqual(languageService.getLocale('fr').code, languageService.defaultLanguage);
+
+  assert.strictEqual(languageService.containsWord('¿cuál es mejor, la original?', 'original'), true);
+  assert.strictEqual(languageService.containsWord('tienen originales?', 'original'), false);
+  assert.strictEqual(languageService.containsWord('necesito algo para mi lg', 'lg'), true);
+  assert.strictEqual(languageService.containsWord('necesito algo', 'lg'), false);
+
+  // Every locale provides the same texts
+  const shape = locale => Object.fromEntries(Object.entries(locale).map(([key, value]) =>
+    [key, value && typeof value === 'object' && !Array.isArray(value) ? shape(value) : typeof value]));
+  for (const language of languageService.supported) {
+    assert.deepStrictEqual(shape(languageService.getLocale(language)), shape(languageService.getLocale('es')), `locale ${language}`);
+  }
+});
+
+test('the reply language ignores image analyses, trusts Whisper on unclear text and is remembered', () => {
+  const contactId = 'test_contact_language';
+  const select = (fragments, spokenLanguages = [], preferred = null) => {
+    const ctx = { fragments, spokenLanguages, contactInfo: { contact_id: contactId, language: preferred } };
+    messageProcessor._detectLanguage(ctx);
+    return ctx.language;
+  };
+
+  try {
+    // The image analysis is written in Spanish, the customer wrote in English
+    assert.strictEqual(select([
+      { message_type: 'text', content: 'How much is the screen for my iPhone 13?' },
+      { message_type: 'image', content: 'La imagen muestra un iPhone 13 con la pantalla rota' }
+    ]), 'en');
+    assert.strictEqual(conversationMemoryService.getPreferredLanguage(contactId), 'en');
+
+    assert.strictEqual(select([{ message_type: 'audio', content: 'iphone 13' }], ['pt'], 'en'), 'pt');
+    assert.strictEqual(select([{ message_type: 'text', content: 'ok' }], [], 'en'), 'en');
+  } finally {
+    conversationMemoryService.deleteConversation(contactId);
+  }
+});
+
+// Business profile
+
+test('a profile edit that fails validation is rejected on reload and the last good profile stays', () => {
+  const service = new businessProfileService.constructor();
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'business-profile-test-'));
+  const original = JSON.parse(fs.readFileSync(service.profilePath, 'utf8'));
+  service.profilePath = path.join(dir, 'business-profile.json');
+
+  const write = profile => fs.writeFileSync(service.profilePath, typeof profile === 'string' ? profile : JSON.stringify(profile));
+
+  try {
+    write({ ...original, version: original.version + 1 });
+    assert.deepStrictEqual(service.reload(), { reloaded: true, version: original.version + 1, errors: [] });
+
+    write({
+      ...original,
+      version: original.version + 2,
+      business: { ...original.business, name: '', timezone: 'America/Nowhere' },
+      branches: [original.branches[0], { ...original.branches[1], id: original.branches[0].id }]
+    });
+    const rejected = service.reload();
+    assert.deepStrictEqual([rejected.reloaded, rejected.version], [false, original.version + 1]);
+    assert.deepStrictEqual(rejected.errors, [
+      'business.name is required',
+      'business.timezone "America/Nowhere" is not a valid IANA time zone',
+      `branches[1].id "${original.branches[0].id}" is duplicated`
+    ]);
+    assert.strictEqual(service.getProfile().business.name, original.business.name);
+    assert.match(service.getHealthStatus().last_reload_error, /^Invalid business profile/);
+
+    write('{ "version": ');
+    assert.match(service.reload().errors[0], /^Cannot read business profile/);
+    assert.strictEqual(service.getProfile().version, original.version + 1);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+// Prompt versions
+
+test('A/B prompt buckets are stable per contact and follow the traffic split', () => {
+  const registry = Object.assign(new promptRegistry.constructor(), { forcedVersion: null });
+  const experiment = (id, traffic) => {
+    registry.manifest = { ...promptRegistry.manifest, experiment: { id, traffic } };
+  };
+  const contacts = Array.from({ length: 2000 }, (_, i) => `contact_${i}`);
+
+  experiment('reply-tone', { v1: 50, v2: 50 });
+  const assigned = contacts.map(contact => registry.assign(contact));
+  assert.deepStrictEqual(contacts.map(contact => registry.assign(contact)), assigned);
+
+  const share = assigned.filter(version => version === 'v2').length / contacts.length;
+  assert.ok(share > 0.45 && share < 0.55, `v2 got ${share} of the traffic`);
+
+  // Another experiment draws new buckets; a 0% version gets nobody
+  experiment('reply-length', { v1: 50, v2: 50 });
+  assert.notDeepStrictEqual(contacts.map(contact => registry.assign(contact)), assigned);
+  experiment('reply-length', { v1: 0, v2: 100 });
+  assert.ok(contacts.every(contact => registry.assign(contact) === 'v2'));
+
+  assert.strictEqual(registry.assign(null), registry.manifest.default_version);
+  registry.forcedVersion = 'v1';
+  assert.strictEqual(registry.assign('contact_1'), 'v1');
+});
+
+// Operator endpoints
+
+const ADMIN_KEY = 'clave-secreta';
+
+// Serves the webhook routes on a free port, with ADMIN_KEY enabled, for the duration of fn
+async function withWebhookRoutes(fn) {
+  const app = express();
+  app.use(express.json());
+  app.use('/webhook', webhookRoutes);
+
+  const savedKey = process.env.ADMIN_API_KEY;
+  process.env.ADMIN_API_KEY = ADMIN_KEY;
+  const server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+
+  try {
+    return await fn(`http://127.0.0.1:${server.address().port}/webhook`);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+    if (savedKey === undefined) delete process.env.ADMIN_API_KEY;
+    else process.env.ADMIN_API_KEY = savedKey;
+  }
+}
+
+test('admin endpoints answer 401, not 500, to keys of another length or with multibyte characters', async () => {
+  await withWebhookRoutes(async base => {
+    const status = async headers => (await axios.get(`${base}/outbound?limit=1`, { headers, validateStatus: () => true })).status;
+
+    assert.strictEqual(await status({}), 401);
+    assert.strictEqual(await status({ 'x-admin-key': 'clave' }), 401);
+    assert.strictEqual(await status({ 'x-admin-key': 'clave-secretá' }), 401);
+    assert.strictEqual(await status({ 'x-admin-key': ADMIN_KEY }), 200);
+  });
+});
+
+test('a catalog reload that throws answers 500 instead of leaving the request hanging', async () => {
+  const originalReload = pricingService.reload;
+  pricingService.reload = async () => {
+    throw new Error('embedding API down');
+  };
+
+  try {
+    await withWebhookRoutes(async base => {
+      const response = await axios.post(`${base}/catalog/reload`, {}, {
+        headers: { 'x-admin-key': ADMIN_KEY },
+        timeout: 2000,
+        validateStatus: () => true
+      });
+
+      assert.strictEqual(response.status, 500);
+      assert.deepStrictEqual(response.data, { success: false, error: 'embedding API down' });
+    });
+  } finally {
+    pricingService.reload = originalReload;
+  }
+});
+
+// LLM provider and full pipeline (mock backend)
+
+test('mock provider answers from fixtures and embeds deterministically', async () => {
+  assert.strictEqual(llmProvider.name, 'mock');
+
+  const greeting = await llmProvider.chat({ messages: [{ role: 'user', content: 'Cliente: Ana\nMensaje: "hola"' }] });
+  assert.strictEqual(JSON.parse(greeting.content).intent, 'greeting');
+
+  const a = await llmProvider.embed('Pantalla iPhone 13');
+  const b = await llmProvider.embed('PANTALLA IPHONE 13');
+  const c = await llmProvider.embed('Batería Samsung A52');
+  const dot = (x, y) => x.reduce((sum, value, i) => sum + value * y[i], 0);
+
+  assert.deepStrictEqual(a, b);
+  assert.ok(dot(a, c) < 0.5, 'unrelated names should not look alike');
+});
+
+// Runs one turn through every pipeline stage; GHL calls are captured instead of sent
+async function runPipeline(messages, process = () => messageProcessor.processBatch(messages)) {
+  const sent = [];
+  const originalSend = ghlService.sendMessage;
+  const originalCrm = faultTolerantProcessor.processPostAIActions;
+
+  ghlService.sendMessage = async (contactId, text) => {
+    sent.push(text);
+    return { messageId: `msg_${sent.length}` };
+  };
+  faultTolerantProcessor.processPostAIActions = async () => ({ success: true });
+
+  try {
+    const ctx = await process();
+    return { ctx, sent };
+  } finally {
+    ghlService.sendMessage = originalSend;
+    faultTolerantProcessor.processPostAIActions = originalCrm;
+    for (const message of messages) {
+      fs.rmSync(outboundLedgerService._getRecordFile(message.message_id), { force: true });
+      conversationMemoryService.deleteConversation(message.contact_id);
+    }
+  }
+}
+
+function inbound(id, fields) {
+  return {
+    contact_id: 'test_contact_pipeline',
+    contact_name: 'Ana',
+    message_id: `test_${id}`,
+    message_type: 'text',
+    channel: 'WhatsApp',
+    location_id: 'test_location',
+    ...fields
+  };
+}
+
+// Device taxonomy
+
+test('resolves the exact model from aliases, glued names and internal codes', () => {
+  const resolve = text => (deviceTaxonomy.resolve(text) || {}).id;
+
+  assert.strictEqual(resolve('cuánto sale la pantalla del iPhone 13?'), 'iphone-13');
+  assert.strictEqual(resolve('pantalla iphone13 pro max'), 'iphone-13-pro-max');
+  assert.strictEqual(resolve('bateria del galaxy s9+'), 'galaxy-s9-plus');
+  assert.strictEqual(resolve('tengo un SM-A207F con la pantalla rota'), 'galaxy-a20s');
+  assert.strictEqual(resolve('moto g8 plus no carga'), 'moto-g8-plus');
+  assert.strictEqual(resolve('hola, buen día'), undefined);
+});
+
+test('catalog rows fit every model they list and no other variant', () => {
+  const ids = name => deviceTaxonomy.modelsIn(name).map(model => model.id);
+
+  assert.deepStrictEqual(ids('PANTALLA IPHONE 13'), ['iphone-13']);
+  assert.deepStrictEqual(ids('PANTALLA IPHONE 13 MINI'), ['iphone-13-mini']);
+  assert.deepStrictEqual(ids('BATERIA HUAWEI MATE 10 / 10 PRO / 20 (HB436486ECW)'),
+    ['huawei-mate-10', 'huawei-mate-10-pro', 'huawei-mate-20']);
+  assert.deepStrictEqual(ids('BATERIA SAMSUNG J701 / J7 NEO'), ['galaxy-j7-neo']);
+  assert.ok(deviceTaxonomy.get('galaxy-j7-neo').codes.includes('J701'));
+});
+
+test('part numbers, capacities and configuration codes are not seeded as models', () => {
+  const ids = name => deviceTaxonomy.extract(name).map(found => found.id);
+
+  assert.deepStrictEqual(ids('BATERIA XIAOMI REDMI NOTE 3 PRO (4100MAH) / BM47'), ['redmi-note-3-pro']);
+  assert.deepStrictEqual(ids('PANTALLA HUAWEI P20 ORI (02351WKF)'), ['huawei-p20']);
+  assert.deepStrictEqual(ids('BATERIA LENOVO IDEAL PAD C340 - 14API'), []);
+});
+
+test('re-seeding the taxonomy from the catalog leaves device-taxonomy.json unchanged', () => {
+  const committed = path.join(__dirname, 'device-taxonomy.json');
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'device-taxonomy-test-'));
+  const seeded = path.join(dir, 'device-taxonomy.json');
+  fs.copyFileSync(committed, seeded);
+
+  try {
+    execFileSync(process.execPath, [path.join(__dirname, 'scripts', 'seed-device-taxonomy.js')], {
+      env: { ...process.env, DEVICE_TAXONOMY_PATH: seeded },
+      stdio: 'ignore'
+    });
+    assert.strictEqual(fs.readFileSync(seeded, 'utf8'), fs.readFileSync(committed, 'utf8'));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('the taxonomy seeder reads names from the product column wherever it is', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'device-taxonomy-test-'));
+  const seeded = path.join(dir, 'device-taxonomy.json');
+  const csv = path.join(dir, 'pricing.csv');
+  fs.copyFileSync(path.join(__dirname, 'device-taxonomy.json'), seeded);
+  fs.writeFileSync(csv, 'SKU,PRECIO,PRODUCTO\nSAMSUNG A98,1200,PANTALLA SAMSUNG A99\n');
+
+  try {
+    execFileSync(process.execPath, [path.join(__dirname, 'scripts', 'seed-device-taxonomy.js'), csv], {
+      env: { ...process.env, DEVICE_TAXONOMY_PATH: seeded },
+      stdio: 'ignore'
+    });
+    const ids = JSON.parse(fs.readFileSync(seeded, 'utf8')).models.map(model => model.id);
+    assert.ok(ids.includes('galaxy-a99'));
+    assert.strictEqual(ids.includes('galaxy-a98'), false);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+// Catalog parser
+
+test('parses part, compatible models, part numbers, colour and quality from product names', () => {
+  const battery = catalogParser.parse('BATERIA HUAWEI P9 / P9 LITE / HB366481ECW / Y7 2018');
+  assert.strictEqual(battery.category, 'bateria');
+  assert.deepStrictEqual(battery.models.map(model => model.id), ['huawei-p9', 'huawei-p9-lite', 'huawei-y7-2018']);
+  assert.deepStrictEqual(battery.part_numbers, ['HB366481ECW']);
+
+  const flex = catalogParser.parse('FLEX CONECTOR DE CARGA IPHONE 6 PLUS');
+  assert.deepStrictEqual([flex.category, flex.sub_part, flex.brand], ['flex', 'conector de carga', 'Apple']);
+
+  const screen = catalogParser.parse('PANTALLA SAMSUNG A20S / A207');
+  assert.deepStrictEqual(screen.models.map(model => model.id), ['galaxy-a20s']);
+  assert.deepStrictEqual(screen.model_codes, ['A207']);
+
+  const cover = catalogParser.parse('TAPA XIAOMI REDMI NOTE 8 NEGRA');
+  assert.deepStrictEqual([cover.category, cover.color, cover.quality], ['tapa', 'negro', null]);
+
+  assert.strictEqual(catalogParser.parse('PANTALLA HUAWEI P30 OLED 1:1').quality_label, 'OLED 1:1');
+  assert.strictEqual(catalogParser.parse('PANTALLA IPHONE 13 INCELL (ORI IC)').quality, 'incell');
+  assert.strictEqual(catalogParser.parse('PANTALLA IPHONE 11 PRO ORI/GLASS').quality, 'ori_glass');
+});
+
+// CSV loading
+
+test('reads quoted, escaped and multiline CSV fields and both number conventions', () => {
+  const csv = csvReader.parse('\uFEFFProd;PUBLICO TIENDA\r\n"PANTALLA 13"" 2020; SILVER";1.150\r\n"FLEX\nCARGA";2719,99\r\n');
+
+  assert.strictEqual(csv.delimiter, ';');
+  assert.deepStrictEqual(csv.headers, ['Prod', 'PUBLICO TIENDA']);
+  assert.deepStrictEqual(csv.records.map(record => record.values), [
+    ['PANTALLA 13" 2020; SILVER', '1.150'],
+    ['FLEX\nCARGA', '2719,99']
+  ]);
+  assert.deepStrictEqual(csv.records.map(record => record.line), [2, 3]);
+
+  assert.strictEqual(csvReader.parseNumber('1.150'), 1150);
+  assert.strictEqual(csvReader.parseNumber('1,234.50'), 1234.5);
+  assert.strictEqual(csvReader.parseNumber('2719,99'), 2719.99);
+  assert.ok(Number.isNaN(csvReader.parseNumber('consultar')));
+});
+
+test('loads extra catalog columns and reports invalid rows instead of dropping them', async () => {
+  const file = path.join(os.tmpdir(), `pricing-test-${process.pid}.csv`);
+  fs.writeFileSync(file, [
+    'Producto\tPUBLICO TIENDA\tCOSTO\tMAYORISTA\tSTOCK\tSKU\tSUCURSAL',
+    'PANTALLA IPHONE 13\t21.590\t12000\t18500\t3\tP-IP13\tCentro',
+    'BATERIA IPHONE 11\tconsultar\t900\t\t0\tB-IP11\tCentro',
+    '\t1000\t\t\t\t\t'
+  ].join('\n'));
+
+  const loader = new pricingService.constructor();
+  loader.csvFilePath = file;
+
+  let catalog;
+  try {
+    catalog = loader._readCatalog();
+  } finally {
+    fs.rmSync(file, { force: true });
+  }
+
+  const [screen, battery] = Array.from(catalog.products.values());
+  assert.deepStrictEqual(
+    [screen.price, screen.cost, screen.wholesale_price, screen.stock, screen.sku, screen.branch],
+    [21590, 12000, 18500, 3, 'P-IP13', 'Centro']
+  );
+  assert.deepStrictEqual([battery.price, battery.wholesale_price, battery.stock], [0, null, 0]);
+
+  const report = catalog.loadReport;
+  assert.deepStrictEqual([report.delimiter, report.rows, report.loaded], ['\t', 3, 2]);
+  assert.deepStrictEqual(report.errors.map(error => [error.line, error.column]), [[3, 'PUBLICO TIENDA'], [4, 'Producto']]);
+});
+
+test('reloads the catalog embedding only new and renamed rows while searches use the old one', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'catalog-reload-'));
+  const loader = new pricingService.constructor();
+  loader.csvFilePath = path.join(dir, 'pricing.csv');
+  loader.vectorCache = new VectorCache(path.join(dir, 'vectors'), { provider: 'mock', model: llmProvider.models.embedding });
+  loader.queryCache = new QueryEmbeddingCache(path.join(dir, 'queries'), { provider: 'mock', model: llmProvider.models.embedding });
+  const writeCatalog = rows => fs.writeFileSync(loader.csvFilePath, ['Prod,PUBLICO TIENDA,SKU', ...rows].join('\n'));
+
+  const originalEmbedBatch = llmProvider.embedBatch;
+  const embedded = [];
+  llmProvider.embedBatch = async (texts, budget) => {
+    embedded.push(...texts);
+    if (texts.includes('PANTALLA IPHONE 14')) await wait(50); // Keeps the reload in flight
+    return originalEmbedBatch.call(llmProvider, texts, budget);
+  };
+
+  try {
+    writeCatalog(['PANTALLA IPHONE 13,21590,P13', 'BATERIA IPHONE 11,1890,B11', 'TAPA IPHONE 12,2500,T12']);
+    await loader.initialize();
+    assert.strictEqual(embedded.length, 3);
+
+    writeCatalog(['PANTALLA IPHONE 13,22000,P13', 'BATERIA IPHONE 11 ORIGINAL,2590,B11', 'PANTALLA IPHONE 14,25000,P14']);
+    embedded.length = 0;
+
+    const reloading = loader.reload();
+    const during = await loader.searchProducts('pantalla iphone 14', 5);
+    assert.ok(during.length > 0 && during.every(product => product.Prod !== 'PANTALLA IPHONE 14'));
+
+    const result = await reloading;
+    assert.deepStrictEqual(
+      [result.added, result.renamed, result.updated, result.removed, result.embedded],
+      [1, 1, 1, 1, 2]
+    );
+    assert.deepStrictEqual(embedded, ['BATERIA IPHONE 11 ORIGINAL', 'PANTALLA IPHONE 14']);
+
+    const after = await loader.searchProducts('pantalla iphone 14', 5);
+    assert.strictEqual(after[0].Prod, 'PANTALLA IPHONE 14');
+
+    const cached = Array.from(loader.vectorCache.load().keys()).sort();
+    const names = ['PANTALLA IPHONE 13', 'BATERIA IPHONE 11 ORIGINAL', 'PANTALLA IPHONE 14'];
+    assert.deepStrictEqual(cached, names.map(VectorCache.hash).sort());
+  } finally {
+    llmProvider.embedBatch = originalEmbedBatch;
+    loader.queryCache.clear();
+    fs.unwatchFile(loader.csvFilePath);
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('a catalog that fails to load at startup is swapped in once the file is fixed', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'catalog-start-'));
+  const loader = new pricingService.constructor();
+  loader.csvFilePath = path.join(dir, 'pricing.csv');
+  loader.vectorCache = new VectorCache(path.join(dir, 'vectors'), { provider: 'mock', model: llmProvider.models.embedding });
+  loader.queryCache = new QueryEmbeddingCache(path.join(dir, 'queries'), { provider: 'mock', model: llmProvider.models.embedding });
+  loader.reloadIntervalMs = 20;
+
+  try {
+    await loader.initialize();
+    assert.strictEqual(loader.products.size, 0);
+
+    await wait(100); // The watcher's first poll records the file as missing
+    fs.writeFileSync(loader.csvFilePath, ['Prod,PUBLICO TIENDA', 'PANTALLA IPHONE 13,21590', 'BATERIA IPHONE 11,1890'].join('\n'));
+    await waitFor(() => loader.products.size === 2);
+
+    const [best] = await loader.searchProducts('pantalla iphone 13', 1);
+    assert.strictEqual(best.Prod, 'PANTALLA IPHONE 13');
+  } finally {
+    await loader.reloadQueue;
+    loader.queryCache.clear();
+    fs.unwatchFile(loader.csvFilePath);
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('vector cache round-trips Float32 vectors and drops other-model or corrupt caches', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vector-cache-'));
+  const base = path.join(dir, 'vectors');
+  const cache = new VectorCache(base, { provider: 'openai', model: 'text-embedding-3-small' });
+  const key = VectorCache.hash('PANTALLA IPHONE 13');
+
+  try {
+    cache.save(new Map([[key, [0.5, -0.25, 1]], [VectorCache.hash('BATERIA IPHONE 11'), [0, 1, 0]]]));
+    assert.strictEqual(fs.statSync(cache.dataFile).size, 2 * 3 * 4);
+    assert.deepStrictEqual(Array.from(cache.load().get(key)), [0.5, -0.25, 1]);
+
+    assert.strictEqual(new VectorCache(base, { provider: 'openai', model: 'text-embedding-3-large' }).load().size, 0);
+
+    const data = fs.readFileSync(cache.dataFile);
+    data[0] ^= 0xff;
+    fs.writeFileSync(cache.dataFile, data);
+    assert.strictEqual(cache.load().size, 0);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('repeated queries and restarted indexing reuse embeddings instead of calling the API', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'embedding-reuse-'));
+  const options = { provider: 'mock', model: llmProvider.models.embedding };
+  const originalEmbed = llmProvider.embed;
+  const originalEmbedBatch = llmProvider.embedBatch;
+  const queries = [];
+  const batches = [];
+  let checkpointed = 0;
+
+  llmProvider.embed = async (text, budget) => {
+    queries.push(text);
+    return originalEmbed.call(llmProvider, text, budget);
+  };
+
+  try {
+    // LRU in memory, kept on disk across restarts
+    const cache = new QueryEmbeddingCache(path.join(dir, 'queries'), { ...options, maxEntries: 2 });
+    const loader = new pricingService.constructor();
+    loader.queryCache = cache;
+
+    await loader._embedQuery('Pantalla iPhone13?');
+    await loader._embedQuery('pantalla iphone 13');
+    await loader._embedQuery('bateria iphone 11');
+    await loader._embedQuery('tapa iphone 12');
+    assert.deepStrictEqual(queries, ['Pantalla iPhone13?', 'bateria iphone 11', 'tapa iphone 12']);
+    assert.deepStrictEqual(cache.getStats(), { size: 2, max_entries: 2, hits: 1, misses: 3 });
+    cache.flush();
+
+    const restarted = new QueryEmbeddingCache(path.join(dir, 'queries'), options);
+    assert.ok(restarted.get('TAPA IPHONE 12'));
+    assert.strictEqual(restarted.get('pantalla iphone 13'), null);
+
+    // Indexing batches many names per call; a crash keeps the checkpointed batches
+    const products = ['PANTALLA IPHONE 13', 'BATERIA IPHONE 11', 'TAPA IPHONE 12', 'PANTALLA IPHONE 14', 'FLEX IPHONE X']
+      .map((name, index) => ({ id: `product_${index}`, name, metadata: {} }));
+    const catalog = new Map(products.map(product => [product.id, product]));
+    loader.vectorCache = new VectorCache(path.join(dir, 'vectors'), options);
+    loader.checkpointIntervalMs = 0;
+    process.env.LLM_EMBED_BATCH_SIZE = '2';
+
+    llmProvider.embedBatch = async (texts, budget) => {
+      batches.push(texts);
+      if (batches.length === 2) throw new Error('429 Too Many Requests');
+      if (batches.length === 3) checkpointed = loader.vectorCache.load().size;
+      return originalEmbedBatch.call(llmProvider, texts, budget);
+    };
+    const interrupted = await loader._syncVectors(catalog, loader.vectorCache.load());
+    assert.strictEqual(interrupted.embedded, 3);
+    assert.deepStrictEqual(batches.map(batch => batch.length), [2, 2, 1]);
+    assert.strictEqual(checkpointed, 2);
+
+    batches.length = 0;
+    const resumed = await loader._syncVectors(catalog, loader.vectorCache.load());
+    assert.strictEqual(resumed.store.size, 5);
+    assert.deepStrictEqual(batches, [['TAPA IPHONE 12', 'PANTALLA IPHONE 14']]);
+  } finally {
+    llmProvider.embed = originalEmbed;
+    llmProvider.embedBatch = originalEmbedBatch;
+    delete process.env.LLM_EMBED_BATCH_SIZE;
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('hybrid search folds synonyms and plurals, fuses both rankings and explains each result', async () => {
+  assert.deepStrictEqual(LexicalIndex.analyze('Pilas y Módulos iPhone13'), ['bateria', 'pantalla', 'iphone', '13']);
+  assert.deepStrictEqual(['conectores', 'luces', 'cables', 'plus'].map(LexicalIndex.stem), ['conector', 'luz', 'cable', 'plus']);
+  assert.deepStrictEqual(['iphones', 'smartphones', 'botones'].map(LexicalIndex.stem), ['iphone', 'smartphone', 'boton']);
+  assert.deepStrictEqual(LexicalIndex.analyze('pantallas para iPhones'), LexicalIndex.analyze('pantalla iPhone'));
+
+  const [top] = await pricingService.searchProducts('cuanto sale la pila del iphone 11', 5);
+  assert.strictEqual(top.Prod, 'BATERIA IPHONE 11');
+  assert.deepStrictEqual(Object.keys(top._explanation.lexical.terms).sort(), ['11', 'bateria', 'iphone']);
+  assert.strictEqual(top._explanation.semantic.rank, 1);
+  assert.deepStrictEqual(top._explanation.model, { id: 'iphone-11', match: 'exact' });
+
+  // Without a query embedding BM25 ranks alone
+  const originalEmbed = llmProvider.embed;
+  llmProvider.embed = async () => { throw new Error('provider down'); };
+  try {
+    const results = await pricingService.searchProducts('display iphone 13 pro max', 5);
+    assert.strictEqual(results[0].Prod.startsWith('PANTALLA IPHONE 13 PRO MAX'), true);
+    assert.ok(results.every(result => result._explanation.semantic === null && result._similarity === undefined));
+  } finally {
+    llmProvider.embed = originalEmbed;
+  }
+});
+
+// Retrieval eval
+
+test('golden set names catalog products and scores recall, MRR and wrong variants', async () => {
+  await pricingService.initialize();
+  const goldenSet = JSON.parse(fs.readFileSync(path.join(__dirname, 'eval', 'golden-set.json'), 'utf8'));
+  assert.deepStrictEqual(retrievalEval.validate(goldenSet, new Set(pricingService.products.keys())), []);
+
+  const entry = { expected: ['product_pantalla_iphone_14', 'product_pantalla_iphone_14_incell'], devices: ['iphone-14'] };
+  const score = retrievalEval.scoreQuery(entry, [
+    { id: 'product_pantalla_iphone_14_pro', deviceIds: ['iphone-14-pro'] },
+    { id: 'product_pantalla_iphone_14', deviceIds: ['iphone-14'] },
+    { id: 'product_pantalla_samsung_s9', deviceIds: ['galaxy-s9'] },
+    { id: 'product_pantalla_iphone_14_plus', deviceIds: ['iphone-14-plus'] }
+  ], [1, 5], 4);
+  assert.deepStrictEqual(score, { ranks: [2, null], recall: { 1: 0, 5: 0.5 }, reciprocal_rank: 0.5, wrong_variant: 0.5, returned: 4 });
+
+  const run = (rank, mrr) => ({
+    summary: { search: { all: { queries: 1, mrr } } },
+    queries: [{ id: 'screen-iphone-14', search: { ranks: [rank] } }]
+  });
+  assert.deepStrictEqual(retrievalEval.compare(run(3, 0.333), run(1, 1)), {
+    systems: { search: { mrr: { baseline: 0.333, current: 1, delta: 0.667 } } },
+    queries: [{ id: 'screen-iphone-14', system: 'search', baseline: 3, current: 1, change: 'improved' }]
+  });
+});
+
+// Repair quotes
+
+test('quotes part plus labour with promotions and rounding, never shop supplies', () => {
+  const rules = quoteService.rules;
+  quoteService.rules = {
+    ...rules,
+    promotions: [{
+      id: 'baterias', label: { es: 'promo baterías' }, categories: ['bateria'],
+      percent: 50, applies_to: 'labour', starts: '2026-10-01', ends: '2026-10-31'
+    }]
+  };
+
+  try {
+    const screen = quoteService.quote({ name: 'PANTALLA IPHONE 13 INCELL (ORI IC)', price: 7895 });
+    assert.deepStrictEqual([screen.part, screen.labour, screen.discount, screen.total], [7895, 1200, 0, 9100]);
+
+    const battery = quoteService.quote({ name: 'BATERIA IPHONE 11', price: 1890 }, new Date('2026-10-19T15:00:00Z'));
+    assert.deepStrictEqual([battery.labour, battery.discount, battery.total, battery.promotion.id], [600, 300, 2190, 'baterias']);
+    assert.strictEqual(quoteService.describe(battery, 'es'), 'repuesto 1890 + mano de obra 600 - promo baterías 300');
+
+    const later = quoteService.quote({ name: 'BATERIA IPHONE 11', price: 1890 }, new Date('2026-11-02T15:00:00Z'));
+    assert.deepStrictEqual([later.discount, later.total], [0, 2490]);
+  } finally {
+    quoteService.rules = rules;
+  }
+
+  assert.strictEqual(quoteService.describe(quoteService.quote({ name: 'RESPALDO DE DATOS', price: 1500 }), 'es'), '');
+  assert.strictEqual(quoteService.exclusionReason('BOBINA DE ESTAÑO BEST 0.6 MM 50G'), 'consumable');
+  assert.strictEqual(quoteService.exclusionReason('ALQUILER EQUIPO DE CERTIFICACIÓN'), 'rental');
+  assert.strictEqual(quoteService.quote({ name: 'KIT DESTORNILLADORES PARA IPHONE SW-8172', price: 850 }), null);
+  assert.strictEqual(quoteService.validate({ ...rules, rounding: { step: 0, mode: 'half' } }).length, 2);
+});
+
+// Price guard
+
+// Incidents of these tests are logged outside the repo
+priceGuard.incidentFile = path.join(os.tmpdir(), `price-guard-incidents-test-${process.pid}.jsonl`);
+
+const guardCatalog = products => products.map(product => ({ product, price: priceGuard._getPrice(product), figures: [priceGuard._getPrice(product)] }));
+
+test('reads and writes amounts with the separators the model used', () => {
+  assert.strictEqual(priceGuard._parseAmount('22.500'), 22500);
+  assert.strictEqual(priceGuard._parseAmount('22,500'), 22500);
+  assert.strictEqual(priceGuard._parseAmount('1.200.000'), 1200000);
+  assert.strictEqual(priceGuard._parseAmount('1.5'), 2);
+  assert.strictEqual(priceGuard._parseAmount('99,90'), 100);
+  assert.strictEqual(priceGuard._parseAmount('7895'), 7895);
+
+  assert.strictEqual(priceGuard._formatLike(3500, '22.500'), '3.500');
+  assert.strictEqual(priceGuard._formatLike(3500, '22,500'), '3,500');
+  assert.strictEqual(priceGuard._formatLike(1250000, '1.200.000'), '1.250.000');
+  assert.strictEqual(priceGuard._formatLike(3500, '7895'), '3500');
+  assert.strictEqual(priceGuard._formatLike(3500, '99,90'), '3500');
+
+  const amounts = priceGuard.extractAmounts('Pantalla: $ 3.500\nBatería 1.200 pesos, envío UYU 150');
+  assert.deepStrictEqual(amounts.map(amount => [amount.digits, amount.value]), [['3.500', 3500], ['1.200', 1200], ['150', 150]]);
+  assert.strictEqual(amounts[1].line, 'Batería 1.200 pesos, envío UYU 150');
+});
+
+test('attributes a wrong amount to the product named on its line, never on a tie or a weak match', () => {
+  const find = (line, products, quotedItems = []) => {
+    const entry = priceGuard._findIntendedProduct({ value: 9999, line }, guardCatalog(products), quotedItems);
+    return entry && entry.product.Prod;
+  };
+  const screen = { Prod: 'PANTALLA IPHONE 13', 'PUBLICO TIENDA': 3500, _productId: 'p1' };
+  const oriGlass = { Prod: 'PANTALLA IPHONE 13 (ORI GLASS)', 'PUBLICO TIENDA': 5200, _productId: 'p2' };
+
+  assert.strictEqual(find('Pantalla iPhone 13 ORI GLASS: $ 9.999', [screen, oriGlass]), 'PANTALLA IPHONE 13 (ORI GLASS)');
+  assert.strictEqual(find('Pantalla iPhone 13: $ 9.999', [screen, oriGlass]), 'PANTALLA IPHONE 13');
+  assert.strictEqual(find('Te sale $ 9.999', [screen, oriGlass], [{ in_catalog: true, price: 9999, catalog_id: 'p2' }]),
+    'PANTALLA IPHONE 13 (ORI GLASS)');
+
+  const colours = [{ Prod: 'PANTALLA IPHONE 13 NEGRA', 'PUBLICO TIENDA': 3500 }, { Prod: 'PANTALLA IPHONE 13 BLANCA', 'PUBLICO TIENDA': 3600 }];
+  assert.strictEqual(find('Pantalla iPhone 13: $ 9.999', colours), null);
+
+  // 3 of 5 name tokens is the lowest overlap still rewritten
+  const proMax = [{ Prod: 'PANTALLA IPHONE 13 PRO MAX', 'PUBLICO TIENDA': 9100 }];
+  assert.strictEqual(find('Pantalla iPhone 13: $ 9.999', proMax), 'PANTALLA IPHONE 13 PRO MAX');
+  assert.strictEqual(find('Pantalla iPhone: $ 9.999', proMax), null);
+});
+
+test('rewrites wrong prices from the catalog and leaves unattributable ones unresolved', () => {
+  const products = [
+    { Prod: 'PANTALLA IPHONE 13', 'PUBLICO TIENDA': 3500 },
+    { Prod: 'BATERIA IPHONE 13', 'PUBLICO TIENDA': '$ 1.200' }
+  ];
+  const reply = 'Pantalla iPhone 13: $ 3.900\nBateria iPhone 13: UYU 1.500\nPantalla iPhone 13 otra vez: $ 3.500';
+
+  const check = priceGuard.check(reply, products);
+  assert.strictEqual(check.valid, false);
+  assert.deepStrictEqual(check.mismatches.map(m => [m.value, m.expected_price]), [[3900, 3500], [1500, 1200]]);
+
+  const rewritten = priceGuard.rewrite(reply, check.mismatches);
+  assert.deepStrictEqual(rewritten, {
+    text: 'Pantalla iPhone 13: $ 3.500\nBateria iPhone 13: UYU 1.200\nPantalla iPhone 13 otra vez: $ 3.500',
+    unresolved: []
+  });
+
+  const colours = [{ Prod: 'PANTALLA IPHONE 13 NEGRA', 'PUBLICO TIENDA': 3500 }, { Prod: 'PANTALLA IPHONE 13 BLANCA', 'PUBLICO TIENDA': 3600 }];
+  const tied = priceGuard.check('Pantalla iPhone 13: $ 4.000', colours);
+  const unchanged = priceGuard.rewrite('Pantalla iPhone 13: $ 4.000', tied.mismatches);
+  assert.strictEqual(unchanged.text, 'Pantalla iPhone 13: $ 4.000');
+  assert.strictEqual(unchanged.unresolved.length, 1);
+});
+
+test('a price given to the wrong product is flagged even though another product costs that much', () => {
+  const products = [
+    { Prod: 'PANTALLA IPHONE 13', 'PUBLICO TIENDA': 3500, _productId: 'p1' },
+    { Prod: 'PANTALLA IPHONE 13 (ORI GLASS)', 'PUBLICO TIENDA': 5200, _productId: 'p2' },
+    { Prod: 'PANTALLA IPHONE 12', 'PUBLICO TIENDA': 2900, _productId: 'p3' }
+  ];
+  const expected = reply => priceGuard.check(reply, products).mismatches.map(m => [m.value, m.expected_price]);
+
+  // Quality tiers swapped
+  const swapped = 'Pantalla iPhone 13: $ 5.200\nPantalla iPhone 13 ORI GLASS: $ 3.500';
+  assert.deepStrictEqual(expected(swapped), [[5200, 3500], [3500, 5200]]);
+  assert.strictEqual(priceGuard.rewrite(swapped, priceGuard.check(swapped, products).mismatches).text,
+    'Pantalla iPhone 13: $ 3.500\nPantalla iPhone 13 ORI GLASS: $ 5.200');
+
+  assert.deepStrictEqual(expected('Pantalla iPhone 12: $ 3.500'), [[3500, 2900]]);
+  assert.deepStrictEqual(expected('Pantalla iPhone 12 $ 2.900 y pantalla iPhone 13 $ 3.500'), []);
+  assert.deepStrictEqual(expected('Pantalla iPhone 12 $ 3.500 y pantalla iPhone 13 $ 2.900'), [[3500, 2900], [2900, 3500]]);
+  // Not attributable to one product: any offered price passes
+  assert.deepStrictEqual(expected('Te sale $ 5.200 con colocación'), []);
+
+  const quoted = priceGuard.check('Te sale $ 3.500', products, [{ in_catalog: true, price: 3500, catalog_id: 'p2' }]);
+  assert.deepStrictEqual(quoted.mismatches.map(m => [m.value, m.expected_price]), [[3500, 5200]]);
+});
+
+test('in regenerate mode a wrong price asks the model again, then falls back', async () => {
+  const originalMode = priceGuard.mode;
+  const originalGenerate = aiService.generateResponse;
+  const corrections = [];
+  let regeneratedReply = 'Pantalla iPhone 13: $ 3.500';
+
+  priceGuard.mode = 'regenerate';
+  aiService.generateResponse = async (content, contactInfo, options) => {
+    corrections.push(options.correction);
+    return { customer_response: regeneratedReply, classification: {} };
+  };
+
+  const guard = async () => {
+    const ctx = {
+      contactInfo: { contact_id: 'test_contact_guard' },
+      inboundIds: ['test_guard'],
+      processedContent: 'precio pantalla iphone 13',
+      language: 'es',
+      retrieval: { matchedProducts: [{ Prod: 'PANTALLA IPHONE 13', 'PUBLICO TIENDA': 3500 }] },
+      aiResult: { customer_response: 'Pantalla iPhone 13: $ 3.900', classification: {} }
+    };
+    await messageProcessor._guardPrices(ctx, ctx.aiResult.customer_response);
+    return ctx;
+  };
+
+  try {
+    // The catalog has the product, but this mode never patches the reply itself
+    const regenerated = await guard();
+    assert.strictEqual(regenerated.priceCheck.action, 'regenerated');
+    assert.strictEqual(regenerated.aiResult.customer_response, 'Pantalla iPhone 13: $ 3.500');
+    assert.ok(corrections[0].includes('"$ 3.900"'));
+
+    regeneratedReply = 'Pantalla iPhone 13: $ 3.800';
+    const fallback = await guard();
+    assert.strictEqual(fallback.priceCheck.action, 'fallback');
+    assert.ok(!fallback.aiResult.customer_response.includes('3.800'));
+
+    assert.deepStrictEqual(priceGuard.listIncidents(2).map(incident => incident.action), ['fallback', 'regenerated']);
+  } finally {
+    priceGuard.mode = originalMode;
+    aiService.generateResponse = originalGenerate;
+  }
+});
+
+// Reply splitting
+
+test('counts SMS segments as GSM-7 or UCS-2, with extension characters taking two septets', () => {
+  const count = text => {
+    const { encoding, units, segments } = replySplitter.countSmsSegments(text);
+    return [encoding, units, segments];
+  };
+
+  assert.deepStrictEqual(count('a'.repeat(160)), ['GSM-7', 160, 1]);
+  assert.deepStrictEqual(count('a'.repeat(161)), ['GSM-7', 161, 2]);
+  assert.deepStrictEqual(count('a'.repeat(306)), ['GSM-7', 306, 2]);
+  assert.deepStrictEqual(count('a'.repeat(307)), ['GSM-7', 307, 3]);
+  assert.deepStrictEqual(count('€'.repeat(80)), ['GSM-7', 160, 1]);
+  assert.deepStrictEqual(count('€'.repeat(81)), ['GSM-7', 162, 2]);
+
+  assert.deepStrictEqual(count('á'.repeat(70)), ['UCS-2', 70, 1]);
+  assert.deepStrictEqual(count('á'.repeat(71)), ['UCS-2', 71, 2]);
+  assert.deepStrictEqual(count('á'.repeat(134)), ['UCS-2', 134, 2]);
+  assert.deepStrictEqual(count('á'.repeat(135)), ['UCS-2', 135, 3]);
+  assert.deepStrictEqual(count('😀'.repeat(35)), ['UCS-2', 70, 1]);
+  assert.deepStrictEqual(replySplitter.countSmsSegments('Hola 😀').non_gsm_chars, ['😀']);
+});
+
+test('splits replies at paragraphs, then list lines, then words, never inside an emoji', () => {
+  const reply = 'Hola Ana, gracias por escribir.\n\nTe paso los precios:\n• Pantalla iPhone 13: $ 3.500\n' +
+    '• Batería iPhone 13: $ 1.200\n• Cámara iPhone 13: $ 2.100\n\n¿Te reservo un turno?';
+
+  assert.deepStrictEqual(replySplitter.split(reply, { maxLength: 1000 }), [reply]);
+  // The list intro stays with its first items
+  assert.deepStrictEqual(replySplitter.split(reply, { maxLength: 120, maxListItems: 2 }), [
+    'Hola Ana, gracias por escribir.\n\nTe paso los precios:\n• Pantalla iPhone 13: $ 3.500\n• Batería iPhone 13: $ 1.200',
+    '• Cámara iPhone 13: $ 2.100\n\n¿Te reservo un turno?'
+  ]);
+  assert.deepStrictEqual(replySplitter.split('el conector de carga no anda', { maxLength: 12 }), ['el conector', 'de carga no', 'anda']);
+  assert.deepStrictEqual(replySplitter.split('😀'.repeat(10), { maxLength: 5 }), Array(5).fill('😀😀'));
+  assert.ok(replySplitter.split(`${'a'.repeat(200)} ok`, { maxSegments: 1 })
+    .every(chunk => replySplitter.countSmsSegments(chunk).segments === 1));
+});
+
+test('detects the channel from any webhook hint and shapes replies for it', () => {
+  const detect = body => channelAdapters.detect(body).name;
+
+  assert.strictEqual(detect({ message: { messageType: 'TYPE_WHATSAPP' } }), 'whatsapp');
+  assert.strictEqual(detect({ messageType: 'IG' }), 'instagram');
+  assert.strictEqual(detect({ customData: { channel: 'Facebook Messenger' } }), 'facebook');
+  assert.strictEqual(detect({ type: 'InboundMessage', contact: { attributionSource: { medium: 'chat widget' } } }), 'live_chat');
+  // Short aliases only match whole hints, so "wa" is not found inside "hardware"
+  assert.strictEqual(detect({ customData: { channel: 'hardware' }, message: { type: 2 } }), 'sms');
+  assert.strictEqual(detect({}), 'sms');
+
+  const reply = 'Hola Ana 😀\n\nPrecios:\n• Pantalla <OLED> & vidrio: $ 3.500\n\n¿Te reservo un turno?';
+  const format = name => channelAdapters.format(channelAdapters.get(name), reply);
+
+  assert.deepStrictEqual(format('whatsapp'), [reply]);
+  assert.deepStrictEqual(format('sms'), ['Hola Ana 😀\nPrecios:\n• Pantalla <OLED> & vidrio: $ 3.500\n¿Te reservo un turno?']);
+  assert.deepStrictEqual(format('email'), ['Hola Ana\n\nPrecios:\n• Pantalla <OLED> & vidrio: $ 3.500\n\n¿Te reservo un turno?']);
+
+  const email = channelAdapters.get('Email');
+  const payload = channelAdapters.buildPayload(email, { contactId: 'contact_a' }, 'Pantalla <OLED> & vidrio\n$ 3.500');
+  assert.deepStrictEqual([payload.type, payload.html], ['Email', 'Pantalla &lt;OLED&gt; &amp; vidrio<br>$ 3.500']);
+
+  const sms = channelAdapters.get('sms');
+  const chunks = channelAdapters.format(sms, 'la pantalla '.repeat(100));
+  assert.ok(chunks.length > 1 && chunks.every(chunk => replySplitter.countSmsSegments(chunk).segments <= sms.maxSegments));
+});
+
+test('a zero chunk delay or SMS segment budget from the environment is kept, not defaulted', () => {
+  const saved = [process.env.REPLY_CHUNK_DELAY_MS, process.env.SMS_MAX_SEGMENTS];
+  process.env.REPLY_CHUNK_DELAY_MS = '0';
+  process.env.SMS_MAX_SEGMENTS = '0';
+
+  try {
+    assert.strictEqual(new replySplitter.constructor().chunkDelayMs, 0);
+
+    const registry = new channelAdapters.constructor();
+    const sms = registry.get('sms');
+    assert.strictEqual(sms.maxSegments, 0);
+    assert.strictEqual(registry.format(sms, 'a'.repeat(800)).length, 1);
+  } finally {
+    ['REPLY_CHUNK_DELAY_MS', 'SMS_MAX_SEGMENTS'].forEach((name, i) => {
+      if (saved[i] === undefined) delete process.env[name];
+      else process.env[name] = saved[i];
+    });
+  }
+});
+
+// Embeddings for the whole catalog are built once, outside the repo
+pricingService.vectorCache = new VectorCache(path.join(os.tmpdir(), `vector-cache-test-${process.pid}`), {
+  provider: 'mock',
+  model: llmProvider.models.embedding
+});
+pricingService.queryCache = new QueryEmbeddingCache(path.join(os.tmpdir(), `query-embeddings-test-${process.pid}`), {
+  provider: 'mock',
+  model: llmProvider.models.embedding
+});
+
+// Needs advice, so it never takes the catalog-only path
+const ADVICE_QUESTION = 'cuál me recomendás para la pantalla del iPhone 13?';
+
+test('pipeline quotes catalog prices for a product question', async () => {
+  const { ctx, sent } = await runPipeline([inbound('price', { content: ADVICE_QUESTION })]);
+
+  assert.strictEqual(ctx.halted, undefined);
+  assert.strictEqual(ctx.answerPath, 'llm');
+  assert.strictEqual(ctx.aiResult.parsing_method, 'structured-json');
+  assert.strictEqual(ctx.priceCheck.action, 'ok');
+  assert.match(sent.join('\n'), /PANTALLA IPHONE 13: 22790 UYU/);
+  assert.doesNotMatch(sent.join('\n'), /IPHONE 13 PRO/);
+});
+
+test('a plain price lookup is answered from the catalog without the model', async () => {
+  const chatCalls = () => llmProvider.backend.calls.filter(call => call.type === 'chat').length;
+  const calls = chatCalls();
+  const before = catalogResponder.getStats().paths.catalog;
+
+  const { ctx, sent } = await runPipeline([inbound('lookup', { content: 'cuánto sale la pantalla del iPhone 13?' })]);
+  const reply = sent.join('\n');
+
+  assert.strictEqual(ctx.answerPath, 'catalog');
+  assert.strictEqual(ctx.aiResult.parsing_method, 'catalog-responder');
+  assert.strictEqual(ctx.aiResult.classification.intent, 'price_inquiry');
+  assert.strictEqual(ctx.priceCheck.action, 'ok');
+  assert.strictEqual(chatCalls(), calls);
+  assert.strictEqual(catalogResponder.getStats().paths.catalog, before + 1);
+  assert.match(reply, /^¡Hola Ana! Para pantalla de iPhone 13 tenemos estas opciones:/);
+  assert.match(reply, /PANTALLA IPHONE 13: 22790 UYU \(repuesto 21590 \+ mano de obra 1200\)/);
+  assert.match(reply, /garantía de 30 días/);
+  assert.doesNotMatch(reply, /MINI|PRO/);
+});
+
+test('catalog lookups decline open-ended, quality and other-model questions', async () => {
+  const analysis = aiService.analyzeMessage('cuánto sale la pantalla del iPhone 13?');
+  const retrieval = { products: [], items: [{ name: 'PANTALLA IPHONE 13 MINI', price: 15000 }] };
+
+  assert.strictEqual(catalogResponder.evaluate('cuánto sale la pantalla del iPhone 13?', analysis, retrieval).reason, 'no_rows');
+  assert.strictEqual(catalogResponder.evaluate('cuándo me cambian la pantalla del iPhone 13?', analysis, retrieval).reason, 'open_ended');
+  assert.strictEqual(catalogResponder.evaluate('pantalla original del iPhone 13', analysis, retrieval).reason, 'quality_chosen');
+  assert.strictEqual(catalogResponder.evaluate('hola', aiService.analyzeMessage('hola'), retrieval).reason, 'greeting');
+});
+
+test('pipeline greets with the fixture reply and records the prompt version', async () => {
+  const { ctx, sent } = await runPipeline([inbound('greeting', { content: 'hola' })]);
+
+  assert.deepStrictEqual(sent, ['¡Hola! ¿En qué puedo ayudarte hoy?']);
+  assert.strictEqual(ctx.aiResult.prompt_version, 'v1');
+  assert.strictEqual(ctx.aiResult.model_used, 'mock');
+});
+
+test('pipeline transcribes a voice note before answering', async () => {
+  const originalGet = axios.get;
+  axios.get = async () => ({ data: new ArrayBuffer(8) });
+
+  try {
+    const { ctx, sent } = await runPipeline([inbound('voice', {
+      content: '',
+      message_type: 'voice',
+      media_url: 'https://example.test/audio.mp3'
+    })]);
+
+    assert.strictEqual(ctx.processedContent, 'Hola, ¿cuánto sale la pantalla del iPhone 13?');
+    assert.strictEqual(ctx.language, 'es');
+    assert.match(sent.join('\n'), /22790 UYU/);
+  } finally {
+    axios.get = originalGet;
+  }
+});
+
+test('a replaced stage that fails is retried without storing the customer message twice', async () => {
+  const processor = new messageProcessor.constructor();
+  const message = inbound('retry', { content: 'hola' });
+  let attempts = 0;
+
+  processor.useStage('generate', async ctx => {
+    if (++attempts === 1) throw new Error('model down');
+    return processor.generate(ctx);
+  });
+  assert.throws(() => processor.useStage('reply', async () => {}), /Unknown pipeline stage: reply/);
+
+  const { sent } = await runPipeline([message], async () => {
+    await assert.rejects(processor.processBatch([message]), /model down/);
+    const ctx = await processor.processBatch([message]);
+
+    const stored = conversationMemoryService.getConversationHistory(message.contact_id, 50).messages
+      .filter(entry => entry.role === 'user' && entry.metadata.message_id === message.message_id);
+    assert.strictEqual(stored.length, 1);
+    return ctx;
+  });
+
+  assert.strictEqual(attempts, 2);
+  assert.deepStrictEqual(sent, ['¡Hola! ¿En qué puedo ayudarte hoy?']);
+});
+
+test('inserted stages run in place and can stop the turn before anything is sent', async () => {
+  const processor = new messageProcessor.constructor();
+  const message = inbound('moderated', { content: 'hola' });
+  const seen = [];
+
+  processor.insertStage('audit', async ctx => seen.push(ctx.messages.length), { before: 'ingest' });
+  processor.insertStage('moderate', async ctx => {
+    seen.push(ctx.processedContent);
+    ctx.halted = 'moderated';
+  }, { after: 'media' });
+  assert.throws(() => processor.insertStage('late', async () => {}, { after: 'reply' }), /Unknown pipeline stage: reply/);
+
+  assert.deepStrictEqual(processor.getStageNames(), [
+    'audit', 'ingest', 'normalize', 'media', 'moderate', 'understand', 'retrieve', 'generate', 'verify', 'send', 'crm'
+  ]);
+
+  const { ctx, sent } = await runPipeline([message], () => processor.processBatch([message]));
+
+  assert.deepStrictEqual(seen, [1, 'hola']);
+  assert.deepStrictEqual(ctx.trace.map(step => step.stage), ['audit', 'ingest', 'normalize', 'media', 'moderate']);
+  assert.deepStrictEqual(sent, []);
+});
+
+test('a slow primary model hands over to the next model of the chain', async () => {
+  const backend = llmProvider.backend;
+  const originalChat = backend.chat;
+  const originalChain = llmProvider.chain;
+  const originalTimeout = llmProvider.callTimeoutMs;
+
+  llmProvider.chain = ['slow-primary', 'mock'];
+  llmProvider.callTimeoutMs = 50;
+  backend.chat = async request => {
+    if (request.model === 'slow-primary') await wait(500);
+    return originalChat.call(backend, request);
+  };
+
+  try {
+    const { ctx, sent } = await runPipeline([inbound('chain', { content: ADVICE_QUESTION })]);
+
+    assert.strictEqual(ctx.aiResult.model_used, 'mock');
+    assert.strictEqual(ctx.aiResult.parsing_method, 'structured-json');
+    assert.match(sent.join('\n'), /PANTALLA IPHONE 13: 22790 UYU/);
+  } finally {
+    backend.chat = originalChat;
+    llmProvider.chain = originalChain;
+    llmProvider.callTimeoutMs = originalTimeout;
+  }
+});
+
+test('without any model the reply is the exact catalog price list', async () => {
+  const backend = llmProvider.backend;
+  const originalChat = backend.chat;
+  backend.chat = async () => {
+    throw new Error('503 Service Unavailable');
+  };
+
+  try {
+    const { ctx, sent } = await runPipeline([inbound('catalog', { content: ADVICE_QUESTION })]);
+
+    assert.strictEqual(ctx.aiResult.parsing_method, 'catalog-template');
+    assert.strictEqual(ctx.priceCheck.action, 'ok');
+    assert.match(sent.join('\n'), /^¡Hola Ana! Para pantalla de iPhone 13 tenemos estas opciones:/);
+    assert.match(sent.join('\n'), /PANTALLA IPHONE 13: 22790 UYU/);
+  } finally {
+    backend.chat = originalChat;
+  }
+});
+
+// Structured replies
+
+const VALID_REPLY = {
+  customer_response: '¡Hola! ¿En qué te puedo ayudar?',
+  device_brand: null,
+  device_model: null,
+  part: null,
+  quality_chosen: null,
+  intent: 'greeting',
+  urgency: 'none',
+  language: 'es',
+  needs_human: false,
+  quoted_items: []
+};
+
+test('structured replies reject invalid JSON and missing fields and repair near-JSON', () => {
+  const broken = structuredReply.parse('Claro! {"customer_response": ');
+  assert.strictEqual(broken.valid, false);
+  assert.match(broken.errors[0], /^Invalid JSON/);
+
+  const { needs_human: needsHuman, ...missing } = VALID_REPLY;
+  assert.deepStrictEqual(structuredReply.parse(JSON.stringify(missing)).errors, ['$.needs_human: missing']);
+  assert.match(structuredReply.parse(JSON.stringify({ ...VALID_REPLY, intent: 'chat' })).errors[0], /^\$\.intent: "chat" is not one of/);
+  assert.deepStrictEqual(structuredReply.parse(JSON.stringify({ ...VALID_REPLY, language: 'spanish' })).errors,
+    ['$.language: expected an ISO 639-1 code like "es"']);
+
+  // Code fence and trailing comma
+  const fenced = structuredReply.parse('```json\n' + JSON.stringify(VALID_REPLY).replace(/}$/, ',}') + '\n```');
+  assert.deepStrictEqual([fenced.valid, fenced.repaired], [true, true]);
+});
+
+test('invalid model output is sent back for repair, and the catalog answers once repairs run out', async () => {
+  const backend = llmProvider.backend;
+  const originalChat = backend.chat;
+  const originalChain = llmProvider.chain;
+  const requests = [];
+  let outputs = ['{"customer_response": "Hola"}', JSON.stringify(VALID_REPLY)];
+
+  llmProvider.chain = ['mock'];
+  backend.chat = async request => {
+    if (request.responseFormat) requests.push([...request.messages]);
+    return { content: outputs.length > 1 ? outputs.shift() : outputs[0], model: 'mock' };
+  };
+
+  try {
+    const repaired = await aiService._requestStructuredReply([{ role: 'user', content: 'hi' }], llmProvider.startBudget('generate'), 'en');
+    assert.strictEqual(repaired.valid, true);
+    assert.strictEqual(requests.length, 2);
+    assert.match(requests[1][requests[1].length - 1].content, /^Your previous reply is not valid JSON[^]*\$\.intent: missing/);
+
+    requests.length = 0;
+    outputs = ['{"customer_response": '];
+    const { ctx, sent } = await runPipeline([inbound('repairs', { content: ADVICE_QUESTION })]);
+
+    assert.strictEqual(requests.length, structuredReply.maxRepairAttempts + 1);
+    assert.match(requests[1][requests[1].length - 1].content, /^Tu respuesta anterior no es JSON válido/);
+    assert.strictEqual(ctx.aiResult.parsing_method, 'catalog-template');
+    assert.match(sent.join('\n'), /PANTALLA IPHONE 13: 22790 UYU/);
+  } finally {
+    backend.chat = originalChat;
+    llmProvider.chain = originalChain;
+  }
+});
+
+async function run() {
+  let failures = 0;
+
+  for (const { name, fn } of tests) {
+    try {
+      await fn();
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      failures++;
+      console.error(`❌ ${name}\n   ${error.message}`);
+    }
+  }
+
+  pricingService.vectorCache.clear();
+  pricingService.queryCache.clear();
+  queueDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true }));
+  fs.rmSync(ledgerDir, { recursive: true, force: true });
+  fs.rmSync(webhookDir, { recursive: true, force: true });
+  fs.rmSync(priceGuard.incidentFile, { force: true });
+
+  console.log(`\n${tests.length - failures}/${tests.length} tests passed`);
+  process.exit(failures > 0 ? 1 : 0);
+}
+
+run();